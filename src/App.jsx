@@ -1,12 +1,16 @@
 import { Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
 import BusGame from './games/bus-game/BusGame';
+import RouteEditor from './games/bus-game/RouteEditor';
+import TeacherDashboard from './games/bus-game/TeacherDashboard';
 
 export default function App() {
   return (
     <Routes>
       <Route path="/" element={<Home />} />
       <Route path="/bus-game" element={<BusGame />} />
+      <Route path="/bus-game/editor" element={<RouteEditor />} />
+      <Route path="/bus-game/teacher" element={<TeacherDashboard />} />
     </Routes>
   );
 }
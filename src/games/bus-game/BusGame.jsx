@@ -1,8 +1,9 @@
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import BusGameApp from './BusGame3D';
 
 export default function BusGame() {
   const navigate = useNavigate();
+  const [params] = useSearchParams();
 
   return (
     <div className="relative w-screen h-screen">
@@ -12,7 +13,12 @@ export default function BusGame() {
       >
         &larr; Back to Games
       </button>
-      <BusGameApp />
+      <BusGameApp
+        initialRouteId={params.get('route')}
+        seed={params.get('seed')}
+        onOpenEditor={() => navigate('/bus-game/editor')}
+        onOpenTeacher={() => navigate('/bus-game/teacher')}
+      />
     </div>
   );
 }
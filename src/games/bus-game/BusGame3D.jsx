@@ -1,6 +1,33 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import * as THREE from "three";
 import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { listRoutes, getRoute } from "./routes";
+import { dd, ptSegDist, nearRoad, generateSmoothRoad, roadChains, nodeDegrees } from "./road";
+import { createRng, randomSeed } from "./rng";
+import { createTraffic } from "./traffic";
+import { createSignals, INFRACTIONS } from "./signals";
+import { createCrossings, PEDESTRIAN } from "./crossings";
+import { createSky, WEATHER, TIMES_OF_DAY, formatHour } from "./weather";
+import { buildTimetable, estimateArrival, judge, formatClock, PUNCTUALITY } from "./timetable";
+import { BUS, resetVehicle, stepVehicle } from "./vehicle";
+import { createPadInput, firstPad } from "./gamepad";
+import { createTouchState } from "./touch";
+import { busBox, createCollisionWorld } from "./collision";
+import { ZONES, LIMP, createDamage } from "./damage";
+import { CAMERA_MODES, nextCameraMode, createCameraRig } from "./camera";
+import { routeFingerprint, createRecorder, replayLength, frameAt, eventsBetween, decodeReplay, saveReplayFile } from "./replay";
+import { ghostTime, loadGhost, offerGhost, removeGhosts } from "./ghost";
+import RouteMap, { buildMapData } from "./RouteMap";
+import SettingsPanel from "./SettingsPanel";
+import TouchControls from "./TouchControls";
+import ReplayControls from "./ReplayControls";
+import StopQuestion from "./StopQuestion";
+import { QUESTION_TYPES, DIFFICULTY_LEVEL, makeQuestion, checkAnswer } from "./questions";
+import { QUALITY, loadSettings, saveSettings, actionFor, held, keyLabel } from "./settings";
+import { LEVELS as MATH_LEVELS, levelFor, createAdaptive, dealPax } from "./adaptive";
+import { loadLog, saveLog, logResult } from "./classlog";
+import { AVATARS, RATINGS, starsFor, loadProfiles, saveProfiles, activeProfile, addProfile, removeProfile, selectProfile, bestFor, recordShift, mathAccuracy } from "./profiles";
+import { rideStrain, updateMood, crashJolt, lateArrival, payFare, overallSatisfaction, onBoardMood, moodFace, formatMoney } from "./satisfaction";
 
 /* ═══════════════════════════════════════════
    AUDIO ENGINE - Realistic Diesel Bus + Music
@@ -10,6 +37,8 @@ function createAudio(){
   var n={};
   var started=false;
   var muted=false;
+  var ambience=null; /* weather layer: null, "rain" or "fog" */
+  var volume={engine:1,sfx:1,music:1};
 
   function init(){
     if(ctx) return;
@@ -20,6 +49,15 @@ function createAudio(){
     master.connect(ctx.destination);
     n.master=master;
 
+    /* engine & road noise and one-shot effects get their own volume, as music does */
+    var engineBus=ctx.createGain();
+    engineBus.gain.value=volume.engine;
+    engineBus.connect(master);
+    var sfxBus=ctx.createGain();
+    sfxBus.gain.value=volume.sfx;
+    sfxBus.connect(master);
+    n.engineBus=engineBus;n.sfxBus=sfxBus;
+
     /* ═══ DIESEL ENGINE ═══
        A real diesel bus engine has:
        - Low frequency combustion pulses (~18-35 Hz base)
@@ -50,7 +88,7 @@ function createAudio(){
     combOsc.connect(combWS);
     combWS.connect(combFilt);
     combFilt.connect(combGain);
-    combGain.connect(master);
+    combGain.connect(engineBus);
     combOsc.start();
     n.combOsc=combOsc;n.combGain=combGain;n.combFilt=combFilt;
 
@@ -66,7 +104,7 @@ function createAudio(){
     knockFilt.Q.value=4;
     knock.connect(knockFilt);
     knockFilt.connect(knockGain);
-    knockGain.connect(master);
+    knockGain.connect(engineBus);
     knock.start();
     n.knock=knock;n.knockGain=knockGain;n.knockFilt=knockFilt;
 
@@ -82,7 +120,7 @@ function createAudio(){
     harm3F.Q.value=2;
     harm3.connect(harm3F);
     harm3F.connect(harm3G);
-    harm3G.connect(master);
+    harm3G.connect(engineBus);
     harm3.start();
     n.harm3=harm3;n.harm3G=harm3G;n.harm3F=harm3F;
 
@@ -116,7 +154,7 @@ function createAudio(){
     exhSrc.connect(exhFilt1);
     exhFilt1.connect(exhFilt2);
     exhFilt2.connect(exhGain);
-    exhGain.connect(master);
+    exhGain.connect(engineBus);
     exhSrc.start();
     n.exhFilt1=exhFilt1;n.exhFilt2=exhFilt2;n.exhGain=exhGain;
 
@@ -132,7 +170,7 @@ function createAudio(){
     turboFilt.Q.value=6;
     turbo.connect(turboFilt);
     turboFilt.connect(turboGain);
-    turboGain.connect(master);
+    turboGain.connect(engineBus);
     turbo.start();
     n.turbo=turbo;n.turboGain=turboGain;n.turboFilt=turboFilt;
 
@@ -151,10 +189,27 @@ function createAudio(){
     ratGain.gain.value=0.01;
     ratSrc.connect(ratFilt);
     ratFilt.connect(ratGain);
-    ratGain.connect(master);
+    ratGain.connect(engineBus);
     ratSrc.start();
     n.ratGain=ratGain;n.ratFilt=ratFilt;
 
+    /* -- Damage knock: a worn big end clunking once every few turns.
+       Silent until updateEngine is told the bus is damaged -- */
+    var clunk=ctx.createOscillator();
+    clunk.type="square";
+    clunk.frequency.value=45;
+    var clunkFilt=ctx.createBiquadFilter();
+    clunkFilt.type="bandpass";
+    clunkFilt.frequency.value=180;
+    clunkFilt.Q.value=1.2;
+    var clunkGain=ctx.createGain();
+    clunkGain.gain.value=0;
+    clunk.connect(clunkFilt);
+    clunkFilt.connect(clunkGain);
+    clunkGain.connect(engineBus);
+    clunk.start();
+    n.clunkGain=clunkGain;n.nextClunk=0;
+
     /* -- Wind noise -- */
     var windLen=ctx.sampleRate*2;
     var windBuf=ctx.createBuffer(1,windLen,ctx.sampleRate);
@@ -166,7 +221,7 @@ function createAudio(){
     windGain.gain.value=0;
     var windFilt=ctx.createBiquadFilter();
     windFilt.type="bandpass";windFilt.frequency.value=800;windFilt.Q.value=0.4;
-    windSrc.connect(windFilt);windFilt.connect(windGain);windGain.connect(master);
+    windSrc.connect(windFilt);windFilt.connect(windGain);windGain.connect(engineBus);
     windSrc.start();
     n.windGain=windGain;n.windFilt=windFilt;
 
@@ -181,13 +236,36 @@ function createAudio(){
     tyreFilt.type="bandpass";tyreFilt.frequency.value=400;tyreFilt.Q.value=0.6;
     var tyreGain=ctx.createGain();
     tyreGain.gain.value=0;
-    tyreSrc.connect(tyreFilt);tyreFilt.connect(tyreGain);tyreGain.connect(master);
+    tyreSrc.connect(tyreFilt);tyreFilt.connect(tyreGain);tyreGain.connect(engineBus);
     tyreSrc.start();
     n.tyreGain=tyreGain;n.tyreFilt=tyreFilt;
 
+    /* ═══ WEATHER LAYERS ═══
+       rain: bright patter on the roof plus spray hissing off the tyres
+       fog:  a muffled low city hum */
+    function noiseLoop(amp){
+      var len=ctx.sampleRate*2,buf=ctx.createBuffer(1,len,ctx.sampleRate),d=buf.getChannelData(0);
+      for(var j=0;j<len;j++)d[j]=(Math.random()*2-1)*amp;
+      var src=ctx.createBufferSource();src.buffer=buf;src.loop=true;src.start();
+      return src;
+    }
+    var rainFilt=ctx.createBiquadFilter();
+    rainFilt.type="highpass";rainFilt.frequency.value=2500;
+    var rainGain=ctx.createGain();rainGain.gain.value=0;
+    noiseLoop(0.5).connect(rainFilt);rainFilt.connect(rainGain);rainGain.connect(sfxBus);
+    var sprayFilt=ctx.createBiquadFilter();
+    sprayFilt.type="bandpass";sprayFilt.frequency.value=1400;sprayFilt.Q.value=0.5;
+    var sprayGain=ctx.createGain();sprayGain.gain.value=0;
+    noiseLoop(0.4).connect(sprayFilt);sprayFilt.connect(sprayGain);sprayGain.connect(sfxBus);
+    var humFilt=ctx.createBiquadFilter();
+    humFilt.type="lowpass";humFilt.frequency.value=220;
+    var humGain=ctx.createGain();humGain.gain.value=0;
+    noiseLoop(0.6).connect(humFilt);humFilt.connect(humGain);humGain.connect(sfxBus);
+    n.rainGain=rainGain;n.sprayGain=sprayGain;n.humGain=humGain;
+
     /* ═══ MUSIC ENGINE - Real Audio File Playback ═══ */
     var musicBus=ctx.createGain();
-    musicBus.gain.value=0.45;
+    musicBus.gain.value=0.45*volume.music;
     musicBus.connect(master);
     n.musicBus=musicBus;
     n.musicSrc=null;
@@ -201,7 +279,8 @@ function createAudio(){
     started=true;
   }
 
-  function updateEngine(speed,maxSpeed){
+  /* knock: 0-1, how badly the damaged engine is knocking */
+  function updateEngine(speed,maxSpeed,knock){
     if(!started||muted)return;
     var t=Math.abs(speed)/maxSpeed; /* 0-1 throttle */
     var now=ctx.currentTime;
@@ -239,6 +318,13 @@ function createAudio(){
     n.ratGain.gain.setTargetAtTime(0.008+t*0.02,now,0.05);
     n.ratFilt.frequency.setTargetAtTime(1800+t*2000,now,0.08);
 
+    /* damage knock - irregular clunks that come faster with the revs */
+    if(knock>0&&now>=n.nextClunk){
+      n.clunkGain.gain.setValueAtTime(0.05+knock*0.2,now);
+      n.clunkGain.gain.setTargetAtTime(0,now+0.01,0.03);
+      n.nextClunk=now+(4+Math.random()*4*(1-knock))/rpm;
+    }
+
     /* wind noise scales with speed squared */
     n.windGain.gain.setTargetAtTime(t*t*0.1,now,0.1);
     n.windFilt.frequency.setTargetAtTime(400+t*2500,now,0.1);
@@ -246,6 +332,11 @@ function createAudio(){
     /* tyre noise */
     n.tyreGain.gain.setTargetAtTime(t*0.04,now,0.08);
     n.tyreFilt.frequency.setTargetAtTime(200+t*600,now,0.1);
+
+    /* weather */
+    n.rainGain.gain.setTargetAtTime(ambience==="rain"?0.05:0,now,0.5);
+    n.sprayGain.gain.setTargetAtTime(ambience==="rain"?t*0.09:0,now,0.1);
+    n.humGain.gain.setTargetAtTime(ambience==="fog"?0.06:0,now,0.5);
   }
 
   function updateMusic(){
@@ -272,7 +363,7 @@ function createAudio(){
     var thudG=ctx.createGain();
     thudG.gain.value=0.3*intensity;
     thudG.gain.exponentialRampToValueAtTime(0.001,now+0.4);
-    thud.connect(thudG);thudG.connect(n.master);
+    thud.connect(thudG);thudG.connect(n.sfxBus);
     thud.start(now);thud.stop(now+0.4);
 
     /* crunch noise */
@@ -286,7 +377,7 @@ function createAudio(){
     var src=ctx.createBufferSource();src.buffer=buf;
     var cg=ctx.createGain();cg.gain.value=0.2+intensity*0.3;
     var cf=ctx.createBiquadFilter();cf.type="bandpass";cf.frequency.value=400+intensity*300;cf.Q.value=1;
-    src.connect(cf);cf.connect(cg);cg.connect(n.master);src.start();
+    src.connect(cf);cf.connect(cg);cg.connect(n.sfxBus);src.start();
 
     /* metallic clang */
     var clang=ctx.createOscillator();
@@ -295,7 +386,7 @@ function createAudio(){
     var clG=ctx.createGain();
     clG.gain.value=0.1+intensity*0.1;
     clG.gain.exponentialRampToValueAtTime(0.001,now+0.2);
-    clang.connect(clG);clG.connect(n.master);
+    clang.connect(clG);clG.connect(n.sfxBus);
     clang.start(now);clang.stop(now+0.2);
 
     /* glass tinkle */
@@ -305,7 +396,7 @@ function createAudio(){
     var glG=ctx.createGain();
     glG.gain.value=0.04*intensity;
     glG.gain.exponentialRampToValueAtTime(0.001,now+0.35);
-    glass.connect(glG);glG.connect(n.master);
+    glass.connect(glG);glG.connect(n.sfxBus);
     glass.start(now);glass.stop(now+0.35);
   }
 
@@ -324,7 +415,7 @@ function createAudio(){
     var src=ctx.createBufferSource();src.buffer=buf;
     var g=ctx.createGain();g.gain.value=0.12;
     var f=ctx.createBiquadFilter();f.type="highpass";f.frequency.value=1500;
-    src.connect(f);f.connect(g);g.connect(n.master);src.start();
+    src.connect(f);f.connect(g);g.connect(n.sfxBus);src.start();
 
     /* mechanical thunk */
     var thk=ctx.createOscillator();
@@ -334,7 +425,7 @@ function createAudio(){
     var thkG=ctx.createGain();
     thkG.gain.value=0.1;
     thkG.gain.exponentialRampToValueAtTime(0.001,now+0.15);
-    thk.connect(thkG);thkG.connect(n.master);
+    thk.connect(thkG);thkG.connect(n.sfxBus);
     thk.start(now);thk.stop(now+0.16);
 
     /* slide rail sound */
@@ -346,7 +437,7 @@ function createAudio(){
     rlG.gain.value=0.02;
     rlG.gain.exponentialRampToValueAtTime(0.001,now+0.35);
     var rlF=ctx.createBiquadFilter();rlF.type="bandpass";rlF.frequency.value=800;rlF.Q.value=2;
-    rail.connect(rlF);rlF.connect(rlG);rlG.connect(n.master);
+    rail.connect(rlF);rlF.connect(rlG);rlG.connect(n.sfxBus);
     rail.start(now);rail.stop(now+0.36);
   }
 
@@ -362,7 +453,7 @@ function createAudio(){
       var g=ctx.createGain();
       g.gain.value=bi===0?0.1:0.06;
       g.gain.exponentialRampToValueAtTime(0.001,now+0.7);
-      osc.connect(g);g.connect(n.master);
+      osc.connect(g);g.connect(n.sfxBus);
       osc.start(now+bi*0.15);osc.stop(now+bi*0.15+0.7);
     }
   }
@@ -374,6 +465,18 @@ function createAudio(){
     if(m&&n.musicSrc){try{n.musicSrc.stop();}catch(e){}n.musicSrc=null;}
   }
   function getMuted(){return muted;}
+  /* v: {engine,sfx,music}, each 0-1; may be set before init */
+  function setVolumes(v){
+    volume={engine:v.engine,sfx:v.sfx,music:v.music};
+    if(!ctx)return;
+    n.engineBus.gain.value=volume.engine;n.sfxBus.gain.value=volume.sfx;n.musicBus.gain.value=0.45*volume.music;
+  }
+  /* freezes everything, music included, while the game is paused */
+  function setPaused(p){
+    if(!ctx)return;
+    if(p)ctx.suspend();else ctx.resume();
+  }
+  function setWeather(a){ambience=a||null;}
   function playHorn(){
     if(!started||muted)return;
     var now=ctx.currentTime;
@@ -385,7 +488,7 @@ function createAudio(){
     hg.gain.setValueAtTime(0.12,now+0.4);
     hg.gain.linearRampToValueAtTime(0.001,now+0.55);
     var hf=ctx.createBiquadFilter();hf.type="lowpass";hf.frequency.value=1200;hf.Q.value=1;
-    h1.connect(hf);h2.connect(hf);hf.connect(hg);hg.connect(n.master);
+    h1.connect(hf);h2.connect(hf);hf.connect(hg);hg.connect(n.sfxBus);
     h1.start(now);h1.stop(now+0.55);h2.start(now);h2.stop(now+0.55);
   }
   function playCheer(){
@@ -395,7 +498,7 @@ function createAudio(){
     var g=ctx.createGain();
     g.gain.value=0.5;
     src.connect(g);
-    g.connect(n.master);
+    g.connect(n.sfxBus);
     src.start();
   }
   function dispose(){
@@ -405,57 +508,19 @@ function createAudio(){
 
   return{init:init,updateEngine:updateEngine,updateMusic:updateMusic,
     playCrash:playCrash,playDoor:playDoor,playBell:playBell,playHorn:playHorn,
-    playCheer:playCheer,setMute:setMute,getMuted:getMuted,dispose:dispose};
+    playCheer:playCheer,setMute:setMute,getMuted:getMuted,setWeather:setWeather,
+    setVolumes:setVolumes,setPaused:setPaused,dispose:dispose};
 }
 
 /* ═══════════════════════════════════════
    GAME DATA
+   Routes live in ./routes/*.json — see routes/index.js for the schema
    ═══════════════════════════════════════ */
-var R=[
-  [0,80],[0,40],[0,0],[0,-40],[0,-80],
-  [40,-120],[80,-120],[120,-120],[160,-120],
-  [200,-80],[200,-40],[200,0],[200,40],[200,80],
-  [160,120],[120,120],[80,120],[40,80],
-  [40,40],[80,0],[120,-20],[160,-20],
-  [160,20],[120,60],[80,60]
-];
-var STOPS=[
-  {i:0,n:"Elm St Depot"},{i:4,n:"Hillcrest Ave"},
-  {i:8,n:"Central Station"},{i:11,n:"Greenfield Park"},
-  {i:14,n:"Market Square"},{i:18,n:"River Bridge"},
-  {i:21,n:"Sunset Blvd"},{i:24,n:"Terminal"}
-];
-function dd(ax,az,bx,bz){return Math.sqrt((ax-bx)*(ax-bx)+(az-bz)*(az-bz));}
-/* distance from point to line segment */
-function ptSegDist(px,pz,ax,az,bx,bz){
-  var dx=bx-ax,dz=bz-az,len2=dx*dx+dz*dz;
-  if(len2<0.01)return dd(px,pz,ax,az);
-  var t=Math.max(0,Math.min(1,((px-ax)*dx+(pz-az)*dz)/len2));
-  return dd(px,pz,ax+t*dx,az+t*dz);
-}
-/* check if point is too close to any road segment */
-function nearRoad(px,pz,minDist){
-  for(var ri=0;ri<R.length-1;ri++){
-    if(ptSegDist(px,pz,R[ri][0],R[ri][1],R[ri+1][0],R[ri+1][1])<minDist)return true;
-  }
-  return false;
-}
-/* smooth road curve from waypoints via Catmull-Rom spline */
-function generateSmoothRoad(waypoints){
-  var pts=[];
-  for(var i2=0;i2<waypoints.length;i2++)pts.push(new THREE.Vector3(waypoints[i2][0],0,waypoints[i2][1]));
-  var curve=new THREE.CatmullRomCurve3(pts,false,'centripetal');
-  var sampled=curve.getPoints((waypoints.length-1)*12);
-  var result=[];
-  for(var j2=0;j2<sampled.length;j2++)result.push([sampled[j2].x,sampled[j2].z]);
-  return result;
-}
-var smoothR=generateSmoothRoad(R);
 /* difficulty: "easy"=ages 4-5 (add only, 1-2 per stop), "medium"=ages 6-7 (add/sub, 1-3), "hard"=ages 8+ (bigger, 2-4) */
-function newPax(difficulty){
+function newPax(STOPS,difficulty,rand){
   var p=[];var maxPerStop=difficulty==="easy"?2:difficulty==="medium"?3:4;
   var minPerStop=difficulty==="hard"?2:1;
-  for(var i=0;i<STOPS.length-1;i++){var c=minPerStop+Math.floor(Math.random()*maxPerStop);
+  for(var i=0;i<STOPS.length-1;i++){var c=minPerStop+Math.floor(rand()*maxPerStop);
     if(difficulty==="easy")c=Math.min(c,2);
     for(var j=0;j<c;j++){
       var d2;
@@ -463,22 +528,30 @@ function newPax(difficulty){
         /* easy: passengers only go to the very next stop (addition only, no subtraction mix) */
         d2=i+1;
       }else{
-        d2=i+1+Math.floor(Math.random()*(STOPS.length-i-1));
+        d2=i+1+Math.floor(rand()*(STOPS.length-i-1));
       }
-      p.push({origin:i,dest:Math.min(d2,STOPS.length-1),on:false,done:false});}}
+      p.push({origin:i,dest:Math.min(d2,STOPS.length-1),on:false,done:false,patience:1,mood:1,paid:false});}}
   return p;
 }
 
+/* m/s into an obstacle before a bump counts as a crash; slower contact just scrapes along */
+var CRASH_SPEED=2.5;
+
 /* ═══════════════════════════════════════
    MAIN COMPONENT
    ═══════════════════════════════════════ */
-export default function App(){
+export default function App(props){
   var canvasRef=useRef(null);
+  var [routes]=useState(listRoutes);
+  var [routeId,setRouteId]=useState(function(){return getRoute(props.initialRouteId).id;});
+  var [seed,setSeed]=useState(function(){return props.seed||randomSeed();});
   var stateRef=useRef("menu");
   var audioRef=useRef(null);
   var [ui,setUi]=useState({phase:"menu",spd:0,score:0,onBus:0,del:0,tot:0,
-    near:null,stopN:"",nextS:STOPS[0].n,prog:0,time:0,bOn:0,bOff:0,crashed:false,damage:0,mathPrev:0,mathSolved:true});
+    near:null,stopN:"",nextS:getRoute(routeId).stops[0].n,prog:0,time:0,bOn:0,bOff:0,crashed:false,damage:0,mathPrev:0,mathSolved:true});
   var keysRef=useRef({});
+  var touchRef=useRef(createTouchState());  /* the on-screen controls, see TouchControls */
+  var padBusyRef=useRef(false);              /* the settings are calibrating or binding the pad */
   var gRef=useRef(null);
   var [muted,setMuted]=useState(false);
   var [mathInput,setMathInput]=useState("");
@@ -486,20 +559,97 @@ export default function App(){
   var [difficulty,setDifficulty]=useState("medium");
   var diffRef=useRef("medium");
   var [mathStreak,setMathStreak]=useState(0);
+  var [hintStep,setHintStep]=useState(0);
+
+  var [weather,setWeatherState]=useState("clear");
+  var [timeOfDay,setTimeOfDayState]=useState("morning");
+  var skyRef=useRef({weather:"clear",hour:TIMES_OF_DAY[0].hour});
+
+  var [timetable,setTimetableState]=useState(false);
+  var ttRef=useRef(false);
+  var [ghostOn,setGhostOnState]=useState(false);
+  var ghostRef=useRef(false);
+
+  var [camMode,setCamModeState]=useState("chase");
+  var camRef=useRef("chase");
+  var [mapData,setMapData]=useState(null);
+
+  var [settings,setSettingsState]=useState(loadSettings);
+  var settingsRef=useRef(settings);
+
+  var [profiles,setProfilesState]=useState(loadProfiles);
+  var profilesRef=useRef(profiles);
+  var [newPlayer,setNewPlayer]=useState(null);  /* {name,avatar} while the new player form is open */
+  var [record,setRecord]=useState(null);        /* personal bests from the shift just finished */
+  var [teacherOpen,setTeacherOpen]=useState(false);
+  var [padName,setPadName]=useState(null);     /* the controller plugged in, for the menu */
+  var [lastReplay,setLastReplay]=useState(null); /* recording of the shift just finished */
+  var [watching,setWatching]=useState(null);     /* {rep,back} while a replay is showing */
+  var [replayInfo,setReplayInfo]=useState(null);
+  var [replayMsg,setReplayMsg]=useState(null);   /* why a replay file wouldn't load */
+  var me=activeProfile(profiles);
 
   function setDiff(d){setDifficulty(d);diffRef.current=d;}
+  function setTimetable(on){setTimetableState(on);ttRef.current=on;}
+  function setGhostOn(on){setGhostOnState(on);ghostRef.current=on;}
+  /* conditions show straight away on the menu backdrop */
+  function setConditions(w,tod){
+    var t=TIMES_OF_DAY.filter(function(x){return x.id===tod;})[0]||TIMES_OF_DAY[0];
+    setWeatherState(w);setTimeOfDayState(t.id);
+    skyRef.current={weather:w,hour:t.hour};
+    if(gRef.current)gRef.current.sky(w,t.hour);
+    if(audioRef.current)audioRef.current.setWeather(WEATHER[w].ambience);
+  }
+
+  /* applied straight away and remembered for next time */
+  function setSettings(next){
+    setSettingsState(next);settingsRef.current=next;saveSettings(next);
+    if(audioRef.current)audioRef.current.setVolumes(next.volume);
+    if(gRef.current)gRef.current.quality(next.quality);
+  }
+
+  /* teachers switch stop question types on & off; there's always at least one */
+  function toggleQuestion(id){
+    var on=settings.questions.indexOf(id)>=0;
+    if(on&&settings.questions.length===1)return;
+    var next=QUESTION_TYPES.map(function(t){return t.id;}).filter(function(t){return t===id?!on:settings.questions.indexOf(t)>=0;});
+    setSettings(Object.assign({},settings,{questions:next}));
+  }
+  function setProfiles(next){setProfilesState(next);profilesRef.current=next;saveProfiles(next);}
+  function createPlayer(){
+    if(!newPlayer||!newPlayer.name.trim())return;
+    setProfiles(addProfile(profiles,newPlayer.name,newPlayer.avatar));setNewPlayer(null);
+  }
+  function deletePlayer(p){
+    if(window.confirm("Delete "+p.name+" and all their scores?")){setProfiles(removeProfile(profiles,p.id));removeGhosts(p.id);}
+  }
+
+  /* each finished shift counts towards the active player's progress */
+  useEffect(function(){
+    if(ui.phase!=="complete"){if(ui.phase==="playing")setRecord(null);return;}
+    var r=recordShift(profiles,{routeId:routeId,difficulty:difficulty,score:ui.score,delivered:ui.del,total:ui.tot,
+      mathCorrect:ui.mathCorrect||0,mathAttempts:ui.mathAttempts||0,hints:ui.hints||0,failed:!!ui.failed,skill:ui.skill});
+    if(r.record)setProfiles(r.store);
+    setRecord(r.record);
+    /* and goes into the class log for the teacher dashboard, read fresh in case it's open in another tab */
+    saveLog(logResult(loadLog(),{child:me?me.name:"Guest",avatar:me?me.avatar:null,profileId:me?me.id:null,
+      routeId:routeId,routeName:getRoute(routeId).name,seed:seed,difficulty:difficulty,mathLevel:ui.mathLevel,
+      score:ui.score,delivered:ui.del,total:ui.tot,stars:starsFor(ui.del,ui.tot),failed:!!ui.failed,time:ui.time,
+      hints:ui.hints||0,satisfaction:ui.satisfaction,answers:ui.answers||[]}));
+  },[ui.phase]);
 
   /* init audio on first interaction */
   function ensureAudio(){
-    if(!audioRef.current) audioRef.current=createAudio();
+    if(!audioRef.current){audioRef.current=createAudio();audioRef.current.setVolumes(settingsRef.current.volume);}
     audioRef.current.init();
   }
 
   useEffect(function(){
     function dn(e){
-      var k=e.key;
-      if(k==="ArrowUp"||k==="ArrowDown"||k==="ArrowLeft"||k==="ArrowRight"||k===" "||k==="w"||k==="a"||k==="s"||k==="d")e.preventDefault();
-      keysRef.current[k.toLowerCase()]=true;
+      var k=e.key.toLowerCase(),tag=e.target&&e.target.tagName;
+      /* keep driving keys from scrolling the page, but leave text boxes alone */
+      if(tag!=="INPUT"&&tag!=="TEXTAREA"&&actionFor(settingsRef.current.keys,k))e.preventDefault();
+      keysRef.current[k]=true;
     }
     function up(e){keysRef.current[e.key.toLowerCase()]=false;}
     window.addEventListener("keydown",dn);
@@ -507,18 +657,39 @@ export default function App(){
     return function(){window.removeEventListener("keydown",dn);window.removeEventListener("keyup",up);};
   },[]);
 
+  /* browsers only announce a controller once one of its buttons is pressed */
+  useEffect(function(){
+    function seen(){var p=firstPad();setPadName(p?p.id:null);}
+    seen();
+    window.addEventListener("gamepadconnected",seen);
+    window.addEventListener("gamepaddisconnected",seen);
+    return function(){window.removeEventListener("gamepadconnected",seen);window.removeEventListener("gamepaddisconnected",seen);};
+  },[]);
+
+  /* audio outlives the scene, which is rebuilt whenever the route changes */
+  useEffect(function(){
+    return function(){if(audioRef.current){audioRef.current.dispose();audioRef.current=null;}};
+  },[]);
+
   /* ═══════════════════════════════════════
      THREE.JS SCENE
      ═══════════════════════════════════════ */
   useEffect(function(){
     var el=canvasRef.current;
     if(!el)return;
+    var route=getRoute(routeId),R=route.waypoints,STOPS=route.stops,sc=route.scenery;
+    var smoothR=generateSmoothRoad(R);
+    /* every road in the network, split at junctions; the route itself is a path through these */
+    var net=route.network,chains=roadChains(net),deg=nodeDegrees(net);
+    var roadLines=chains.map(function(c){return c.pts;});
+    /* everything placed in the world draws from this stream, so a seed rebuilds the same city */
+    var rand=createRng(seed+"/"+route.id+"/world");
     var W=el.clientWidth||900,H=el.clientHeight||650;
 
     /* renderer */
     var renderer=new THREE.WebGLRenderer({antialias:true,powerPreference:"high-performance"});
     renderer.setSize(W,H);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio,2));
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio,QUALITY[settingsRef.current.quality].pixelRatio));
     renderer.shadowMap.enabled=true;
     renderer.shadowMap.type=THREE.PCFSoftShadowMap;
     renderer.toneMapping=THREE.ACESFilmicToneMapping;
@@ -541,7 +712,7 @@ export default function App(){
     var sun=new THREE.DirectionalLight(0xfff0d4,1.15);
     sun.position.set(100,160,80);
     sun.castShadow=true;
-    sun.shadow.mapSize.set(1024,1024);
+    sun.shadow.mapSize.set(QUALITY[settingsRef.current.quality].shadows||1024,QUALITY[settingsRef.current.quality].shadows||1024);
     sun.shadow.camera.left=-150;sun.shadow.camera.right=150;
     sun.shadow.camera.top=150;sun.shadow.camera.bottom=-150;
     sun.shadow.camera.near=10;sun.shadow.camera.far=400;
@@ -561,18 +732,17 @@ export default function App(){
     var gndGeo=new THREE.PlaneGeometry(800,800,80,80);
     /* add subtle height variation */
     var gndVerts=gndGeo.attributes.position;
+    var gcx=sc.center[0],gcz=sc.center[1];
     for(var vi=0;vi<gndVerts.count;vi++){
       var gx=gndVerts.getX(vi),gy=gndVerts.getY(vi);
       /* don't deform near roads - check actual segments */
-      var isNearRoad=false;
       var gz=-gy; /* local Y maps to world -Z after -PI/2 rotation */
-      for(var ri=0;ri<R.length-1;ri++){if(ptSegDist(gx,gz,R[ri][0],R[ri][1],R[ri+1][0],R[ri+1][1])<25){isNearRoad=true;break;}}
-      if(!isNearRoad) gndVerts.setZ(vi,(Math.sin(gx*0.03)*Math.cos(gy*0.03))*0.8);
+      if(!nearRoad(roadLines,gx+gcx,gz+gcz,25)) gndVerts.setZ(vi,(Math.sin(gx*0.03)*Math.cos(gy*0.03))*0.8);
     }
     gndGeo.computeVertexNormals();
     var gndMat=new THREE.MeshStandardMaterial({color:0x4a8a4a,roughness:0.95,metalness:0});
     var gnd=new THREE.Mesh(gndGeo,gndMat);
-    gnd.rotation.x=-Math.PI/2;gnd.receiveShadow=true;scene.add(gnd);
+    gnd.rotation.x=-Math.PI/2;gnd.position.set(gcx,0,gcz);gnd.receiveShadow=true;scene.add(gnd);
 
     /* ── ROAD ── */
     var roadMat=new THREE.MeshStandardMaterial({color:0x3a3a3a,roughness:0.85,metalness:0.05});
@@ -602,18 +772,38 @@ export default function App(){
       geo.setAttribute('position',new THREE.Float32BufferAttribute(pos,3));
       geo.setIndex(idx);geo.computeVertexNormals();return geo;
     }
-    roadGeos.push(buildRibbon(smoothR,0,7,0.15));
-    for(s=-1;s<=1;s+=2){
-      swalkGeos.push(buildRibbon(smoothR,s*8.5,1.25,0.28));
-      curbGeos.push(buildRibbon(smoothR,s*7.2,0.15,0.25));
-      edgeGeos.push(buildRibbon(smoothR,s*6,0.1,0.16));
+    /* kerbs, lines and pavements stop short of junctions so crossing roads meet cleanly */
+    var JUNC_R=11;
+    function trimAtJunctions(pts,chain){
+      var from=0,to=pts.length-1,j0=chain.pts[0],j1=chain.pts[chain.pts.length-1];
+      if(chain.startJ)while(from<to&&dd(pts[from][0],pts[from][1],j0[0],j0[1])<JUNC_R)from++;
+      if(chain.endJ)while(to>from&&dd(pts[to][0],pts[to][1],j1[0],j1[1])<JUNC_R)to--;
+      return pts.slice(from,to+1);
     }
-    /* center dashes */
-    for(i=0;i<smoothR.length-1;i++){
-      if(i%3!==0)continue;
-      a=smoothR[i];b=smoothR[i+1];dx=b[0]-a[0];dz=b[1]-a[1];ang=Math.atan2(dx,dz);
-      var dg=new THREE.BoxGeometry(0.3,0.16,2.2);dg.rotateY(ang);
-      dg.translate((a[0]+b[0])/2,0.16,(a[1]+b[1])/2);dashGeos.push(dg);
+    for(var ci=0;ci<chains.length;ci++){
+      var cs2=generateSmoothRoad(chains[ci].pts),ct2=trimAtJunctions(cs2,chains[ci]);
+      roadGeos.push(buildRibbon(cs2,0,7,0.15));
+      if(ct2.length<2)continue;
+      for(s=-1;s<=1;s+=2){
+        swalkGeos.push(buildRibbon(ct2,s*8.5,1.25,0.28));
+        curbGeos.push(buildRibbon(ct2,s*7.2,0.15,0.25));
+        edgeGeos.push(buildRibbon(ct2,s*6,0.1,0.16));
+      }
+      /* center dashes */
+      for(i=0;i<ct2.length-1;i++){
+        if(i%3!==0)continue;
+        a=ct2[i];b=ct2[i+1];dx=b[0]-a[0];dz=b[1]-a[1];ang=Math.atan2(dx,dz);
+        var dg=new THREE.BoxGeometry(0.3,0.16,2.2);dg.rotateY(ang);
+        dg.translate((a[0]+b[0])/2,0.16,(a[1]+b[1])/2);dashGeos.push(dg);
+      }
+    }
+    /* junction pads fill the corners where roads meet; dead-end side streets get a turning circle */
+    var onPath={};for(i=0;i<route.path.length;i++)onPath[route.path[i]]=true;
+    for(i=0;i<net.nodes.length;i++){
+      if(deg[i]<3&&!(deg[i]===1&&!onPath[i]))continue;
+      var jg=new THREE.CircleGeometry(deg[i]<3?9:10,24);jg.rotateX(-Math.PI/2);
+      jg.deleteAttribute("uv"); /* ribbons carry no uvs, merged geometries must match */
+      jg.translate(net.nodes[i][0],0.155,net.nodes[i][1]);roadGeos.push(jg);
     }
 
     /* route arrows */
@@ -654,22 +844,22 @@ export default function App(){
     var placed=[];
 
     function canPlace(bx,bz2){
-      if(nearRoad(bx,bz2,24))return false;
+      if(nearRoad(roadLines,bx,bz2,24))return false;
       for(var ii2=0;ii2<placed.length;ii2++)if(dd(bx,bz2,placed[ii2][0],placed[ii2][1])<13)return false;
       return true;
     }
 
-    for(i=0;i<R.length-1;i++){
-      a=R[i];b=R[i+1];dx=b[0]-a[0];dz=b[1]-a[1];len=Math.sqrt(dx*dx+dz*dz);
+    for(ci=0;ci<chains.length;ci++)for(i=0;i<chains[ci].pts.length-1;i++){
+      a=chains[ci].pts[i];b=chains[ci].pts[i+1];dx=b[0]-a[0];dz=b[1]-a[1];len=Math.sqrt(dx*dx+dz*dz);
       ang=Math.atan2(dx,dz);var px=Math.cos(ang),pz=-Math.sin(ang);
       var bc=Math.floor(len/18);
       for(var bi=0;bi<bc;bi++){for(s=-1;s<=1;s+=2){
-        if(Math.random()>0.72)continue;
-        t=(bi+0.5)/bc;var off=20+Math.random()*12;
+        if(rand()>sc.buildingDensity)continue;
+        t=(bi+0.5)/bc;var off=20+rand()*12;
         var bx=a[0]+dx*t+px*s*off,bz2=a[1]+dz*t+pz*s*off;
         if(!canPlace(bx,bz2))continue;
-        var bw=6+Math.random()*9,bd=6+Math.random()*9,bh=8+Math.random()*25;
-        m=new THREE.Mesh(new THREE.BoxGeometry(bw,bh,bd),bMats[Math.floor(Math.random()*bMats.length)]);
+        var bw=6+rand()*9,bd=6+rand()*9,bh=8+rand()*25;
+        m=new THREE.Mesh(new THREE.BoxGeometry(bw,bh,bd),bMats[Math.floor(rand()*bMats.length)]);
         m.position.set(bx,bh/2,bz2);m.castShadow=true;m.receiveShadow=true;scene.add(m);
         /* roof ledge */
         var ledge=new THREE.Mesh(new THREE.BoxGeometry(bw+0.6,0.3,bd+0.6),new THREE.MeshStandardMaterial({color:0x555555,roughness:0.6}));
@@ -677,7 +867,7 @@ export default function App(){
         /* windows - more detailed */
         var wr=Math.floor(bh/5),wc2=Math.floor(bw/3.5),r,c;
         for(r=0;r<wr;r++)for(c=0;c<wc2;c++){
-          var rng=Math.random();
+          var rng=rand();
           if(rng>0.75)continue;
           var wmat=rng<0.25?winMat2:rng<0.5?winMat1:winDark;
           for(var f=-1;f<=1;f+=2){
@@ -689,11 +879,12 @@ export default function App(){
         placed.push([bx,bz2]);obstacles.push({x:bx,z:bz2,hw:bw/2+1.5,hd:bd/2+1.5});
       }}
     }
-    for(i=0;i<45;i++){
-      var bx3=-130+Math.random()*460,bz3=-190+Math.random()*400;
+    var bnd=sc.bounds;
+    for(i=0;i<sc.fillerBuildings;i++){
+      var bx3=bnd[0]+rand()*(bnd[2]-bnd[0]),bz3=bnd[1]+rand()*(bnd[3]-bnd[1]);
       if(!canPlace(bx3,bz3))continue;
-      var bh3=5+Math.random()*16,bw3=5+Math.random()*7,bd3=5+Math.random()*7;
-      m=new THREE.Mesh(new THREE.BoxGeometry(bw3,bh3,bd3),bMats[Math.floor(Math.random()*bMats.length)]);
+      var bh3=5+rand()*16,bw3=5+rand()*7,bd3=5+rand()*7;
+      m=new THREE.Mesh(new THREE.BoxGeometry(bw3,bh3,bd3),bMats[Math.floor(rand()*bMats.length)]);
       m.position.set(bx3,bh3/2,bz3);m.castShadow=true;m.receiveShadow=true;scene.add(m);
       placed.push([bx3,bz3]);obstacles.push({x:bx3,z:bz3,hw:bw3/2+1.5,hd:bd3/2+1.5});
     }
@@ -705,10 +896,11 @@ export default function App(){
       new THREE.MeshStandardMaterial({color:0x358a35,roughness:0.8,metalness:0}),
       new THREE.MeshStandardMaterial({color:0x1c7a1c,roughness:0.88,metalness:0}),
     ];
-    for(i=0;i<70;i++){
-      var tx=-90+Math.random()*380,tz2=-170+Math.random()*360;
+    for(i=0;i<sc.trees;i++){
+      /* trees keep a little inside the building bounds */
+      var tx=bnd[0]+40+rand()*(bnd[2]-bnd[0]-80),tz2=bnd[1]+20+rand()*(bnd[3]-bnd[1]-40);
       /* check distance to road segments (not just waypoints) */
-      if(nearRoad(tx,tz2,14))continue;
+      if(nearRoad(roadLines,tx,tz2,14))continue;
       /* check against placed buildings */
       var treeOk=true;
       for(var ii3=0;ii3<placed.length;ii3++){if(dd(tx,tz2,placed[ii3][0],placed[ii3][1])<10){treeOk=false;break;}}
@@ -717,23 +909,26 @@ export default function App(){
       m=new THREE.Mesh(new THREE.CylinderGeometry(0.25,0.45,4,8),trkMat);
       m.position.set(tx,2,tz2);m.castShadow=true;scene.add(m);
       /* canopy - two spheres for fullness */
-      var lsz=2+Math.random()*1.8;
-      var lfm=lfMats[Math.floor(Math.random()*3)];
+      var lsz=2+rand()*1.8;
+      var lfm=lfMats[Math.floor(rand()*3)];
       m=new THREE.Mesh(new THREE.SphereGeometry(lsz,10,8),lfm);
-      m.position.set(tx,4.8+Math.random()*0.5,tz2);m.castShadow=true;scene.add(m);
+      m.position.set(tx,4.8+rand()*0.5,tz2);m.castShadow=true;scene.add(m);
       /* second smaller sphere offset */
       var ls2=lsz*0.7;
       m=new THREE.Mesh(new THREE.SphereGeometry(ls2,8,6),lfm);
-      m.position.set(tx+Math.random()*1.2-0.6,5.5+Math.random()*0.5,tz2+Math.random()*1.2-0.6);
+      m.position.set(tx+rand()*1.2-0.6,5.5+rand()*0.5,tz2+rand()*1.2-0.6);
       m.castShadow=true;scene.add(m);
       obstacles.push({x:tx,z:tz2,r:2.0});
     }
 
     /* ── STREET LIGHTS along route ── */
+    var streetLights=[];
     var poleMat=new THREE.MeshStandardMaterial({color:0x555555,roughness:0.4,metalness:0.6});
     var lightBulbMat=new THREE.MeshStandardMaterial({color:0xffffcc,emissive:0xffddaa,emissiveIntensity:0.8,roughness:0.2});
-    for(i=0;i<R.length-1;i+=2){
-      a=R[i];b=R[i+1];dx=b[0]-a[0];dz=b[1]-a[1];len=Math.sqrt(dx*dx+dz*dz);
+    for(ci=0;ci<chains.length;ci++)for(i=0;i<chains[ci].pts.length-1;i+=2){
+      /* a pole at the start of a chain would stand in the junction */
+      if(i===0&&chains[ci].startJ)continue;
+      a=chains[ci].pts[i];b=chains[ci].pts[i+1];dx=b[0]-a[0];dz=b[1]-a[1];len=Math.sqrt(dx*dx+dz*dz);
       ang=Math.atan2(dx,dz);
       for(s=-1;s<=1;s+=2){
         var lpx=a[0]+Math.cos(ang)*s*10;
@@ -750,7 +945,7 @@ export default function App(){
         /* small point light for glow */
         var pl=new THREE.PointLight(0xffddaa,0.15,20);
         pl.position.set(lpx-s*1.6,4.8,lpz);
-        scene.add(pl);
+        scene.add(pl);streetLights.push(pl);
       }
     }
 
@@ -763,6 +958,9 @@ export default function App(){
     var benchMat=new THREE.MeshStandardMaterial({color:0x6b4226,roughness:0.85,metalness:0});
     var bodyFig=new THREE.MeshStandardMaterial({color:0x334499,roughness:0.8});
     var headFig=new THREE.MeshStandardMaterial({color:0xd4a574,roughness:0.7});
+    /* people getting on & off glow in the colours the stop question uses */
+    var boardFig=new THREE.MeshStandardMaterial({color:0x2ecc71,emissive:0x2ecc71,emissiveIntensity:0.7,roughness:0.6});
+    var alightFig=new THREE.MeshStandardMaterial({color:0xe74c3c,emissive:0xe74c3c,emissiveIntensity:0.7,roughness:0.6});
 
     for(var si=0;si<STOPS.length;si++){
       var stop=STOPS[si],wp=R[stop.i];
@@ -811,7 +1009,7 @@ export default function App(){
       waitFigs.push(figs);
     }
 
-    /* alighting figure pool */
+    /* alighting figure pool - crossings borrow from it too, so figures are plain until they step off the bus */
     var alightFigs=[],alightFigPool=[];
     function createAlightFig(){
       if(alightFigPool.length>0){var fig=alightFigPool.pop();fig.visible=true;return fig;}
@@ -822,21 +1020,33 @@ export default function App(){
       scene.add(fg2);return fg2;
     }
     function recycleAlightFig(fig){
-      fig.visible=false;fig.userData.walkState="idle";fig.userData.walkProgress=0;
+      fig.visible=false;fig.userData.walkState="idle";fig.userData.walkProgress=0;fig.children[0].material=bodyFig;
       var idx=alightFigs.indexOf(fig);if(idx>=0)alightFigs.splice(idx,1);alightFigPool.push(fig);
     }
+    /* move a walking figure along its walkStart→walkEnd line; true once it arrives */
+    function stepWalk(fig,dt){
+      var u=fig.userData,wd=dd(u.walkStartX,u.walkStartZ,u.walkEndX,u.walkEndZ);
+      u.walkProgress+=dt*u.walkSpeed/Math.max(wd,0.1);
+      if(u.walkProgress>=1)return true;
+      var pr=u.walkProgress;
+      fig.position.x=u.walkStartX+(u.walkEndX-u.walkStartX)*pr;
+      fig.position.z=u.walkStartZ+(u.walkEndZ-u.walkStartZ)*pr;
+      fig.position.y=Math.sin(pr*Math.PI*4)*0.08;
+      fig.rotation.y=Math.atan2(u.walkEndX-u.walkStartX,u.walkEndZ-u.walkStartZ);
+      return false;
+    }
 
     /* ── MOUNTAINS (smoother) ── */
     var mtMat=new THREE.MeshStandardMaterial({color:0x667788,roughness:0.9,metalness:0,transparent:true,opacity:0.45});
     var snowMat=new THREE.MeshStandardMaterial({color:0xeeeeff,roughness:0.8,metalness:0,transparent:true,opacity:0.5});
     for(i=0;i<14;i++){
-      var aa=i/14*Math.PI*2,rr=320+Math.random()*60,hh=30+Math.random()*50;
-      m=new THREE.Mesh(new THREE.ConeGeometry(32+Math.random()*22,hh,6),mtMat);
-      m.position.set(Math.cos(aa)*rr+100,hh/2-4,Math.sin(aa)*rr);scene.add(m);
+      var aa=i/14*Math.PI*2,rr=320+rand()*60,hh=30+rand()*50;
+      m=new THREE.Mesh(new THREE.ConeGeometry(32+rand()*22,hh,6),mtMat);
+      m.position.set(Math.cos(aa)*rr+gcx,hh/2-4,Math.sin(aa)*rr+gcz);scene.add(m);
       /* snow cap */
       if(hh>45){
         var cap=new THREE.Mesh(new THREE.ConeGeometry(10,hh*0.2,6),snowMat);
-        cap.position.set(Math.cos(aa)*rr+100,hh*0.9,Math.sin(aa)*rr);scene.add(cap);
+        cap.position.set(Math.cos(aa)*rr+gcx,hh*0.9,Math.sin(aa)*rr+gcz);scene.add(cap);
       }
     }
 
@@ -845,15 +1055,15 @@ export default function App(){
     var clouds=[];
     for(i=0;i<8;i++){
       var cg=new THREE.Group();
-      var numPuffs=2+Math.floor(Math.random()*2);
+      var numPuffs=2+Math.floor(rand()*2);
       for(var j=0;j<numPuffs;j++){
-        var puffSize=4+Math.random()*7;
+        var puffSize=4+rand()*7;
         var cs=new THREE.Mesh(new THREE.SphereGeometry(puffSize,8,6),cldMat);
-        cs.position.set(j*puffSize*0.8-numPuffs*2,Math.random()*2,Math.random()*3);
-        cs.scale.y=0.4+Math.random()*0.2;cs.scale.x=0.8+Math.random()*0.4;
+        cs.position.set(j*puffSize*0.8-numPuffs*2,rand()*2,rand()*3);
+        cs.scale.y=0.4+rand()*0.2;cs.scale.x=0.8+rand()*0.4;
         cg.add(cs);
       }
-      cg.position.set(-250+Math.random()*700,52+Math.random()*45,-250+Math.random()*500);
+      cg.position.set(gcx-350+rand()*700,52+rand()*45,gcz-250+rand()*500);
       scene.add(cg);clouds.push(cg);
     }
 
@@ -867,9 +1077,9 @@ export default function App(){
     var busDarkMat=new THREE.MeshStandardMaterial({color:0x2a2a2a,roughness:0.6,metalness:0.2});
     var busGlassMat=new THREE.MeshStandardMaterial({color:0x8abbdd,roughness:0.1,metalness:0.4,transparent:true,opacity:0.4});
 
-    /* body */
-    m=new THREE.Mesh(new THREE.BoxGeometry(3.2,2.8,7.5),busBodyMat);
-    m.position.set(0,1.9,0);m.castShadow=true;bus.add(m);
+    /* body - segmented so it can be dented */
+    var busBody=new THREE.Mesh(new THREE.BoxGeometry(3.2,2.8,7.5,8,6,18),busBodyMat);
+    busBody.position.set(0,1.9,0);busBody.castShadow=true;bus.add(busBody);
     /* roof */
     m=new THREE.Mesh(new THREE.BoxGeometry(3.3,0.2,7.6),busTrimMat);
     m.position.set(0,3.35,0);m.castShadow=true;bus.add(m);
@@ -888,11 +1098,20 @@ export default function App(){
       m.position.set(s*1.61,2.3,-2.3+w*1.7);m.rotation.y=s*Math.PI/2;bus.add(m);
     }
     /* bumpers */
-    m=new THREE.Mesh(new THREE.BoxGeometry(3.4,0.4,0.2),busDarkMat);m.position.set(0,0.55,-3.82);bus.add(m);
-    m=new THREE.Mesh(new THREE.BoxGeometry(3.4,0.4,0.2),busDarkMat);m.position.set(0,0.55,3.82);bus.add(m);
+    var bumpers={};
+    m=new THREE.Mesh(new THREE.BoxGeometry(3.4,0.4,0.2),busDarkMat);m.position.set(0,0.55,-3.82);bus.add(m);bumpers.front=m;
+    m=new THREE.Mesh(new THREE.BoxGeometry(3.4,0.4,0.2),busDarkMat);m.position.set(0,0.55,3.82);bus.add(m);bumpers.rear=m;
     /* headlights */
     var hlMat=new THREE.MeshStandardMaterial({color:0xffffee,emissive:0xffffcc,emissiveIntensity:0.8,roughness:0.1,metalness:0.3});
-    for(s=-1;s<=1;s+=2){m=new THREE.Mesh(new THREE.SphereGeometry(0.2,8,6),hlMat);m.position.set(s*1.1,1.1,-3.78);bus.add(m);}
+    var headlamps=[];
+    for(s=-1;s<=1;s+=2){m=new THREE.Mesh(new THREE.SphereGeometry(0.2,8,6),hlMat);m.position.set(s*1.1,1.1,-3.78);bus.add(m);headlamps.push({bulb:m});}
+    /* headlight beams, dark until dusk or bad weather */
+    var headlights=[];
+    for(s=-1;s<=1;s+=2){
+      var hl=new THREE.SpotLight(0xfff4dd,0,60,0.45,0.5,1.5);
+      hl.position.set(s*1.1,1.1,-3.9);hl.target.position.set(s*1.5,0,-25);
+      bus.add(hl);bus.add(hl.target);headlights.push(hl);headlamps[headlights.length-1].light=hl;
+    }
     /* tail lights */
     var tlMat=new THREE.MeshStandardMaterial({color:0xff2200,emissive:0xff1100,emissiveIntensity:0.6,roughness:0.2});
     for(s=-1;s<=1;s+=2){m=new THREE.Mesh(new THREE.BoxGeometry(0.4,0.25,0.06),tlMat);m.position.set(s*1.2,1.1,3.8);bus.add(m);}
@@ -915,39 +1134,133 @@ export default function App(){
     m=new THREE.Mesh(new THREE.PlaneGeometry(1.8,0.65),new THREE.MeshStandardMaterial({color:0xff6600,emissive:0xff4400,emissiveIntensity:0.4,roughness:0.3}));
     m.position.set(0,3.0,-3.77);bus.add(m);
     /* side mirrors */
+    var mirrors=[];
     for(s=-1;s<=1;s+=2){
       m=new THREE.Mesh(new THREE.BoxGeometry(0.3,0.2,0.15),busDarkMat);
-      m.position.set(s*1.8,2.0,-3.0);bus.add(m);
+      m.position.set(s*1.8,2.0,-3.0);bus.add(m);mirrors.push(m);
     }
-
-    var initAng=Math.atan2(R[1][0]-R[0][0],R[1][1]-R[0][1])+Math.PI;
+    /* cab interior - only shown from the driver's seat (camera.js) */
+    var cab=new THREE.Group();cab.visible=false;bus.add(cab);
+    m=new THREE.Mesh(new THREE.BoxGeometry(3.0,0.5,0.7),busDarkMat);m.position.set(0,1.3,-3.35);cab.add(m);
+    m=new THREE.Mesh(new THREE.BoxGeometry(3.0,0.06,0.5),busTrimMat);m.position.set(0,1.57,-3.4);cab.add(m);
+    /* pillars & lower side panels, since the body box isn't drawn from inside */
+    for(s=-1;s<=1;s+=2){
+      m=new THREE.Mesh(new THREE.BoxGeometry(0.15,1.9,0.12),busDarkMat);m.position.set(s*1.45,2.25,-3.68);cab.add(m);
+      m=new THREE.Mesh(new THREE.BoxGeometry(0.06,1.1,3.0),busTrimMat);m.position.set(s*1.56,1.1,-2.2);cab.add(m);
+    }
+    /* instrument binnacle & speedo */
+    m=new THREE.Mesh(new THREE.BoxGeometry(0.7,0.3,0.2),busDarkMat);m.position.set(0.85,1.68,-3.15);m.rotation.x=-0.4;cab.add(m);
+    var dialMat=new THREE.MeshStandardMaterial({color:0x111820,emissive:0x3388aa,emissiveIntensity:0.5,roughness:0.4});
+    var dial=new THREE.Mesh(new THREE.CircleGeometry(0.11,20),dialMat);dial.position.set(0.85,1.69,-3.04);dial.rotation.x=-0.4;cab.add(dial);
+    var needle=new THREE.Mesh(new THREE.BoxGeometry(0.012,0.09,0.005),new THREE.MeshBasicMaterial({color:0xff5533}));
+    needle.geometry.translate(0,0.04,0);needle.position.set(0,0,0.005);dial.add(needle);
+    /* steering wheel, tilted towards the driver; the inner group spins */
+    var wheelMount=new THREE.Group();wheelMount.position.set(0.85,1.72,-2.9);wheelMount.rotation.x=-0.95;cab.add(wheelMount);
+    var steeringWheel=new THREE.Group();wheelMount.add(steeringWheel);
+    steeringWheel.add(new THREE.Mesh(new THREE.TorusGeometry(0.26,0.025,8,24),busDarkMat));
+    for(var sk=0;sk<3;sk++){
+      m=new THREE.Mesh(new THREE.BoxGeometry(0.03,0.24,0.02),busDarkMat);
+      m.geometry.translate(0,-0.12,0);m.rotation.z=sk*Math.PI*2/3;steeringWheel.add(m);
+    }
+    m=new THREE.Mesh(new THREE.CylinderGeometry(0.05,0.05,0.05,12),busTrimMat);m.rotation.x=Math.PI/2;steeringWheel.add(m);
+    m=new THREE.Mesh(new THREE.CylinderGeometry(0.04,0.04,0.5,8),busDarkMat);m.rotation.x=Math.PI/2;m.position.z=-0.25;wheelMount.add(m);
+
+    var damage=createDamage(bus,{body:busBody,windscreen:{x:0,y:2.2,z:-3.78,w:2.8,h:1.8},
+      headlamps:headlamps,mirrors:mirrors,bumpers:bumpers},createRng(seed+"/"+route.id+"/damage"));
+
+    /* ── SKY: time of day & weather ── */
+    var sky=createSky(scene,{sun:sun,fill:fill,amb:amb,hemi:hemi,streetLights:streetLights,bulbMat:lightBulbMat,
+      windowMats:[[winMat1,0.3,1.1],[winMat2,0.6,1.8]],headlights:headlights,headlightMat:hlMat});
+    sky.set(skyRef.current.weather,skyRef.current.hour);
+
+    /* ── TRAFFIC ── */
+    var traffic=createTraffic(scene,smoothR);
+    var signals=createSignals(scene,R,route,createRng(seed+"/"+route.id+"/signals"),traffic.project);
+    for(i=0;i<signals.obstacles.length;i++)obstacles.push(signals.obstacles[i]);
+    var crossings=createCrossings(scene,R,route,{create:createAlightFig,recycle:recycleAlightFig,step:stepWalk},traffic.project);
+    /* everything in obstacles is static from here on; cars and pedestrians are checked per frame */
+    var world=createCollisionWorld(obstacles,20);
+    setMapData(buildMapData(route,smoothR,roadLines,obstacles));
+
+    var initAng=route.spawnHeading;
+    /* heading first, then pitch and roll about the bus's own axes */
+    bus.rotation.order="YXZ";
     bus.position.set(R[0][0],0,R[0][1]);bus.rotation.y=initAng;
     scene.add(bus);
 
+    /* the ghost: a see-through copy of the bus replaying the player's best run (ghost.js) */
+    var ghostMat=new THREE.MeshBasicMaterial({color:0x99ddff,transparent:true,opacity:0.3,depthWrite:false});
+    var ghostBus=bus.clone();
+    /* clones share geometry, and damage.js dents the body's in place - the ghost keeps its own, unmarked */
+    var ghostBody=ghostBus.children[bus.children.indexOf(busBody)];ghostBody.geometry=busBody.geometry.clone();
+    ghostBus.remove(ghostBus.children[bus.children.indexOf(cab)]);
+    var ghostLights=[];
+    ghostBus.traverse(function(o){
+      if(o.isLight)ghostLights.push(o);
+      else if(o.isMesh){o.material=ghostMat;o.castShadow=false;o.receiveShadow=false;}
+    });
+    ghostLights.forEach(function(o){o.parent.remove(o);});
+    ghostBus.visible=false;scene.add(ghostBus);
+
     /* ══ GAME STATE ══ */
     var g={
-      speed:0,heading:initAng,steer:0,pax:newPax(diffRef.current),onBus:0,delivered:0,score:0,
+      speed:0,heading:initAng,steer:0,pax:newPax(STOPS,diffRef.current,createRng(seed+"/"+route.id+"/pax")),onBus:0,delivered:0,score:0,
       nearIdx:-1,stoppedIdx:-1,time:0,nextWp:1,visited:{},
-      crashed:false,crashTimer:0,damage:0,camShake:0,
+      crashed:false,crashTimer:0,damage:0,camShake:0,limp:false,
       prevX:R[0][0],prevZ:R[0][1],obstacles:obstacles,
-      mathSolved:true,mathPrev:0
+      mathSolved:true,mathPrev:0,mathCorrect:0,mathAttempts:0,hintsUsed:0,answers:[],askedAt:0,infractions:0,notice:null,pedIncidents:0,
+      timetable:null,arrivals:[],fares:0,tips:0,joltCool:0,rec:null,play:null,ghost:null,split:null
     };
+    resetVehicle(g);
     gRef.current=g;
+    traffic.reset(diffRef.current,createRng(seed+"/"+route.id+"/traffic"));
+    crossings.reset(createRng(seed+"/"+route.id+"/crossings"));
 
     for(si=0;si<STOPS.length;si++){var wc=0;
       for(var pi=0;pi<g.pax.length;pi++)if(g.pax[pi].origin===si&&!g.pax[pi].on&&!g.pax[pi].done)wc++;
       for(fi=0;fi<waitFigs[si].length;fi++)waitFigs[si][fi].visible=fi<wc;}
 
-    var camOff=new THREE.Vector3(0,12,20);
-    var camLk=new THREE.Vector3(bus.position.x,2.5,bus.position.z);
+    var rig=createCameraRig(camera,bus,{cab:cab,wheel:steeringWheel,needle:needle});
 
+    g.sky=function(w,h){sky.set(w,h);};
+    /* resolution & shadows; materials recompile when shadows come or go */
+    g.quality=function(q){
+      var Q=QUALITY[q];
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio,Q.pixelRatio));
+      if(renderer.shadowMap.enabled!==!!Q.shadows){
+        renderer.shadowMap.enabled=!!Q.shadows;
+        scene.traverse(function(o){if(o.material)o.material.needsUpdate=true;});
+      }
+      if(Q.shadows&&sun.shadow.mapSize.x!==Q.shadows){
+        sun.shadow.mapSize.set(Q.shadows,Q.shadows);
+        if(sun.shadow.map){sun.shadow.map.dispose();sun.shadow.map=null;}
+      }
+    };
+    g.quality(settingsRef.current.quality);
+    g.mapBus=function(){return{x:bus.position.x,z:bus.position.z,h:g.heading};};
+    g.nextStop=function(){for(var i=0;i<STOPS.length;i++)if(!g.visited[i])return i;return STOPS.length-1;};
     g.reset=function(){
-      g.pax=newPax(diffRef.current);g.speed=0;g.steer=0;g.onBus=0;g.delivered=0;g.score=0;
+      sky.set(skyRef.current.weather,skyRef.current.hour);
+      /* adaptive maths picks up where the player left off last time */
+      var player=activeProfile(profilesRef.current);
+      g.adaptive=diffRef.current==="adaptive"?createAdaptive(player?player.skill:null):null;
+      g.paxRand=createRng(seed+"/"+route.id+"/pax");
+      g.pax=g.adaptive?dealPax([],STOPS,0,g.adaptive.level(),g.paxRand):newPax(STOPS,diffRef.current,g.paxRand);resetVehicle(g);g.onBus=0;g.delivered=0;g.score=0;
       g.nearIdx=-1;g.stoppedIdx=-1;g.time=0;g.nextWp=1;g.visited={};
-      g.crashed=false;g.crashTimer=0;g.damage=0;g.camShake=0;
-      g.mathSolved=true;g.mathPrev=0;
+      g.crashed=false;g.crashTimer=0;g.damage=0;g.camShake=0;g.limp=false;damage.reset();
+      g.mathSolved=true;g.mathPrev=0;g.infractions=0;g.notice=null;g.pedIncidents=0;
+      /* schedule is fixed when the shift starts, so it follows the chosen difficulty */
+      g.timetable=ttRef.current?buildTimetable(route,diffRef.current):null;g.arrivals=[];
+      g.fares=0;g.tips=0;g.joltCool=0;g.mathCorrect=0;g.mathAttempts=0;g.hintsUsed=0;g.answers=[];
+      g.question=null;g.qRand=createRng(seed+"/"+route.id+"/questions");
+      g.rec=createRecorder({routeId:route.id,routeName:route.name,route:routeFingerprint(route),seed:String(seed),difficulty:diffRef.current,
+        weather:skyRef.current.weather,hour:skyRef.current.hour,player:player?player.name:null});g.play=null;
+      g.ghost=ghostRef.current&&player?loadGhost(player.id,route,diffRef.current):null;g.split=null;
+      ghostBus.visible=!!g.ghost;
+      signals.reset();crossings.reset(createRng(seed+"/"+route.id+"/crossings"));
       g.prevX=R[0][0];g.prevZ=R[0][1];g.heading=initAng;
       bus.position.set(R[0][0],0,R[0][1]);bus.rotation.y=initAng;bus.rotation.z=0;bus.rotation.x=0;
+      traffic.reset(diffRef.current,createRng(seed+"/"+route.id+"/traffic"));
       for(var ai=alightFigs.length-1;ai>=0;ai--)recycleAlightFig(alightFigs[ai]);
       for(var ssi=0;ssi<STOPS.length;ssi++){var wwc=0;
         for(var ppi=0;ppi<g.pax.length;ppi++)if(g.pax[ppi].origin===ssi&&!g.pax[ppi].on&&!g.pax[ppi].done)wwc++;
@@ -956,21 +1269,84 @@ export default function App(){
           wf.userData.walkState="idle";wf.userData.walkProgress=0;wf.userData.paxIndex=-1;}}
     };
 
+    /* ── replays (replay.js): the bus is recorded while driving and can be played back over the same city ── */
+    function recordFrame(force){
+      if(g.rec)g.rec.sample(g.time,{x:bus.position.x,z:bus.position.z,h:g.heading,speed:g.speed,steer:g.steer,
+        roll:bus.rotation.z,pitch:bus.rotation.x,onBus:g.onBus,score:g.score},force);
+    }
+    function record(type,data){if(g.rec)g.rec.event(g.time,type,data);}
+    /* back: the phase to return to afterwards */
+    g.watch=function(rep,back){
+      g.reset();g.rec=null;g.ghost=null;ghostBus.visible=false;
+      if(WEATHER[rep.meta.weather]&&isFinite(rep.meta.hour))sky.set(rep.meta.weather,rep.meta.hour);
+      g.play={rep:rep,t:0,speed:1,paused:false,cam:"chase",back:back,len:replayLength(rep),jumped:true};
+      stateRef.current="replay";
+    };
+    g.unwatch=function(){
+      if(!g.play)return;
+      stateRef.current=g.play.back;g.play=null;
+      sky.set(skyRef.current.weather,skyRef.current.hour);
+      if(audioRef.current)audioRef.current.updateEngine(0,30,0);
+    };
+    g.seek=function(t){if(g.play){g.play.t=Math.max(0,Math.min(t,g.play.len));g.play.jumped=true;}};
+    g.orbit=function(a,b,z){rig.orbit(a,b,z);};
+
+    /* one row per timetabled stop for the results screen; stops never opened at count as missed */
+    function timetableRows(){
+      if(!g.timetable)return null;
+      var rows=[];
+      for(var si=1;si<STOPS.length;si++){var a=g.arrivals[si];
+        rows.push({n:STOPS[si].n,due:g.timetable.due[si],at:a?a.at:null,status:a?a.status:"missed",pts:a?a.pts:0});}
+      return rows;
+    }
+    /* wrap up the shift; anyone still aboard never got where they were going */
+    function endShift(bOn,bOff,failed){
+      var rem=0;for(var ppi=0;ppi<g.pax.length;ppi++)if(g.pax[ppi].on&&!g.pax[ppi].done)rem++;
+      g.score=Math.max(g.score-rem*50,0);g.onBus=0;stateRef.current="complete";
+      recordFrame(true);
+      var rep=g.rec?g.rec.finish({score:g.score,delivered:g.delivered,total:g.pax.length,time:g.time,failed:!!failed}):null;
+      setLastReplay(rep);
+      /* only a clean run - everyone delivered, bus still in service - can become the ghost to beat */
+      var player=activeProfile(profilesRef.current),ghostRun=null;
+      if(rep&&player&&!failed&&g.delivered===g.pax.length){
+        var offer=offerGhost(player.id,route,diffRef.current,rep);
+        ghostRun={time:g.time,newBest:offer.newBest,prev:offer.prevTime,full:offer.full};
+      }
+      setUi({phase:"complete",spd:0,score:g.score,onBus:0,del:g.delivered,tot:g.pax.length,
+        near:null,stopN:"",nextS:"",prog:failed?g.nextWp/(R.length-1):1,time:g.time,bOn:bOn,bOff:bOff,crashed:false,damage:g.damage,mathPrev:0,mathSolved:true,
+        infractions:g.infractions,pedIncidents:g.pedIncidents,timetable:timetableRows(),
+        satisfaction:overallSatisfaction(g.pax),fares:g.fares,tips:g.tips,wear:damage.wear(),failed:failed,
+        mathCorrect:g.mathCorrect,mathAttempts:g.mathAttempts,hints:g.hintsUsed,answers:g.answers.slice(),skill:g.adaptive?g.adaptive.skill():null,
+        mathLevel:g.adaptive?g.adaptive.level():null,ghostRun:ghostRun});
+    }
     g.door=function(){
       var st=stateRef.current;
+      /* out of service: the doors stay shut until the depot */
+      if(st==="playing"&&g.limp)return;
       if(st==="playing"&&g.nearIdx>=0&&Math.abs(g.speed)<2){
+        /* split against the ghost, the first time the doors open here */
+        var gs=g.ghost&&!g.visited[g.nearIdx]?g.ghost.splits[g.nearIdx]:undefined;
+        if(gs!==undefined)g.split={stop:STOPS[g.nearIdx].n,delta:g.time-gs};
         g.speed=0;g.stoppedIdx=g.nearIdx;g.visited[g.nearIdx]=true;
         var ssi=g.nearIdx,bOff=0,bOn=0;
         var previousOnBus=g.onBus;
+        /* punctuality is judged the first time the doors open at a stop (the depot is the departure) */
+        if(g.timetable&&ssi>0&&!g.arrivals[ssi]){
+          var due=g.timetable.due[ssi],jd=judge(g.time-due);
+          g.arrivals[ssi]={due:due,at:g.time,status:jd.status,pts:jd.pts};
+          g.score=Math.max(g.score+jd.pts,0);
+          if(jd.status==="late")lateArrival(g.pax,ssi,g.time-due);
+        }
         if(audioRef.current)audioRef.current.playDoor();
         var sp=stopPositions[ssi];
         var doorX=bus.position.x+sp.nx*2,doorZ=bus.position.z+sp.nz*2;
         /* alighting — score immediately, animate walk to shelter */
         for(var ppi=0;ppi<g.pax.length;ppi++){var pp=g.pax[ppi];
           if(pp.on&&pp.dest===ssi&&!pp.done){
-            bOff++;g.delivered++;g.score+=100;
+            bOff++;g.delivered++;
+            var fr=payFare(pp);pp.paid=true;g.score+=fr.pts;g.fares+=fr.fare;g.tips+=fr.tip;
             var af=createAlightFig();af.position.set(doorX,0,doorZ);
-            af.userData.walkState="alighting";af.userData.walkProgress=0;
+            af.userData.walkState="alighting";af.userData.walkProgress=0;af.children[0].material=alightFig;
             af.userData.walkStartX=doorX;af.userData.walkStartZ=doorZ;
             af.userData.walkEndX=sp.sx-1.2+bOff*0.85;af.userData.walkEndZ=sp.sz+0.5;
             af.userData.walkSpeed=5;af.userData.paxIndex=ppi;alightFigs.push(af);}}
@@ -985,9 +1361,15 @@ export default function App(){
                 wf.userData.walkEndX=doorX;wf.userData.walkEndZ=doorZ;
                 wf.userData.walkSpeed=5;wf.userData.paxIndex=ppi2;break;}}}}
         if(bOn>0&&audioRef.current)audioRef.current.playBell();
+        recordFrame(true);record("doors",{stop:ssi,name:STOPS[ssi].n,on:bOn,off:bOff});
         g.mathPrev=previousOnBus;
         g.mathSolved=(bOn===0&&bOff===0);
-        setMathStreak(0);setMathInput("");setMathWrong(false);
+        g.question=g.mathSolved?null:makeQuestion(settingsRef.current.questions,{prev:previousOnBus,on:bOn,off:bOff,
+          stop:STOPS[ssi].n,nextStop:STOPS[Math.min(ssi+1,STOPS.length-1)].n,stopsLeft:STOPS.length-1-ssi,hour:sky.getHour()},
+          g.adaptive?g.adaptive.level():DIFFICULTY_LEVEL[diffRef.current],g.qRand);
+        g.askedAt=performance.now();
+        if(g.adaptive&&!g.mathSolved)g.adaptive.ask(g.askedAt);
+        setMathStreak(0);setMathInput("");setMathWrong(false);setHintStep(0);
         if(ssi===STOPS.length-1){
           /* terminal: finish animations instantly */
           for(var ai3=alightFigs.length-1;ai3>=0;ai3--){
@@ -998,17 +1380,14 @@ export default function App(){
               if(pi10>=0)g.pax[pi10].on=true;wf2.visible=false;
               wf2.position.set(wf2.userData.homeX,0,wf2.userData.homeZ);
               wf2.userData.walkState="idle";wf2.userData.walkProgress=0;}}
-          var cnt=0;for(var ppi3=0;ppi3<g.pax.length;ppi3++)if(g.pax[ppi3].on)cnt++;
-          var rem=0;for(var ppi4=0;ppi4<g.pax.length;ppi4++)if(g.pax[ppi4].on&&!g.pax[ppi4].done)rem++;
-          g.score-=rem*50;g.onBus=0;stateRef.current="complete";
-          setUi({phase:"complete",spd:0,score:g.score,onBus:0,del:g.delivered,tot:g.pax.length,
-            near:null,stopN:"",nextS:"",prog:1,time:g.time,bOn:bOn,bOff:bOff,crashed:false,damage:g.damage,mathPrev:0,mathSolved:true});return;}
+          endShift(bOn,bOff,false);return;}
         var cnt2=0;for(var ppi5=0;ppi5<g.pax.length;ppi5++)if(g.pax[ppi5].on)cnt2++;
         g.onBus=cnt2;
         stateRef.current="stopped";
         setUi(function(prev){return{phase:"stopped",spd:0,score:g.score,onBus:g.onBus,del:g.delivered,
           tot:g.pax.length,near:null,stopN:STOPS[ssi].n,nextS:prev.nextS,prog:prev.prog,time:g.time,bOn:bOn,bOff:bOff,crashed:false,damage:g.damage,
-          mathPrev:previousOnBus,mathSolved:(bOn===0&&bOff===0)};});
+          mathPrev:previousOnBus,mathSolved:(bOn===0&&bOff===0),infractions:g.infractions,pedIncidents:g.pedIncidents,
+          arrival:g.arrivals[ssi]||null,question:g.question,split:g.split};});
       }else if(st==="stopped"){
         if(!g.mathSolved)return;
         if(audioRef.current)audioRef.current.playDoor();
@@ -1023,115 +1402,247 @@ export default function App(){
           for(var ai4=alightFigs.length-1;ai4>=0;ai4--){var af3=alightFigs[ai4],pi12=af3.userData.paxIndex;
             if(pi12>=0){g.pax[pi12].done=true;g.pax[pi12].on=false;}recycleAlightFig(af3);}
           var cnt3=0;for(var ppi6=0;ppi6<g.pax.length;ppi6++)if(g.pax[ppi6].on)cnt3++;
-          g.onBus=cnt3;}
+          g.onBus=cnt3;
+          /* nobody is mid-walk now, so the stops ahead can be re-dealt for the latest level */
+          if(g.adaptive)g.pax=dealPax(g.pax,STOPS,ssi2+1,g.adaptive.level(),g.paxRand);}
         g.stoppedIdx=-1;stateRef.current="playing";
+        recordFrame(true);record("depart",{onBus:g.onBus});
         setUi(function(prev){return Object.assign({},prev,{phase:"playing",stopN:""});});
       }
     };
 
     function onSpace(e){
-      if(e.key===" "){e.preventDefault();if(gRef.current)gRef.current.door();}
-      if(e.key==="h"||e.key==="H"){if(audioRef.current)audioRef.current.playHorn();}
+      var tag=e.target&&e.target.tagName;
+      if(e.key==="Escape"){if(stateRef.current==="map")toggleMap();else togglePause();return;}
+      var act=actionFor(settingsRef.current.keys,e.key.toLowerCase());
+      /* watching a replay, the doors key plays & pauses it */
+      if(stateRef.current==="replay"){
+        if(act==="doors"&&tag!=="INPUT"&&g.play){e.preventDefault();g.play.paused=!g.play.paused;}
+        return;
+      }
+      /* the maths answer box keeps its digits */
+      if(tag==="INPUT"&&act!=="doors")return;
+      if(act==="doors"){e.preventDefault();if(gRef.current)gRef.current.door();}
+      if(act==="horn"){if(audioRef.current)audioRef.current.playHorn();}
+      if(act==="camera")cycleCamera();
+      if(act==="map")toggleMap();
     }
     window.addEventListener("keydown",onSpace);
 
+    /* dragging & scrolling steer the free camera in replays */
+    var orbitFrom=null;
+    function freeCam(){return stateRef.current==="replay"&&g.play&&g.play.cam==="free";}
+    function orbitDown(e){if(freeCam())orbitFrom={x:e.clientX,y:e.clientY};}
+    function orbitMove(e){
+      if(!orbitFrom)return;
+      rig.orbit(-(e.clientX-orbitFrom.x)*0.008,(e.clientY-orbitFrom.y)*0.006);
+      orbitFrom={x:e.clientX,y:e.clientY};
+    }
+    function orbitUp(){orbitFrom=null;}
+    function orbitZoom(e){if(freeCam()){e.preventDefault();rig.orbit(0,0,e.deltaY>0?1.12:0.89);}}
+    el.addEventListener("pointerdown",orbitDown);
+    window.addEventListener("pointermove",orbitMove);
+    window.addEventListener("pointerup",orbitUp);
+    el.addEventListener("wheel",orbitZoom,{passive:false});
+
     /* ══ ANIMATION ══ */
     var clock=new THREE.Clock();
     var animId;
+    var padInput=createPadInput();
 
     function animate(){
       animId=requestAnimationFrame(animate);
       var dt=Math.min(clock.getDelta(),0.05);
-      var keys=keysRef.current;
-      var ph=stateRef.current;
+      var keys=keysRef.current,binds=settingsRef.current.keys;
+      /* a gamepad or wheel is read every frame, even when paused, so its pause button can resume */
+      var pad=padInput.poll(settingsRef.current.pad),ph=stateRef.current;
+      if(pad&&!padBusyRef.current&&ph!=="menu"&&ph!=="complete"&&ph!=="replay"){
+        if(pad.pressed.pause){if(ph==="map")toggleMap();else togglePause();}
+        else if(ph!=="paused"&&ph!=="map"){
+          if(pad.pressed.doors)g.door();
+          if(pad.pressed.horn&&audioRef.current)audioRef.current.playHorn();
+          if(pad.pressed.camera)cycleCamera();
+        }
+        if(pad.pressed.map&&ph!=="paused")toggleMap();
+        ph=stateRef.current;
+      }
+      /* the pause menu and full map freeze everything behind them */
+      if(ph==="paused"||ph==="map"){renderer.render(scene,camera);return;}
 
       if(ph==="playing"){
         g.time+=dt;
         if(g.crashTimer>0)g.crashTimer=Math.max(g.crashTimer-dt,0);
         if(g.camShake>0)g.camShake=Math.max(g.camShake-dt*3,0);
 
-        /* steer */
-        if(keys["arrowleft"]||keys["a"])g.steer=Math.min(g.steer+2.5*dt,0.7);
-        else if(keys["arrowright"]||keys["d"])g.steer=Math.max(g.steer-2.5*dt,-0.7);
-        else{if(Math.abs(g.steer)<0.02)g.steer=0;else g.steer-=Math.sign(g.steer)*3.5*dt;}
-
-        /* speed */
-        if(g.crashed){
-          if(keys["arrowdown"]||keys["s"])g.speed=Math.max(g.speed-18*dt,-8);
-          else if(keys["arrowup"]||keys["w"])g.speed=Math.min(g.speed+6*dt,3);
-          else{if(g.speed>0)g.speed=Math.max(g.speed-5*dt,0);else g.speed=Math.min(g.speed+3*dt,0);}
-        }else{
-          if(keys["arrowup"]||keys["w"])g.speed=Math.min(g.speed+14*dt,30);
-          else if(keys["arrowdown"]||keys["s"])g.speed=Math.max(g.speed-22*dt,-6);
-          else{if(g.speed>0)g.speed=Math.max(g.speed-5*dt,0);else g.speed=Math.min(g.speed+5*dt,0);}
-        }
-
+        /* ── DRIVING: see vehicle.js. Wet or foggy roads lower grip;
+           after a crash the bus can only creep forward or back out ── */
         g.prevX=bus.position.x;g.prevZ=bus.position.z;
-        var tf=Math.min(Math.abs(g.speed)/12,1)*g.steer;
-        g.heading+=tf*dt*2;
+        /* keys are all or nothing; touch and pad pedals and wheels are analogue. A held steering key
+           wins, then a finger on the screen, then the pad */
+        var touch=touchRef.current,steerKey=held(keys,binds,"left")?1:held(keys,binds,"right")?-1:0;
+        stepVehicle(g,{
+          throttle:Math.max(held(keys,binds,"accelerate")?1:0,touch.throttle,pad?pad.throttle:0),
+          brake:Math.max(held(keys,binds,"brake")?1:0,touch.brake,pad?pad.brake:0),
+          steer:steerKey,wheel:steerKey?undefined:touch.wheel!==null?touch.wheel:pad?pad.wheel:undefined,
+          maxFwd:g.crashed?3:damage.maxSpeed(BUS.maxSpeed),maxRev:g.crashed?8:undefined,
+          grip:sky.getWeather().grip,load:g.onBus},dt);
         bus.position.x-=Math.sin(g.heading)*g.speed*dt;
         bus.position.z-=Math.cos(g.heading)*g.speed*dt;
         bus.rotation.y=g.heading;
-        bus.rotation.z=-g.steer*Math.min(Math.abs(g.speed)/30,1)*0.04;
-
-        /* ── COLLISION ── */
-        var bxp=bus.position.x,bzp=bus.position.z;
-        var sinH=Math.sin(g.heading),cosH=Math.cos(g.heading);
-        var testPts=[];
-        for(var ci2=-1;ci2<=1;ci2+=2)for(var cj=-1;cj<=1;cj+=2){
-          testPts.push({x:bxp-sinH*4.2*cj+cosH*1.8*ci2,z:bzp-cosH*4.2*cj-sinH*1.8*ci2});}
-        testPts.push({x:bxp-sinH*4.2,z:bzp-cosH*4.2});
-        testPts.push({x:bxp+sinH*4.2,z:bzp+cosH*4.2});
-
-        var hit=false;
-        for(var oi=0;oi<obstacles.length;oi++){
-          var ob=obstacles[oi];
-          /* broad-phase: skip obstacles far from bus */
-          if(dd(bxp,bzp,ob.x,ob.z)>30)continue;
-          if(ob.r!==undefined){
-            var hitR=ob.r+2.0;
-            for(var pi2=0;pi2<testPts.length;pi2++){if(dd(testPts[pi2].x,testPts[pi2].z,ob.x,ob.z)<hitR){hit=true;break;}}
-            if(!hit&&dd(bxp,bzp,ob.x,ob.z)<hitR)hit=true;
-          }else{
-            for(var pi3=0;pi3<testPts.length;pi3++){var pp3=testPts[pi3];
-              if(pp3.x>ob.x-ob.hw&&pp3.x<ob.x+ob.hw&&pp3.z>ob.z-ob.hd&&pp3.z<ob.z+ob.hd){hit=true;break;}}
-            if(!hit&&bxp>ob.x-ob.hw&&bxp<ob.x+ob.hw&&bzp>ob.z-ob.hd&&bzp<ob.z+ob.hd)hit=true;
-          }
-          if(hit)break;
+        bus.rotation.z=g.roll;bus.rotation.x=g.pitch;
+
+        /* ride comfort: braking and cornering forces felt by the passengers.
+           Only ticks while driving, so time spent on the sums at a stop costs no patience */
+        var strain=g.crashed?0:rideStrain(Math.max(0,-g.ax*Math.sign(g.speed)),Math.abs(g.ay));
+        updateMood(g.pax,dt,strain);
+        if(g.joltCool>0)g.joltCool-=dt;
+        if(strain>0.5&&g.onBus>0&&g.joltCool<=0&&!g.notice){
+          g.notice={text:"😬 Easy! Your passengers felt that",t:1.8};g.joltCool=6;}
+
+        /* ── COLLISION: bus box vs everything nearby (collision.js) ── */
+        var box=busBox(bus.position.x,bus.position.z,g.heading,1.7,3.9);
+        var contacts=world.contacts(box,[traffic.obstacles,crossings.obstacles]);
+        var hfx=-Math.sin(g.heading),hfz=-Math.cos(g.heading),impact=0,hitCt=null,hitPed=null,touching=false;
+        for(var ci4=0;ci4<contacts.length;ci4++){var ct=contacts[ci4],ob=ct.ob;
+          if(ob.ped){if(Math.abs(g.speed)>0.3)hitPed=ob.ped;continue;}
+          touching=true;
+          if(ob.car)ob.car.hit=3;
+          /* push out along the normal and drop only the part of the motion going into the obstacle,
+             so a glancing blow slides along instead of sticking */
+          bus.position.x+=ct.nx*ct.depth;bus.position.z+=ct.nz*ct.depth;
+          var fn=hfx*ct.nx+hfz*ct.nz,vn=g.speed*fn;
+          if(vn<0){g.speed-=vn*fn;if(-vn>impact){impact=-vn;hitCt=ct;}}
         }
 
-        if(hit&&!g.crashed){
-          bus.position.x=g.prevX;bus.position.z=g.prevZ;
-          var impactSpd=Math.abs(g.speed);
-          g.speed=0;g.crashed=true;g.crashTimer=2.5;
-          g.camShake=Math.min(impactSpd/15,1.0);
-          g.score=Math.max(g.score-Math.round(impactSpd*2),0);
-          g.damage++;
-          if(audioRef.current)audioRef.current.playCrash(Math.min(impactSpd/30,1));
-        }else if(g.crashed&&!hit){g.crashed=false;}
+        if(hitPed&&!g.crashed){
+          /* a pedestrian counts on its own tally, not as damage to the bus */
+          g.speed=0;g.crashed=true;g.crashTimer=2.5;g.camShake=0.4;
+          crashJolt(g.pax);
+          g.pedIncidents++;g.score=Math.max(g.score-PEDESTRIAN.hit.pts,0);
+          g.notice={text:"🚶 "+PEDESTRIAN.hit.text+"  -"+PEDESTRIAN.hit.pts,t:2.5};
+          crossings.scare(hitPed);record("pedestrian");
+          if(audioRef.current)audioRef.current.playCrash(0.3);
+        }else if(impact>CRASH_SPEED&&!g.crashed){
+          g.crashed=true;g.crashTimer=2.5;
+          crashJolt(g.pax);
+          g.camShake=Math.min(impact/15,1.0);
+          g.score=Math.max(g.score-Math.round(impact*2),0);
+          g.damage++;damage.hit(box,hitCt,impact);record("crash",{impact:Math.round(impact)});
+          if(audioRef.current)audioRef.current.playCrash(Math.min(impact/30,1));
+          if(!g.limp&&damage.wear()>=LIMP){
+            g.limp=true;g.notice={text:"🔧 The bus is failing - limp back to the depot",t:5};}
+        }else if(g.crashed&&(!touching||g.crashTimer<=0)){g.crashed=false;}
+
+        /* road rules - checked at the front bumper */
+        var inf=signals.check(bus.position.x-Math.sin(g.heading)*3.8,bus.position.z-Math.cos(g.heading)*3.8,g.heading,g.speed);
+        for(var ii=0;ii<inf.length;ii++){var rule=INFRACTIONS[inf[ii]];
+          g.infractions++;g.score=Math.max(g.score-rule.pts,0);
+          g.notice={text:"🚦 "+rule.text+"  -"+rule.pts,t:2.5};record("rule",{text:rule.text});
+          if(audioRef.current)audioRef.current.playHorn();}
+        var fy=crossings.check(bus.position.x-Math.sin(g.heading)*3.8,bus.position.z-Math.cos(g.heading)*3.8,g.heading,g.speed);
+        if(fy>0){
+          g.pedIncidents+=fy;g.score=Math.max(g.score-PEDESTRIAN.yield.pts*fy,0);
+          g.notice={text:"🚶 "+PEDESTRIAN.yield.text+"  -"+PEDESTRIAN.yield.pts*fy,t:2.5};record("rule",{text:PEDESTRIAN.yield.text});
+          if(audioRef.current)audioRef.current.playHorn();}
+        if(g.notice){g.notice.t-=dt;if(g.notice.t<=0)g.notice=null;}
 
         if(g.crashTimer>0){
           bus.rotation.z+=Math.sin(g.crashTimer*25)*g.crashTimer*0.03;
-          bus.rotation.x=Math.sin(g.crashTimer*18)*g.crashTimer*0.015;
-        }else{bus.rotation.x=0;}
+          bus.rotation.x+=Math.sin(g.crashTimer*18)*g.crashTimer*0.015;
+        }
+        recordFrame(false);
+        /* the ghost keeps shift time too, so it waits at the stops it made */
+        if(g.ghost){var gf=frameAt(g.ghost.rep,g.time);
+          ghostBus.position.set(gf.x,0,gf.z);ghostBus.rotation.set(gf.pitch,gf.h,gf.roll);}
 
         /* audio */
-        if(audioRef.current){audioRef.current.updateEngine(g.speed,30);audioRef.current.updateMusic(dt);}
+        if(audioRef.current){audioRef.current.updateEngine(g.speed,30,damage.knock());audioRef.current.updateMusic(dt);}
+
+        /* a bus taken out of service ends the shift once it is back at the depot */
+        var depot=R[STOPS[0].i],depotDist=dd(bus.position.x,bus.position.z,depot[0],depot[1]);
+        if(g.limp&&depotDist<10&&Math.abs(g.speed)<1){endShift(0,0,true);return;}
 
         /* near stop */
         g.nearIdx=-1;
         for(var ssi2=0;ssi2<STOPS.length;ssi2++){var ww=R[STOPS[ssi2].i];
           if(dd(bus.position.x,bus.position.z,ww[0],ww[1])<10){g.nearIdx=ssi2;break;}}
 
-        if(g.nextWp<R.length){var nw=R[g.nextWp];
-          if(dd(bus.position.x,bus.position.z,nw[0],nw[1])<14)g.nextWp=Math.min(g.nextWp+1,R.length-1);}
+        /* on a network the driver may take another road and rejoin further along, so look ahead */
+        for(var wk=g.nextWp;wk<R.length;wk++){var nw=R[wk];
+          if(dd(bus.position.x,bus.position.z,nw[0],nw[1])<14){g.nextWp=Math.min(wk+1,R.length-1);break;}
+          if(!route.branching)break;}
+
+        /* turn guidance: the next junction on the path and which way to leave it */
+        var turn=null,offRoute=false;
+        if(route.branching){
+          for(var tk=Math.max(g.nextWp-1,1);tk<R.length-1;tk++){
+            if(deg[route.path[tk]]<3)continue;
+            var tin=R[tk],tpv=R[tk-1],tnx=R[tk+1];
+            var tax=tin[0]-tpv[0],taz=tin[1]-tpv[1],tbx=tnx[0]-tin[0],tbz=tnx[1]-tin[1];
+            /* signed angle seen from above: positive turns left */
+            var tang=Math.atan2(taz*tbx-tax*tbz,tax*tbx+taz*tbz);
+            turn={dir:Math.abs(tang)<0.5?"straight":tang>0?"left":"right",
+              dist:Math.round(dd(bus.position.x,bus.position.z,tin[0],tin[1]))};
+            break;
+          }
+          var ow=g.nextWp;
+          offRoute=ptSegDist(bus.position.x,bus.position.z,R[ow-1][0],R[ow-1][1],R[ow][0],R[ow][1])>18&&
+            (ow>=R.length-1||ptSegDist(bus.position.x,bus.position.z,R[ow][0],R[ow][1],R[ow+1][0],R[ow+1][1])>18);
+        }
 
-        var nsn="Terminal";
-        for(var ssi3=0;ssi3<STOPS.length;ssi3++)if(!g.visited[ssi3]){nsn=STOPS[ssi3].n;break;}
+        var nsn="Terminal",nsi=STOPS.length-1;
+        for(var ssi3=0;ssi3<STOPS.length;ssi3++)if(!g.visited[ssi3]){nsn=STOPS[ssi3].n;nsi=ssi3;break;}
+        /* running ahead or behind: where we'd arrive at an average pace vs the timetable */
+        var timing=null;
+        if(g.timetable&&nsi>0){
+          var tdue=g.timetable.due[nsi];
+          var teta=estimateArrival(g.timetable,route,nsi,g.time,bus.position.x,bus.position.z,g.nextWp);
+          timing={due:tdue,delta:Math.round(teta-tdue),status:judge(teta-tdue).status};
+        }
 
         setUi({phase:"playing",spd:Math.abs(g.speed),score:g.score,onBus:g.onBus,del:g.delivered,
           tot:g.pax.length,near:g.nearIdx>=0?STOPS[g.nearIdx].n:null,stopN:"",nextS:nsn,
-          prog:g.nextWp/(R.length-1),time:g.time,bOn:0,bOff:0,crashed:g.crashed,damage:g.damage,mathPrev:g.mathPrev,mathSolved:g.mathSolved});
+          prog:g.nextWp/(R.length-1),time:g.time,bOn:0,bOff:0,crashed:g.crashed,damage:g.damage,mathPrev:g.mathPrev,mathSolved:g.mathSolved,
+          turn:turn,offRoute:offRoute,infractions:g.infractions,notice:g.notice?g.notice.text:null,
+          pedIncidents:g.pedIncidents,pedAhead:Math.round(crossings.ahead(bus.position.x,bus.position.z,g.heading,60)),
+          clock:formatHour(sky.getHour()),timing:timing,mood:onBoardMood(g.pax),
+          wear:damage.wear(),zones:damage.zones(),limp:g.limp?Math.round(depotDist):null,
+          bus:{x:bus.position.x,z:bus.position.z,h:g.heading},visited:g.visited,nextIdx:nsi,split:g.split});
+      }
+
+      if(ph==="replay"){
+        var pl=g.play,from=pl.t;
+        if(!pl.paused)pl.t=Math.min(pl.t+dt*pl.speed,pl.len);
+        if(pl.t>=pl.len)pl.paused=true;
+        var f=frameAt(pl.rep,pl.t);
+        bus.position.x=f.x;bus.position.z=f.z;bus.rotation.y=f.h;bus.rotation.z=f.roll;bus.rotation.x=f.pitch;
+        g.heading=f.h;g.speed=f.speed;g.steer=f.steer;g.camShake=0;
+        /* sounds for what happens as it plays through, but not when jumping about */
+        if(!pl.jumped&&audioRef.current){
+          eventsBetween(pl.rep,from,pl.t).forEach(function(e){
+            if(e.type==="doors"||e.type==="depart")audioRef.current.playDoor();
+            else if(e.type==="crash")audioRef.current.playCrash(Math.min(e.impact/30,1));
+            else if(e.type==="pedestrian")audioRef.current.playCrash(0.3);
+            else if(e.type==="rule")audioRef.current.playHorn();
+          });
+        }
+        pl.jumped=false;
+        if(audioRef.current)audioRef.current.updateEngine(pl.paused?0:f.speed,30,0);
+        /* the latest thing to happen, shown for a couple of seconds */
+        var recent=null;pl.visited={};
+        for(var ei=0;ei<pl.rep.events.length;ei++){var ev=pl.rep.events[ei];
+          if(ev.t>pl.t)break;
+          if(ev.type==="doors")pl.visited[ev.stop]=true;
+          if(pl.t-ev.t<2.5)recent=ev;}
+        setReplayInfo({t:pl.t,len:pl.len,paused:pl.paused,speed:pl.speed,cam:pl.cam,
+          spd:Math.abs(f.speed),onBus:f.onBus,score:f.score,event:recent});
+      }
+
+      /* lights cycle and traffic keeps moving while the doors are open */
+      if(ph!=="complete"){
+        signals.update(dt);
+        crossings.update(dt,bus.position.x,bus.position.z,ph==="playing"?g.speed:0);
+        traffic.update(dt,bus.position.x,bus.position.z,ph==="playing"?g.speed:0,signals.holds().concat(crossings.holds()));
       }
 
       /* update wait figs and walk animations */
@@ -1139,35 +1650,23 @@ export default function App(){
         for(var ppi5=0;ppi5<g.pax.length;ppi5++)if(g.pax[ppi5].origin===ssi4&&!g.pax[ppi5].on&&!g.pax[ppi5].done)wwc2++;
         var bc4=0;
         for(var ffi2=0;ffi2<waitFigs[ssi4].length;ffi2++){var wfig=waitFigs[ssi4][ffi2];
+          wfig.children[0].material=wfig.userData.walkState==="boarding"?boardFig:bodyFig;
           if(wfig.userData.walkState==="boarding"){bc4++;
-            var wd=dd(wfig.userData.walkStartX,wfig.userData.walkStartZ,wfig.userData.walkEndX,wfig.userData.walkEndZ);
-            wfig.userData.walkProgress+=dt*wfig.userData.walkSpeed/Math.max(wd,0.1);
-            if(wfig.userData.walkProgress>=1){var pidx=wfig.userData.paxIndex;
+            if(stepWalk(wfig,dt)){var pidx=wfig.userData.paxIndex;
               if(pidx>=0)g.pax[pidx].on=true;wfig.visible=false;
               wfig.position.set(wfig.userData.homeX,0,wfig.userData.homeZ);wfig.position.y=0;wfig.rotation.y=0;
               wfig.userData.walkState="idle";wfig.userData.walkProgress=0;wfig.userData.paxIndex=-1;
-              var cn=0;for(var pk=0;pk<g.pax.length;pk++)if(g.pax[pk].on)cn++;g.onBus=cn;
-            }else{var pr=wfig.userData.walkProgress;
-              wfig.position.x=wfig.userData.walkStartX+(wfig.userData.walkEndX-wfig.userData.walkStartX)*pr;
-              wfig.position.z=wfig.userData.walkStartZ+(wfig.userData.walkEndZ-wfig.userData.walkStartZ)*pr;
-              wfig.position.y=Math.sin(pr*Math.PI*4)*0.08;
-              wfig.rotation.y=Math.atan2(wfig.userData.walkEndX-wfig.userData.walkStartX,wfig.userData.walkEndZ-wfig.userData.walkStartZ);}}}
+              var cn=0;for(var pk=0;pk<g.pax.length;pk++)if(g.pax[pk].on)cn++;g.onBus=cn;}}}
         var idleShow=wwc2-bc4,shown=0;
         for(var ffi3=0;ffi3<waitFigs[ssi4].length;ffi3++){var wf4=waitFigs[ssi4][ffi3];
           if(wf4.userData.walkState==="idle"){wf4.visible=shown<idleShow;shown++;}}}
+      if(ph==="replay")for(var vs in g.play.visited)for(var vf=0;vf<waitFigs[vs].length;vf++)waitFigs[vs][vf].visible=false;
       /* animate alighting figures */
       for(var ai5=alightFigs.length-1;ai5>=0;ai5--){var afig=alightFigs[ai5];
-        var ad=dd(afig.userData.walkStartX,afig.userData.walkStartZ,afig.userData.walkEndX,afig.userData.walkEndZ);
-        afig.userData.walkProgress+=dt*afig.userData.walkSpeed/Math.max(ad,0.1);
-        if(afig.userData.walkProgress>=1){var pidx2=afig.userData.paxIndex;
+        if(stepWalk(afig,dt)){var pidx2=afig.userData.paxIndex;
           if(pidx2>=0){g.pax[pidx2].done=true;g.pax[pidx2].on=false;}
           recycleAlightFig(afig);
-          var cn2=0;for(var pk2=0;pk2<g.pax.length;pk2++)if(g.pax[pk2].on)cn2++;g.onBus=cn2;
-        }else{var pr2=afig.userData.walkProgress;
-          afig.position.x=afig.userData.walkStartX+(afig.userData.walkEndX-afig.userData.walkStartX)*pr2;
-          afig.position.z=afig.userData.walkStartZ+(afig.userData.walkEndZ-afig.userData.walkStartZ)*pr2;
-          afig.position.y=Math.sin(pr2*Math.PI*4)*0.08;
-          afig.rotation.y=Math.atan2(afig.userData.walkEndX-afig.userData.walkStartX,afig.userData.walkEndZ-afig.userData.walkStartZ);}}
+          var cn2=0;for(var pk2=0;pk2<g.pax.length;pk2++)if(g.pax[pk2].on)cn2++;g.onBus=cn2;}}
 
       /* pulse stop rings */
       var pt2=performance.now()*0.003;
@@ -1176,18 +1675,15 @@ export default function App(){
         stopRings[ri2].material.emissiveIntensity=0.3+Math.sin(pt2+ri2*0.9)*0.2;
       }
 
+      sky.update(dt,ph==="playing"||ph==="stopped",bus.position.x,bus.position.z);
+      damage.update(dt,ph==="playing"?g.speed:0);
+
       /* clouds */
-      for(var ci3=0;ci3<clouds.length;ci3++){clouds[ci3].position.x+=dt*(0.5+ci3*0.05);if(clouds[ci3].position.x>450)clouds[ci3].position.x=-350;}
-
-      /* camera */
-      var dOff=new THREE.Vector3(Math.sin(g.heading)*22,10+Math.abs(g.speed)*0.12,Math.cos(g.heading)*22);
-      camOff.lerp(dOff,dt*2.5);
-      var ct=new THREE.Vector3(bus.position.x+camOff.x,camOff.y,bus.position.z+camOff.z);
-      if(g.camShake>0){var sa=g.camShake*1.5;
-        ct.x+=Math.sin(performance.now()*0.05)*sa;ct.y+=Math.cos(performance.now()*0.07)*sa*0.5;ct.z+=Math.sin(performance.now()*0.06)*sa;}
-      camera.position.lerp(ct,dt*4);
-      var la2=new THREE.Vector3(bus.position.x-Math.sin(g.heading)*8,2.5,bus.position.z-Math.cos(g.heading)*8);
-      camLk.lerp(la2,dt*5);camera.lookAt(camLk);
+      for(var ci3=0;ci3<clouds.length;ci3++){clouds[ci3].position.x+=dt*(0.5+ci3*0.05);if(clouds[ci3].position.x>gcx+350)clouds[ci3].position.x=gcx-450;}
+
+      /* camera: the player's choice while driving or watching a replay, the stop cam while the doors are open */
+      rig.update(dt,g,ph==="playing"?camRef.current:ph==="replay"?g.play.cam:"chase",ph==="stopped"&&g.stoppedIdx>=0?stopPositions[g.stoppedIdx]:null,
+        settingsRef.current.camSensitivity);
 
       renderer.render(scene,camera);
     }
@@ -1197,17 +1693,28 @@ export default function App(){
       renderer.setSize(W,H);camera.aspect=W/H;camera.updateProjectionMatrix();}
     window.addEventListener("resize",onResize);
     return function(){cancelAnimationFrame(animId);window.removeEventListener("resize",onResize);
-      window.removeEventListener("keydown",onSpace);renderer.dispose();
-      if(audioRef.current){audioRef.current.dispose();audioRef.current=null;}
+      window.removeEventListener("keydown",onSpace);
+      el.removeEventListener("pointerdown",orbitDown);window.removeEventListener("pointermove",orbitMove);
+      window.removeEventListener("pointerup",orbitUp);el.removeEventListener("wheel",orbitZoom);
+      renderer.dispose();renderer.forceContextLoss();gRef.current=null;
       if(el.contains(renderer.domElement))el.removeChild(renderer.domElement);};
-  },[]);
+  },[routeId,seed]);
+
+  /* a replay starts once its route & city are built - straight away, or after loading them */
+  useEffect(function(){
+    var g2=gRef.current;
+    if(!watching||!g2||g2.play)return;
+    if(watching.rep.meta.routeId!==routeId||String(watching.rep.meta.seed)!==seed)return;
+    g2.watch(watching.rep,watching.back);
+  },[watching,routeId,seed]);
 
   var startPlay=useCallback(function(){
     ensureAudio();
+    if(audioRef.current)audioRef.current.setWeather(WEATHER[skyRef.current.weather].ambience);
     if(gRef.current)gRef.current.reset();
     stateRef.current="playing";
-    setMathStreak(0);setMathInput("");setMathWrong(false);
-    setUi(function(prev){return Object.assign({},prev,{phase:"playing",crashed:false,damage:0});});
+    setMathStreak(0);setMathInput("");setMathWrong(false);setHintStep(0);
+    setUi(function(prev){return Object.assign({},prev,{phase:"playing",crashed:false,damage:0,wear:0,limp:null,infractions:0,pedIncidents:0,notice:null});});
   },[]);
 
   var doDoor=useCallback(function(){
@@ -1215,16 +1722,91 @@ export default function App(){
     if(gRef.current)gRef.current.door();
   },[]);
 
+  var cycleCamera=useCallback(function(){
+    var next=nextCameraMode(camRef.current);
+    camRef.current=next;setCamModeState(next);
+  },[]);
+
+  /* pausing remembers whether the doors were open, and silences the audio */
+  function pauseTo(phase,extra){
+    var g2=gRef.current;
+    g2.pausedFrom=stateRef.current;stateRef.current=phase;
+    if(audioRef.current)audioRef.current.setPaused(true);
+    setUi(function(prev){return Object.assign({},prev,extra,{phase:phase});});
+  }
+  function resume(){
+    var g2=gRef.current;
+    stateRef.current=g2.pausedFrom;
+    if(audioRef.current)audioRef.current.setPaused(false);
+    setUi(function(prev){return Object.assign({},prev,{phase:g2.pausedFrom});});
+  }
+
+  /* open the full map over a running shift (pausing it), or close it and carry on */
+  var toggleMap=useCallback(function(){
+    var g2=gRef.current,st=stateRef.current;if(!g2)return;
+    if(st==="map")resume();
+    else if(st==="playing"||st==="stopped")
+      pauseTo("map",{visited:Object.assign({},g2.visited),bus:g2.mapBus(),nextIdx:g2.nextStop()});
+  },[]);
+
+  var togglePause=useCallback(function(){
+    var st=stateRef.current;if(!gRef.current)return;
+    if(st==="paused")resume();
+    else if(st==="playing"||st==="stopped")pauseTo("paused",{});
+  },[]);
+
+  /* give up on the shift from the pause menu */
+  var quitToMenu=useCallback(function(){
+    stateRef.current="menu";
+    if(audioRef.current)audioRef.current.setPaused(false);
+    setUi(function(prev){return Object.assign({},prev,{phase:"menu"});});
+  },[]);
+
+  /* watch a recording, switching to its route & city first if need be; back is the phase to return to */
+  function watchReplay(rep,back){
+    var r=getRoute(rep.meta.routeId);
+    if(r.id!==rep.meta.routeId){setReplayMsg("That replay was driven on a route that isn't on this device");return;}
+    /* a route edited since (or a different one with the same id) would put the bus off the roads */
+    if(rep.meta.route!==routeFingerprint(r)||rep.events.some(function(e){return e.type==="doors"&&e.stop>=r.stops.length;})){
+      setReplayMsg("That replay was driven on a different version of "+r.name);return;}
+    ensureAudio();setReplayMsg(null);
+    if(rep.meta.routeId!==routeId)setRouteId(rep.meta.routeId);
+    if(String(rep.meta.seed)!==seed)setSeed(String(rep.meta.seed));
+    setWatching({rep:rep,back:back});
+  }
+  function closeReplay(){
+    if(gRef.current)gRef.current.unwatch();
+    setWatching(null);setReplayInfo(null);
+  }
+  function openReplayFile(e){
+    var f=e.target.files&&e.target.files[0];
+    if(!f)return;
+    f.text().then(function(txt){
+      try{watchReplay(decodeReplay(txt),"menu");}catch(err){setReplayMsg(err.message);}
+    }).catch(function(){setReplayMsg("Couldn't read that file");});
+    e.target.value="";
+  }
+  /* playback speed, pause & camera live on the scene's replay state, read every frame */
+  function replayControl(patch){var g2=gRef.current;if(g2&&g2.play)Object.assign(g2.play,patch);}
+
   var toggleMute=useCallback(function(){
     if(audioRef.current){var m2=!audioRef.current.getMuted();audioRef.current.setMute(m2);setMuted(m2);}
   },[]);
 
-  function checkMath(){
-    var g2=gRef.current;if(!g2)return;
-    var answer=parseInt(mathInput,10);
-    var correct=ui.mathPrev-ui.bOff+ui.bOn;
-    if(answer===correct){
-      g2.mathSolved=true;
+  /* value: what was typed, or the choice picked */
+  function checkMath(value){
+    var g2=gRef.current;if(!g2||!ui.question)return;
+    var ok=checkAnswer(ui.question,value);
+    /* a blank box is not an answer, so it does not count against accuracy */
+    if(ok!==null){
+      g2.mathAttempts++;
+      g2.answers.push({type:ui.question.type,correct:ok,secs:Math.round((performance.now()-g2.askedAt)/100)/10,hints:hintStep});
+      /* only the bus count moves the skill - the other questions don't change who rides */
+      if(g2.adaptive&&ui.question.type==="count"){var change=g2.adaptive.answer(ok,performance.now());
+        setUi(function(prev){return Object.assign({},prev,{mathLevel:g2.adaptive.level(),levelChange:change});});}
+    }
+    if(ok){
+      g2.mathSolved=true;g2.mathCorrect++;
       if(audioRef.current){audioRef.current.playCheer();audioRef.current.playBell();}
       setMathStreak(function(s){return s+1;});
       setUi(function(prev){return Object.assign({},prev,{mathSolved:true});});
@@ -1233,11 +1815,11 @@ export default function App(){
     }else{
       setMathWrong(true);setMathStreak(0);
       setTimeout(function(){setMathWrong(false);},600);
+      /* each real wrong answer climbs one rung of the hint ladder */
+      if(ok===false&&hintStep<ui.question.hints.length){setHintStep(hintStep+1);g2.hintsUsed++;}
     }
   }
 
-  var tS=function(k){keysRef.current[k]=true;};
-  var tE=function(k){keysRef.current[k]=false;};
   var phase=ui.phase;
 
   var bs=function(c,bg){return{background:bg,border:"2px solid "+c,color:c,
@@ -1249,7 +1831,7 @@ export default function App(){
     <div style={{width:"100%",height:"100vh",background:"#000",position:"relative",overflow:"hidden",fontFamily:"'Courier New',monospace"}}>
       <style>{`@keyframes shake{0%,100%{transform:translateX(0)}25%{transform:translateX(-6px)}50%{transform:translateX(6px)}75%{transform:translateX(-4px)}}`}</style>
       <div ref={canvasRef} style={{width:"100%",height:"100%",position:"absolute",top:0,left:0,
-        filter:phase==="menu"?"blur(3px) brightness(0.35)":phase==="complete"?"blur(4px) brightness(0.3)":"none",
+        filter:watching?"none":phase==="menu"?"blur(3px) brightness(0.35)":phase==="complete"?"blur(4px) brightness(0.3)":"none",
         transition:"filter 0.5s"}} />
 
       {/* MUTE BUTTON - always visible during gameplay */}
@@ -1259,8 +1841,29 @@ export default function App(){
           borderRadius:8,padding:"6px 10px",cursor:"pointer",fontSize:16,
           fontFamily:"'Courier New',monospace"}}>{muted?"🔇":"🔊"}</button>
       )}
+      {(phase==="playing"||phase==="stopped")&&(
+        <button onClick={togglePause} title="Pause (Esc)" style={{position:"absolute",top:12,right:60,zIndex:20,
+          background:"rgba(0,0,0,0.5)",border:"1px solid rgba(255,255,255,0.15)",color:"#ccc",
+          borderRadius:8,padding:"6px 10px",cursor:"pointer",fontSize:16,
+          fontFamily:"'Courier New',monospace"}}>⏸</button>
+      )}
+
+      {phase==="paused"&&(
+        <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",
+          background:"rgba(0,0,0,0.6)",color:"#fff",zIndex:15}}>
+          <div style={{width:400,maxWidth:"92vw",maxHeight:"92vh",overflowY:"auto",background:"rgba(10,15,30,0.95)",
+            borderRadius:16,padding:"22px 26px",border:"1px solid rgba(255,255,255,0.1)",boxSizing:"border-box"}}>
+            <div style={{textAlign:"center",fontSize:26,fontWeight:"bold",letterSpacing:4,color:"#e8b400"}}>⏸ PAUSED</div>
+            <SettingsPanel settings={settings} onChange={setSettings} onPadBusy={function(b){padBusyRef.current=b;}} />
+            <div style={{display:"flex",gap:8,justifyContent:"center",marginTop:18}}>
+              <button onClick={togglePause} style={bs("#2ecc71","rgba(46,204,113,0.15)")}>▶ RESUME</button>
+              <button onClick={quitToMenu} style={bs("#e74c3c","rgba(231,76,60,0.15)")}>QUIT TO MENU</button>
+            </div>
+          </div>
+        </div>
+      )}
 
-      {phase==="menu"&&(
+      {phase==="menu"&&!watching&&(
         <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",color:"#fff",zIndex:10}}>
           <div style={{textAlign:"center",maxWidth:520,padding:20}}>
             <div style={{fontSize:68,marginBottom:4}}>🚌</div>
@@ -1269,16 +1872,142 @@ export default function App(){
             <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"20px 28px",marginBottom:20,
               textAlign:"left",lineHeight:"2.1em",fontSize:13,border:"1px solid rgba(255,255,255,0.06)"}}>
               <div style={{color:"#e8b400",fontWeight:"bold",marginBottom:8,fontSize:13,letterSpacing:2}}>CONTROLS</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>W / ↑</span> Accelerate</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>S / ↓</span> Brake</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>A / ←</span> Steer Left</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>D / →</span> Steer Right</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>SPACE</span> Doors at stops</div>
-              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>H</span> Horn</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.accelerate)} / ↑</span> Accelerate</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.brake)} / ↓</span> Brake</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.left)} / ←</span> Steer Left</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.right)} / →</span> Steer Right</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.doors)}</span> Doors at stops</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.horn)}</span> Horn</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.camera)}</span> Camera: chase, cab, top-down</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>{keyLabel(settings.keys.map)}</span> Route map (pauses)</div>
+              <div><span style={{color:"#ff8c00",display:"inline-block",width:75}}>ESC</span> Pause &amp; settings</div>
               <div style={{marginTop:10,color:"#888",fontSize:11,lineHeight:"1.6em"}}>
-                Follow blue arrows. Stop at green rings to pick up passengers. 100 pts per delivery.
+                Follow blue arrows. Stop at green rings to pick up passengers. Every delivery pays a fare - drive smoothly for tips.
+                Stop at red lights, slow down at give-way lines and wait for people on zebra crossings.
               </div>
               <div style={{marginTop:6,color:"#6a8",fontSize:11}}>🔊 Engine sounds, music &amp; SFX included</div>
+              <div style={{color:padName?"#6a8":"#666",fontSize:11,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>
+                {padName?"🎮 "+padName+" - calibrate it in the pause menu settings"
+                  :"🎮 Gamepads & wheels work too - plug one in and press a button"}</div>
+            </div>
+            <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"16px 28px",marginBottom:12,
+              border:"1px solid rgba(255,255,255,0.06)"}}>
+              <div style={{color:"#e8b400",fontWeight:"bold",marginBottom:12,fontSize:13,letterSpacing:2}}>PLAYER</div>
+              <div style={{display:"flex",gap:6,justifyContent:"center",flexWrap:"wrap"}}>
+                {profiles.list.map(function(p){
+                  var sel=profiles.active===p.id;
+                  return(<button key={p.id} onClick={function(){setProfiles(selectProfile(profiles,sel?null:p.id));}}
+                    style={{padding:"6px 10px",borderRadius:8,cursor:"pointer",fontFamily:"'Courier New',monospace",fontSize:12,
+                      background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+                      border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",
+                      color:sel?"#e8b400":"#888",transition:"all 0.2s"}}>{p.avatar} {p.name}</button>);
+                })}
+                {!newPlayer&&<button onClick={function(){setNewPlayer({name:"",avatar:AVATARS[profiles.list.length%AVATARS.length]});}}
+                  style={{padding:"6px 10px",borderRadius:8,cursor:"pointer",fontFamily:"'Courier New',monospace",fontSize:12,
+                    background:"rgba(255,255,255,0.05)",border:"2px dashed rgba(255,255,255,0.2)",color:"#00ccff"}}>＋ New player</button>}
+              </div>
+              {newPlayer&&(
+                <div style={{marginTop:10}}>
+                  <div style={{display:"flex",gap:6,justifyContent:"center",alignItems:"center"}}>
+                    <input autoFocus value={newPlayer.name} maxLength={16} placeholder="Your name"
+                      onChange={function(e){setNewPlayer(Object.assign({},newPlayer,{name:e.target.value}));}}
+                      onKeyDown={function(e){e.stopPropagation();if(e.key==="Enter")createPlayer();if(e.key==="Escape")setNewPlayer(null);}}
+                      style={{width:130,padding:"4px 8px",borderRadius:6,border:"1px solid rgba(255,255,255,0.15)",
+                        background:"rgba(255,255,255,0.08)",color:"#e8b400",fontFamily:"'Courier New',monospace",fontSize:13}} />
+                    <button onClick={createPlayer} disabled={!newPlayer.name.trim()} style={bs("#2ecc71","rgba(46,204,113,0.15)")}>ADD</button>
+                    <span onClick={function(){setNewPlayer(null);}} style={{cursor:"pointer",color:"#888",fontSize:14}}>✕</span>
+                  </div>
+                  <div style={{display:"flex",gap:2,justifyContent:"center",flexWrap:"wrap",marginTop:8}}>
+                    {AVATARS.map(function(a){
+                      var sel=newPlayer.avatar===a;
+                      return <span key={a} onClick={function(){setNewPlayer(Object.assign({},newPlayer,{avatar:a}));}}
+                        style={{fontSize:20,padding:"2px 4px",borderRadius:6,cursor:"pointer",
+                          background:sel?"rgba(232,180,0,0.25)":"transparent",border:sel?"1px solid #e8b400":"1px solid transparent"}}>{a}</span>;
+                    })}
+                  </div>
+                </div>
+              )}
+              {me?(function(){
+                var best=bestFor(me,routeId,difficulty),acc=mathAccuracy(me);
+                return(<div style={{marginTop:10,fontSize:11,color:"#888",lineHeight:"1.7em"}}>
+                  <div>Best here: {best?<span><span style={{color:"#e8b400",fontWeight:"bold"}}>{best.score}</span> {RATINGS[best.stars]}</span>:<span style={{color:"#666"}}>not driven yet</span>}</div>
+                  <div>{me.shifts} shift{me.shifts===1?"":"s"} · <span style={{color:"#2ecc71"}}>{me.delivered}</span> passengers delivered
+                    {acc!==null&&<span> · maths <span style={{color:"#3498db"}}>{Math.round(acc*100)}%</span></span>}</div>
+                  <span onClick={function(){deletePlayer(me);}} style={{color:"#a55",cursor:"pointer",fontSize:10}}>Delete {me.name}</span>
+                </div>);
+              })():<div style={{marginTop:10,fontSize:10,color:"#666"}}>Playing as a guest - scores won't be saved</div>}
+            </div>
+            <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"16px 28px",marginBottom:12,
+              border:"1px solid rgba(255,255,255,0.06)"}}>
+              <div style={{color:"#e8b400",fontWeight:"bold",marginBottom:12,fontSize:13,letterSpacing:2}}>ROUTE</div>
+              <div style={{display:"flex",gap:8,justifyContent:"center",flexWrap:"wrap"}}>
+                {routes.map(function(r){
+                  var sel=routeId===r.id;
+                  return(<button key={r.id} onClick={function(){setRouteId(r.id);}}
+                    style={{flex:1,minWidth:130,padding:"10px 8px",borderRadius:8,cursor:"pointer",
+                      fontFamily:"'Courier New',monospace",textAlign:"center",
+                      background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+                      border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",
+                      color:sel?"#e8b400":"#888",transition:"all 0.2s"}}>
+                    <div style={{fontSize:13,fontWeight:"bold"}}>{r.custom?"✏ ":""}{r.name}</div>
+                    <div style={{fontSize:9,marginTop:3,opacity:0.7}}>{r.stops.length} stops · {r.stops[0].n} → {r.stops[r.stops.length-1].n}</div>
+                  </button>);
+                })}
+              </div>
+              {props.onOpenEditor&&<div onClick={props.onOpenEditor} style={{marginTop:10,color:"#00ccff",fontSize:11,cursor:"pointer"}}>
+                ✏ Make your own route in the editor</div>}
+              {props.onOpenTeacher&&<div onClick={props.onOpenTeacher} style={{marginTop:6,color:"#00ccff",fontSize:11,cursor:"pointer"}}>
+                🍎 Teacher dashboard - class results &amp; export</div>}
+              <label style={{display:"block",marginTop:6,color:"#00ccff",fontSize:11,cursor:"pointer"}}>
+                📼 Watch a saved replay
+                <input type="file" accept=".json,application/json" onChange={openReplayFile} style={{display:"none"}} /></label>
+              {replayMsg&&<div style={{marginTop:4,color:"#e74c3c",fontSize:11}}>{replayMsg}</div>}
+              <div style={{marginTop:10,display:"flex",gap:6,alignItems:"center",justifyContent:"center",fontSize:11,color:"#888"}}>
+                CITY SEED
+                <input key={seed} defaultValue={seed}
+                  onBlur={function(e){var v=e.target.value.trim();if(v&&v!==seed)setSeed(v);}}
+                  onKeyDown={function(e){e.stopPropagation();if(e.key==="Enter")e.target.blur();}}
+                  style={{width:90,padding:"3px 6px",borderRadius:6,border:"1px solid rgba(255,255,255,0.15)",
+                    background:"rgba(255,255,255,0.08)",color:"#e8b400",fontFamily:"'Courier New',monospace",fontSize:12,textAlign:"center"}} />
+                <span onClick={function(){setSeed(randomSeed());}} title="New random city" style={{cursor:"pointer",fontSize:14}}>🎲</span>
+              </div>
+              <div onClick={function(){setTimetable(!timetable);}} style={{marginTop:10,fontSize:11,cursor:"pointer",color:timetable?"#2ecc71":"#888"}}>
+                🕑 Timetable mode: <b>{timetable?"ON":"OFF"}</b>
+                <span style={{color:"#666"}}> - {timetable?"arrive at each stop on time for bonus points":"no schedule, drive at your own pace"}</span>
+              </div>
+              {(function(){
+                var best=me?ghostTime(me.id,getRoute(routeId),difficulty):null;
+                return(<div onClick={function(){setGhostOn(!ghostOn);}} style={{marginTop:6,fontSize:11,cursor:"pointer",color:ghostOn?"#99ddff":"#888"}}>
+                  👻 Race your best: <b>{ghostOn?"ON":"OFF"}</b>
+                  <span style={{color:"#666"}}> - {!me?"pick a player to race their best run":best===null?"deliver everyone on this route to set a time":
+                    "beat "+best.toFixed(1)+"s, with splits at every stop"}</span>
+                </div>);
+              })()}
+            </div>
+            <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"16px 28px",marginBottom:12,
+              border:"1px solid rgba(255,255,255,0.06)"}}>
+              <div style={{color:"#e8b400",fontWeight:"bold",marginBottom:12,fontSize:13,letterSpacing:2}}>CONDITIONS</div>
+              <div style={{display:"flex",gap:6,justifyContent:"center",marginBottom:8}}>
+                {Object.keys(WEATHER).map(function(w){
+                  var sel=weather===w;
+                  return(<button key={w} onClick={function(){setConditions(w,timeOfDay);}}
+                    style={{flex:1,padding:"6px 4px",borderRadius:8,cursor:"pointer",fontFamily:"'Courier New',monospace",fontSize:12,
+                      background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+                      border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",
+                      color:sel?"#e8b400":"#888",transition:"all 0.2s"}}>{WEATHER[w].icon} {WEATHER[w].label}</button>);
+                })}
+              </div>
+              <div style={{display:"flex",gap:6,justifyContent:"center"}}>
+                {TIMES_OF_DAY.map(function(t){
+                  var sel=timeOfDay===t.id;
+                  return(<button key={t.id} onClick={function(){setConditions(weather,t.id);}}
+                    style={{flex:1,padding:"6px 4px",borderRadius:8,cursor:"pointer",fontFamily:"'Courier New',monospace",fontSize:11,
+                      background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+                      border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",
+                      color:sel?"#e8b400":"#888",transition:"all 0.2s"}}>{t.label}<div style={{fontSize:9,opacity:0.7}}>{formatHour(t.hour)}</div></button>);
+                })}
+              </div>
+              {WEATHER[weather].grip<1&&<div style={{marginTop:8,color:"#888",fontSize:10}}>Slippery roads - brake early!</div>}
             </div>
             <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"16px 28px",marginBottom:24,
               border:"1px solid rgba(255,255,255,0.06)"}}>
@@ -1286,7 +2015,8 @@ export default function App(){
               <div style={{display:"flex",gap:8,justifyContent:"center"}}>
                 {[["easy","Ages 4-5","Small numbers, adding only"],
                   ["medium","Ages 6-7","Adding & subtracting"],
-                  ["hard","Ages 8+","Bigger numbers"]].map(function(d){
+                  ["hard","Ages 8+","Bigger numbers"],
+                  ["adaptive","Adaptive","Grows with every answer"]].map(function(d){
                   return(<button key={d[0]} onClick={function(){setDiff(d[0]);}}
                     style={{flex:1,padding:"10px 8px",borderRadius:8,cursor:"pointer",
                       fontFamily:"'Courier New',monospace",textAlign:"center",
@@ -1298,6 +2028,22 @@ export default function App(){
                   </button>);
                 })}
               </div>
+              {difficulty==="adaptive"&&<div style={{marginTop:8,color:"#888",fontSize:10}}>
+                {me&&me.skill!==null?"Carrying on at: "+MATH_LEVELS[levelFor(me.skill)].label:"Starts gently, then follows how each answer goes"}</div>}
+              <div onClick={function(){setTeacherOpen(!teacherOpen);}} style={{marginTop:10,fontSize:11,cursor:"pointer",color:"#00ccff"}}>
+                🍎 Teacher: stop questions ({settings.questions.length} of {QUESTION_TYPES.length}) {teacherOpen?"▾":"▸"}</div>
+              {teacherOpen&&(
+                <div style={{display:"flex",gap:6,justifyContent:"center",flexWrap:"wrap",marginTop:8}}>
+                  {QUESTION_TYPES.map(function(t){
+                    var sel=settings.questions.indexOf(t.id)>=0;
+                    return(<button key={t.id} onClick={function(){toggleQuestion(t.id);}}
+                      style={{padding:"5px 8px",borderRadius:8,cursor:"pointer",fontFamily:"'Courier New',monospace",fontSize:11,
+                        background:sel?"rgba(46,204,113,0.2)":"rgba(255,255,255,0.05)",
+                        border:sel?"2px solid #2ecc71":"2px solid rgba(255,255,255,0.1)",
+                        color:sel?"#2ecc71":"#888",transition:"all 0.2s"}}>{t.icon} {t.label}</button>);
+                  })}
+                </div>
+              )}
             </div>
             <button onClick={startPlay} style={{
               background:"linear-gradient(135deg,#e8b400,#ff6b00)",border:"none",color:"#111",
@@ -1307,32 +2053,119 @@ export default function App(){
         </div>
       )}
 
-      {phase==="complete"&&(function(){
+      {phase==="complete"&&!watching&&(function(){
         var miss=ui.tot-ui.del;
         var pct=ui.tot>0?ui.del/ui.tot:0;
-        var rating=pct===1?"⭐⭐⭐ PERFECT":pct>0.7?"⭐⭐ GREAT":pct>0.4?"⭐ DECENT":"NEEDS WORK";
+        var rating=ui.failed?"Bus taken out of service":RATINGS[starsFor(ui.del,ui.tot)];
         return(
           <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",color:"#fff",zIndex:10}}>
             <div style={{textAlign:"center",maxWidth:440,padding:20}}>
-              <div style={{fontSize:52,marginBottom:8}}>🏁</div>
-              <h1 style={{fontSize:32,margin:"0 0 4px",color:"#e8b400",letterSpacing:3}}>ROUTE COMPLETE</h1>
+              <div style={{fontSize:52,marginBottom:8}}>{ui.failed?"🔧":"🏁"}</div>
+              <h1 style={{fontSize:32,margin:"0 0 4px",color:ui.failed?"#ff8844":"#e8b400",letterSpacing:3}}>{ui.failed?"SHIFT ABANDONED":"ROUTE COMPLETE"}</h1>
               <p style={{color:"#ff8c00",fontSize:18,margin:"6px 0 22px"}}>{rating}</p>
+              {me&&(
+                <div style={{margin:"-12px 0 18px",fontSize:13,color:"#ccc"}}>
+                  <div>{me.avatar} {me.name}</div>
+                  {record&&record.newBest&&<div style={{color:"#2ecc71",fontWeight:"bold",marginTop:4}}>
+                    🏆 NEW PERSONAL BEST{record.prevBest!==null?" (was "+record.prevBest+")":""}</div>}
+                  {record&&record.newStars&&<div style={{color:"#e8b400",fontWeight:"bold",marginTop:2}}>
+                    ⭐ MORE STARS THAN EVER ON THIS ROUTE</div>}
+                  {record&&!record.newBest&&record.prevBest!==null&&<div style={{color:"#777",fontSize:11,marginTop:4}}>
+                    Personal best: {record.prevBest}</div>}
+                </div>
+              )}
               <div style={{background:"rgba(0,0,0,0.5)",borderRadius:12,padding:22,marginBottom:28,
                 lineHeight:"2.3em",fontSize:15,border:"1px solid rgba(255,255,255,0.06)"}}>
                 <div>Score: <span style={{color:"#e8b400",fontWeight:"bold"}}>{ui.score}</span></div>
                 <div>Delivered: <span style={{color:"#2ecc71"}}>{ui.del}</span> / {ui.tot}</div>
                 {miss>0&&<div>Missed: <span style={{color:"#e74c3c"}}>{miss}</span></div>}
+                {ui.satisfaction!=null&&<div>Satisfaction: <span style={{color:ui.satisfaction>=0.55?"#2ecc71":"#ff8844"}}>
+                  {moodFace(ui.satisfaction)} {Math.round(ui.satisfaction*100)}%</span></div>}
+                {ui.fares>0&&<div>Fares: <span style={{color:"#e8b400"}}>{formatMoney(ui.fares)}</span>
+                  {ui.tips>0&&<span> + tips <span style={{color:"#2ecc71"}}>{formatMoney(ui.tips)}</span></span>}</div>}
                 {ui.damage>0&&<div>Collisions: <span style={{color:"#ff8844"}}>{ui.damage}</span></div>}
+                {ui.wear>0&&<div>Bus condition: <span style={{color:ui.wear>=0.5?"#ff5544":"#ff8844"}}>{Math.round((1-ui.wear)*100)}%</span></div>}
+                {ui.pedIncidents>0&&<div>Pedestrian incidents: <span style={{color:"#ff8844"}}>{ui.pedIncidents}</span></div>}
+                {ui.infractions>0&&<div>Infractions: <span style={{color:"#ff5566"}}>{ui.infractions}</span></div>}
                 <div>Time: <span style={{color:"#3498db"}}>{Math.floor(ui.time)}s</span></div>
+                {ui.ghostRun&&(ui.ghostRun.full?
+                  <div style={{color:"#888"}}>👻 A best time, but there's no room left on this device to keep its ghost</div>
+                  :ui.ghostRun.newBest?
+                  <div style={{color:"#99ddff",fontWeight:"bold"}}>👻 {ui.ghostRun.prev===null?"Ghost saved - race it next time!":
+                    "NEW BEST TIME - "+(ui.ghostRun.prev-ui.ghostRun.time).toFixed(1)+"s faster"}</div>
+                  :<div>👻 Best time: <span style={{color:"#99ddff"}}>{ui.ghostRun.prev.toFixed(1)}s</span>
+                    <span style={{color:"#888"}}> ({(ui.ghostRun.time-ui.ghostRun.prev).toFixed(1)}s off it)</span></div>)}
+                {ui.mathAttempts>0&&<div>Maths: <span style={{color:"#3498db"}}>{ui.mathCorrect} / {ui.mathAttempts}</span> right</div>}
+                {ui.hints>0&&<div>Hints used: <span style={{color:"#ffd166"}}>{ui.hints}</span></div>}
+                {ui.mathLevel!=null&&<div>Maths level: <span style={{color:"#3498db"}}>{MATH_LEVELS[ui.mathLevel].label}</span></div>}
+                {ui.timetable&&(
+                  <table style={{width:"100%",fontSize:11,lineHeight:"1.7em",borderCollapse:"collapse",margin:"8px 0 4px"}}>
+                    <thead><tr style={{color:"#777",fontSize:9,letterSpacing:1}}>
+                      <th style={{textAlign:"left",fontWeight:"normal"}}>STOP</th><th style={{fontWeight:"normal"}}>DUE</th>
+                      <th style={{fontWeight:"normal"}}>ARRIVED</th><th style={{textAlign:"right",fontWeight:"normal"}}>PUNCTUALITY</th></tr></thead>
+                    <tbody>{ui.timetable.map(function(r,i){
+                      var p=PUNCTUALITY[r.status];
+                      return(<tr key={i} style={{borderTop:"1px solid rgba(255,255,255,0.06)"}}>
+                        <td style={{textAlign:"left",color:"#ccc"}}>{r.n}</td>
+                        <td style={{color:"#888"}}>{formatClock(r.due)}</td>
+                        <td style={{color:"#ccc"}}>{r.at===null?"-":formatClock(r.at)}</td>
+                        <td style={{textAlign:"right",color:p?p.color:"#e74c3c"}}>
+                          {p?p.label:"Missed"}{r.at!==null&&r.status!=="ontime"?" "+Math.abs(Math.round(r.at-r.due))+"s":""}</td>
+                      </tr>);})}</tbody>
+                  </table>
+                )}
+                {ui.timetable&&<div style={{fontSize:12,color:"#888"}}>
+                  On time at <span style={{color:"#2ecc71"}}>{ui.timetable.filter(function(r){return r.status==="ontime";}).length}</span> of {ui.timetable.length} stops</div>}
+                <div style={{fontSize:11,color:"#888",lineHeight:"1.6em",marginTop:6}}>
+                  Seed <span style={{color:"#e8b400"}}>{seed}</span> · same city &amp; passengers at<br/>
+                  <span style={{color:"#00ccff",userSelect:"all"}}>{window.location.origin}/bus-game?route={routeId}&amp;seed={seed}</span>
+                </div>
               </div>
               <button onClick={startPlay} style={{
                 background:"linear-gradient(135deg,#e8b400,#ff6b00)",border:"none",color:"#111",
                 fontFamily:"'Courier New',monospace",fontSize:17,fontWeight:"bold",padding:"14px 44px",
                 borderRadius:10,cursor:"pointer",letterSpacing:2}}>DRIVE AGAIN ▶</button>
+              {lastReplay&&<div style={{display:"flex",gap:8,justifyContent:"center",marginTop:12}}>
+                <button onClick={function(){watchReplay(lastReplay,"complete");}} style={bs("#00ccff","rgba(0,204,255,0.12)")}>📼 WATCH REPLAY</button>
+                <button onClick={function(){saveReplayFile(lastReplay);}} style={bs("#888","rgba(255,255,255,0.06)")}>💾 SAVE REPLAY</button>
+              </div>}
             </div>
           </div>);
       })()}
 
+      {watching&&replayInfo&&(
+        <ReplayControls replay={watching.rep} info={replayInfo}
+          onSeek={function(t){if(gRef.current)gRef.current.seek(t);}}
+          onPause={function(){replayControl({paused:!replayInfo.paused});if(replayInfo.t>=replayInfo.len&&gRef.current)gRef.current.seek(0);}}
+          onSpeed={function(x){replayControl({speed:x});}}
+          onCam={function(c){replayControl({cam:c});}}
+          onZoom={function(z){if(gRef.current)gRef.current.orbit(0,0,z);}}
+          onSave={function(){saveReplayFile(watching.rep);}}
+          onExit={closeReplay} />
+      )}
+
+      {phase==="map"&&mapData&&ui.bus&&(
+        <div style={{position:"absolute",inset:0,display:"flex",background:"rgba(5,10,5,0.92)",color:"#fff",zIndex:15}}>
+          <div style={{flex:1,padding:16,minWidth:0}}>
+            <RouteMap data={mapData} bus={ui.bus} visited={ui.visited} next={ui.nextIdx} full />
+          </div>
+          <div style={{width:260,padding:"20px 18px",boxSizing:"border-box",overflowY:"auto",background:"rgba(0,0,0,0.4)",
+            borderLeft:"1px solid rgba(255,255,255,0.08)"}}>
+            <div style={{color:"#777",fontSize:9,letterSpacing:2}}>PAUSED · ROUTE</div>
+            <div style={{color:"#e8b400",fontSize:17,fontWeight:"bold",margin:"2px 0 14px"}}>{mapData.name}</div>
+            {mapData.stops.map(function(st,i){
+              var done=!!ui.visited[i],next=i===ui.nextIdx;
+              return(<div key={i} style={{display:"flex",gap:8,fontSize:13,lineHeight:"1.9em",
+                color:done?"#2ecc71":next?"#e8b400":"#aaa",fontWeight:next?"bold":"normal"}}>
+                <span style={{width:14,textAlign:"center"}}>{done?"✓":next?"●":"○"}</span>{st.n}</div>);
+            })}
+            <div style={{color:"#666",fontSize:11,margin:"14px 0"}}>
+              {Object.keys(ui.visited).length} of {mapData.stops.length} stops visited</div>
+            <button onClick={toggleMap} style={bs("#e8b400","rgba(232,180,0,0.15)")}>▶ RESUME (M)</button>
+          </div>
+        </div>
+      )}
+
       {(phase==="playing"||phase==="stopped")&&(
         <div style={{position:"absolute",inset:0,pointerEvents:"none",zIndex:5}}>
           <div style={{position:"absolute",top:0,left:0,right:0,padding:"10px 12px",display:"flex",justifyContent:"space-between",alignItems:"flex-start"}}>
@@ -1358,23 +2191,49 @@ export default function App(){
             <div style={{background:"rgba(0,0,0,0.55)",borderRadius:10,padding:"7px 20px",textAlign:"center",backdropFilter:"blur(4px)"}}>
               <div style={{color:"#777",fontSize:9,letterSpacing:2}}>NEXT STOP</div>
               <div style={{color:"#00ccff",fontSize:13,fontWeight:"bold",marginTop:1}}>{ui.nextS}</div>
+              {ui.timing&&(
+                <div style={{fontSize:11,marginTop:3}}>
+                  <span style={{color:"#888"}}>Due {formatClock(ui.timing.due)} · </span>
+                  <span style={{color:PUNCTUALITY[ui.timing.status].color,fontWeight:"bold"}}>
+                    {ui.timing.status==="ontime"?"✓ On time":ui.timing.status==="early"?"▲ "+(-ui.timing.delta)+"s early":"▼ "+ui.timing.delta+"s late"}
+                  </span>
+                </div>
+              )}
+              {ui.split&&(
+                <div style={{fontSize:11,marginTop:3}}>
+                  <span style={{color:"#888"}}>👻 {ui.split.stop} </span>
+                  <span style={{color:ui.split.delta<=0?"#2ecc71":"#e74c3c",fontWeight:"bold"}}>
+                    {ui.split.delta<=0?"▲ "+(-ui.split.delta).toFixed(1)+"s ahead":"▼ "+ui.split.delta.toFixed(1)+"s behind"}</span>
+                </div>
+              )}
+              {ui.offRoute?(
+                <div style={{color:"#ff6655",fontSize:11,fontWeight:"bold",marginTop:4}}>↺ Off route - find the blue arrows</div>
+              ):ui.turn&&ui.turn.dist<160&&(
+                <div style={{color:"#e8b400",fontSize:12,fontWeight:"bold",marginTop:4}}>
+                  {ui.turn.dir==="left"?"↰ Turn left":ui.turn.dir==="right"?"↱ Turn right":"↑ Straight on"} in {ui.turn.dist}m
+                </div>
+              )}
+              {ui.pedAhead>=0&&(
+                <div style={{color:"#ffaa00",fontSize:11,fontWeight:"bold",marginTop:4}}>🚶 Pedestrians crossing in {ui.pedAhead}m - stop!</div>
+              )}
             </div>
             <div style={{background:"rgba(0,0,0,0.55)",borderRadius:10,padding:"10px 16px",textAlign:"right",minWidth:130,backdropFilter:"blur(4px)"}}>
               <div style={{color:"#e8b400",fontSize:19,fontWeight:"bold"}}>{ui.score}</div>
               <div style={{color:"#555",fontSize:9,letterSpacing:2}}>SCORE</div>
               <div style={{display:"flex",justifyContent:"flex-end",gap:12,marginTop:6}}>
                 <div><div style={{color:"#f39c12",fontSize:18,fontWeight:"bold"}}>🚌 {ui.onBus}</div><div style={{color:"#777",fontSize:9}}>ON BUS</div></div>
+                {ui.mood!=null&&<div title="How your passengers feel"><div style={{fontSize:16}}>{moodFace(ui.mood)}</div><div style={{color:"#555",fontSize:8}}>{Math.round(ui.mood*100)}%</div></div>}
                 <div><div style={{color:"#2ecc71",fontSize:14,fontWeight:"bold"}}>{ui.del}</div><div style={{color:"#555",fontSize:8}}>DONE</div></div>
               </div>
-              <div style={{color:"#333",fontSize:9,marginTop:5}}>{Math.floor(ui.time)}s</div>
+              <div style={{color:"#333",fontSize:9,marginTop:5}}>{ui.clock&&<span style={{color:"#667"}}>{WEATHER[weather].icon} {ui.clock} · </span>}{Math.floor(ui.time)}s</div>
             </div>
           </div>
 
-          {phase==="playing"&&ui.near&&ui.spd<5&&!ui.crashed&&(
+          {phase==="playing"&&ui.near&&ui.spd<5&&!ui.crashed&&ui.limp==null&&(
             <div style={{position:"absolute",bottom:75,left:"50%",transform:"translateX(-50%)",
               background:"rgba(0,0,0,0.8)",borderRadius:11,padding:"11px 24px",border:"2px solid #e8b400",textAlign:"center",backdropFilter:"blur(6px)"}}>
               <div style={{color:"#e8b400",fontSize:13,fontWeight:"bold"}}>🚏 {ui.near}</div>
-              <div style={{color:"#aaa",fontSize:10,marginTop:2}}>Stop &amp; press SPACE to open doors</div>
+              <div style={{color:"#aaa",fontSize:10,marginTop:2}}>Stop &amp; press {keyLabel(settings.keys.doors)} to open doors</div>
             </div>
           )}
 
@@ -1388,10 +2247,30 @@ export default function App(){
             </div>
           )}
 
-          {ui.damage>0&&(
+          {(ui.damage>0||ui.pedIncidents>0)&&(
             <div style={{position:"absolute",top:78,left:"50%",transform:"translateX(-50%)",
               background:"rgba(140,25,25,0.6)",borderRadius:8,padding:"3px 12px",backdropFilter:"blur(4px)"}}>
-              <span style={{color:"#ff9999",fontSize:10}}>⚠ {ui.damage} collision{ui.damage>1?"s":""}</span>
+              {ui.damage>0&&<span style={{color:"#ff9999",fontSize:10}}>⚠ {ui.damage} collision{ui.damage>1?"s":""}</span>}
+              {ui.wear>0&&<span style={{color:"#ff9999",fontSize:10}}> · 🔧 {Math.round((1-ui.wear)*100)}%
+                {ui.zones&&ZONES.map(function(z){var w=ui.zones[z];return w>0?(
+                  <span key={z} style={{color:w>0.6?"#ff5544":w>0.3?"#ffaa44":"#ffdd99"}}> {z[0].toUpperCase()}</span>):null;})}</span>}
+              {ui.damage>0&&ui.pedIncidents>0&&<span style={{color:"#ff9999",fontSize:10}}> · </span>}
+              {ui.pedIncidents>0&&<span style={{color:"#ff9999",fontSize:10}}>🚶 {ui.pedIncidents} pedestrian incident{ui.pedIncidents>1?"s":""}</span>}
+            </div>
+          )}
+
+          {phase==="playing"&&ui.limp!=null&&!ui.notice&&(
+            <div style={{position:"absolute",top:106,left:"50%",transform:"translateX(-50%)",textAlign:"center",
+              background:"rgba(60,40,10,0.85)",borderRadius:10,padding:"8px 18px",border:"2px solid #ff9933",backdropFilter:"blur(4px)"}}>
+              <div style={{color:"#ffbb66",fontSize:14,fontWeight:"bold"}}>🔧 OUT OF SERVICE</div>
+              <div style={{color:"#ddd",fontSize:11,marginTop:2}}>Limp back to the depot · {ui.limp}m</div>
+            </div>
+          )}
+
+          {phase==="playing"&&ui.notice&&(
+            <div style={{position:"absolute",top:106,left:"50%",transform:"translateX(-50%)",
+              background:"rgba(160,20,40,0.8)",borderRadius:10,padding:"8px 18px",border:"2px solid #ff5566",backdropFilter:"blur(4px)"}}>
+              <span style={{color:"#fff",fontSize:14,fontWeight:"bold"}}>{ui.notice}</span>
             </div>
           )}
 
@@ -1400,76 +2279,52 @@ export default function App(){
               background:"rgba(0,0,0,0.4)",pointerEvents:"auto"}}>
               <div style={{background:"rgba(10,15,30,0.95)",borderRadius:20,padding:"32px 44px",
                 border:ui.mathSolved?"3px solid #2ecc71":"3px solid #e8b400",
-                textAlign:"center",minWidth:360,maxWidth:480,backdropFilter:"blur(12px)",
+                textAlign:"center",minWidth:360,maxWidth:480,maxHeight:"92vh",overflowY:"auto",boxSizing:"border-box",backdropFilter:"blur(12px)",
                 boxShadow:"0 0 60px rgba(0,0,0,0.5)"}}>
                 <div style={{color:"#2ecc71",fontSize:20,fontWeight:"bold",marginBottom:16}}>🚏 {ui.stopN}</div>
+                {ui.arrival&&(
+                  <div style={{marginTop:-8,marginBottom:14,fontSize:13,color:PUNCTUALITY[ui.arrival.status].color}}>
+                    ⏱ {PUNCTUALITY[ui.arrival.status].label} - due {formatClock(ui.arrival.due)}, arrived {formatClock(ui.arrival.at)}
+                    <span style={{color:"#888"}}> ({ui.arrival.pts>=0?"+":""}{ui.arrival.pts})</span>
+                  </div>
+                )}
                 {ui.bOff===0&&ui.bOn===0?(
                   <div>
                     <div style={{color:"#888",fontSize:18,marginBottom:12}}>No passengers at this stop</div>
-                    <div style={{color:"#e8b400",fontSize:14}}>Press SPACE to close doors</div>
-                  </div>
-                ):!ui.mathSolved?(
-                  <div>
-                    <div style={{background:"rgba(255,255,255,0.06)",borderRadius:14,padding:"20px 24px",marginBottom:20}}>
-                      <div style={{color:"#aac",fontSize:16,marginBottom:14}}>🚌 Passengers on the bus:</div>
-                      <div style={{fontSize:52,fontWeight:"bold",color:"#f39c12",lineHeight:1,marginBottom:16}}>{ui.mathPrev}</div>
-                      <div style={{display:"flex",justifyContent:"center",gap:28,marginBottom:4}}>
-                        {ui.bOff>0&&<div style={{background:"rgba(231,76,60,0.15)",borderRadius:10,padding:"10px 20px"}}>
-                          <div style={{fontSize:36,fontWeight:"bold",color:"#e74c3c"}}>{ui.bOff}</div>
-                          <div style={{color:"#e74c3c",fontSize:13,fontWeight:"bold",marginTop:2}}>got off</div>
-                        </div>}
-                        {ui.bOn>0&&<div style={{background:"rgba(46,204,113,0.15)",borderRadius:10,padding:"10px 20px"}}>
-                          <div style={{fontSize:36,fontWeight:"bold",color:"#2ecc71"}}>{ui.bOn}</div>
-                          <div style={{color:"#2ecc71",fontSize:13,fontWeight:"bold",marginTop:2}}>got on</div>
-                        </div>}
-                      </div>
-                    </div>
-                    <div style={{color:"#e8b400",fontSize:22,fontWeight:"bold",marginBottom:14}}>How many are on the bus now?</div>
-                    <div style={{display:"flex",justifyContent:"center",gap:10,alignItems:"center"}}>
-                      <input type="number" inputMode="numeric" pattern="[0-9]*" value={mathInput}
-                        onChange={function(e){setMathInput(e.target.value);}}
-                        onKeyDown={function(e){e.stopPropagation();if(e.key==="Enter")checkMath();}}
-                        autoFocus
-                        style={{width:90,padding:"12px 14px",fontSize:32,fontWeight:"bold",textAlign:"center",
-                          borderRadius:10,border:mathWrong?"3px solid #e74c3c":"3px solid #e8b400",
-                          background:"rgba(255,255,255,0.1)",color:"#fff",outline:"none",
-                          fontFamily:"'Courier New',monospace",
-                          animation:mathWrong?"shake 0.4s ease":"none"}} />
-                      <button onClick={checkMath} style={{padding:"14px 24px",fontSize:18,fontWeight:"bold",
-                        borderRadius:10,border:"none",cursor:"pointer",
-                        background:"linear-gradient(135deg,#e8b400,#ff6b00)",color:"#111",
-                        fontFamily:"'Courier New',monospace"}}>Check</button>
-                    </div>
-                    {mathWrong&&<div style={{color:"#e74c3c",fontSize:16,fontWeight:"bold",marginTop:10}}>Not quite! Try again</div>}
+                    <div style={{color:"#e8b400",fontSize:14}}>Press {keyLabel(settings.keys.doors)} to close doors</div>
                   </div>
+                ):!ui.mathSolved&&ui.question?(
+                  <StopQuestion q={ui.question} value={mathInput} onChange={setMathInput} onAnswer={checkMath} wrong={mathWrong} hints={hintStep} />
                 ):(
                   <div>
                     <div style={{fontSize:48,marginBottom:8}}>🎉</div>
                     <div style={{color:"#2ecc71",fontSize:28,fontWeight:"bold",marginBottom:8}}>Correct!</div>
-                    <div style={{fontSize:42,fontWeight:"bold",color:"#f39c12",marginBottom:6}}>{ui.mathPrev-ui.bOff+ui.bOn}</div>
-                    <div style={{color:"#aac",fontSize:15,marginBottom:4}}>passengers on the bus</div>
+                    <div style={{fontSize:42,fontWeight:"bold",color:"#f39c12",marginBottom:6}}>{ui.question&&ui.question.reveal}</div>
+                    <div style={{color:"#aac",fontSize:15,marginBottom:4}}>{ui.question&&ui.question.unit}</div>
                     {mathStreak>1&&<div style={{color:"#ff8c00",fontSize:14,fontWeight:"bold",marginBottom:6}}>{mathStreak} in a row!</div>}
-                    <div style={{color:"#e8b400",fontSize:13,marginTop:10}}>Press SPACE to close doors &amp; continue</div>
+                    {ui.levelChange>0&&<div style={{color:"#3498db",fontSize:14,fontWeight:"bold",marginBottom:6}}>📈 Trickier sums from the next stop!</div>}
+                    <div style={{color:"#e8b400",fontSize:13,marginTop:10}}>Press {keyLabel(settings.keys.doors)} to close doors &amp; continue</div>
                   </div>
                 )}
               </div>
             </div>
           )}
 
-          <div style={{position:"absolute",bottom:8,left:8,right:8,display:"flex",justifyContent:"space-between",pointerEvents:"auto"}}>
-            <div style={{display:"flex",gap:5,alignItems:"center"}}>
-              <button onPointerDown={function(){tS("arrowleft")}} onPointerUp={function(){tE("arrowleft")}} onPointerLeave={function(){tE("arrowleft")}} style={bs("#3498db","rgba(52,152,219,0.15)")}>◀</button>
-              <div style={{display:"flex",flexDirection:"column",gap:4}}>
-                <button onPointerDown={function(){ensureAudio();tS("arrowup")}} onPointerUp={function(){tE("arrowup")}} onPointerLeave={function(){tE("arrowup")}} style={bs("#2ecc71","rgba(46,204,113,0.15)")}>▲ GAS</button>
-                <button onPointerDown={function(){tS("arrowdown")}} onPointerUp={function(){tE("arrowdown")}} onPointerLeave={function(){tE("arrowdown")}} style={bs("#e74c3c","rgba(231,76,60,0.15)")}>▼ BRK</button>
-              </div>
-              <button onPointerDown={function(){tS("arrowright")}} onPointerUp={function(){tE("arrowright")}} onPointerLeave={function(){tE("arrowright")}} style={bs("#3498db","rgba(52,152,219,0.15)")}>▶</button>
+          {phase==="playing"&&mapData&&ui.bus&&(
+            <div onClick={toggleMap} title="Map (M)" style={{position:"absolute",right:10,bottom:140,width:140,height:140,borderRadius:"50%",
+              overflow:"hidden",border:"2px solid rgba(255,255,255,0.25)",boxShadow:"0 0 12px rgba(0,0,0,0.6)",
+              pointerEvents:"auto",cursor:"pointer",opacity:0.9}}>
+              <RouteMap data={mapData} bus={ui.bus} visited={ui.visited} next={ui.nextIdx} />
             </div>
-            <div style={{display:"flex",gap:5,alignItems:"center"}}>
-              <button onClick={function(){ensureAudio();if(audioRef.current)audioRef.current.playHorn();}} style={bs("#ff6600","rgba(255,102,0,0.15)")}>📯</button>
-              <button onClick={function(){ensureAudio();doDoor();}} style={bs("#e8b400","rgba(232,180,0,0.15)")}>🚪 DOORS</button>
-            </div>
-          </div>
+          )}
+
+          <TouchControls input={touchRef.current} touch={settings.touch} onStart={ensureAudio}>
+            <button onClick={toggleMap} style={bs("#1abc9c","rgba(26,188,156,0.15)")}>🗺</button>
+            <button onClick={cycleCamera} style={bs("#9b59b6","rgba(155,89,182,0.15)")}>
+              {CAMERA_MODES.filter(function(c){return c.id===camMode;})[0].icon}</button>
+            <button onClick={function(){ensureAudio();if(audioRef.current)audioRef.current.playHorn();}} style={bs("#ff6600","rgba(255,102,0,0.15)")}>📯</button>
+            <button onClick={function(){ensureAudio();doDoor();}} style={bs("#e8b400","rgba(232,180,0,0.15)")}>🚪 DOORS</button>
+          </TouchControls>
         </div>
       )}
     </div>
@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef } from "react";
+import { DEFAULT_PAD, PAD_BUTTONS, firstPad, readPad, snapshot, biggestChange, heldButton } from "./gamepad";
+
+/* ═══════════════════════════════════════
+   CONTROLLER PANEL - live readout, calibration & button binding
+   Part of the settings panel. Calibrating walks through rest, full left,
+   full right, accelerator and brake, working out from the movement which
+   axis or button is which. To rebind a button, click it here and press
+   the one on the controller.
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var STEPS=[
+  {id:"rest",text:"Let go of the wheel or stick and both pedals"},
+  {id:"left",text:"Turn fully LEFT and hold it there"},
+  {id:"right",text:"Now fully RIGHT and hold it there"},
+  {id:"throttle",text:"Press the accelerator (or right trigger) all the way down"},
+  {id:"brake",text:"Now the brake (or left trigger) all the way down"}
+];
+var MOVED=0.3;  /* anything less than this doesn't count as the control being used */
+
+function Bar(props){
+  /* centred bars grow from the middle, for steering */
+  var v=Math.max(-1,Math.min(1,props.v)),c=props.centred;
+  var left=c?(v<0?50:50-v*50):0,width=c?Math.abs(v)*50:v*100;
+  return(<div style={{display:"flex",alignItems:"center",gap:8,fontSize:11,marginBottom:4}}>
+    <span style={{width:110,color:"#ccc"}}>{props.label}</span>
+    <div style={{flex:1,height:8,borderRadius:4,background:"rgba(255,255,255,0.08)",position:"relative"}}>
+      {c&&<div style={{position:"absolute",left:"50%",top:-2,bottom:-2,width:1,background:"#666"}} />}
+      <div style={{position:"absolute",left:left+"%",width:width+"%",top:0,bottom:0,borderRadius:4,background:props.color}} />
+    </div>
+  </div>);
+}
+
+/* props: pad (the binding from settings), onChange(binding),
+   onBusy(bool) - true while calibrating or waiting for a button, so the game ignores the pad */
+export default function GamepadPanel(props){
+  var bind=props.pad;
+  var [live,setLive]=useState(null);
+  var [step,setStep]=useState(-1);
+  var [listening,setListening]=useState(null);
+  var [msg,setMsg]=useState(null);
+  var calRef=useRef({});
+  var listenRef=useRef(null);listenRef.current=listening;
+  var bindRef=useRef(bind);bindRef.current=bind;
+  var changeRef=useRef(props.onChange);changeRef.current=props.onChange;
+
+  useEffect(function(){
+    var id,shown;
+    function round(v){return Math.round(v*50)/50;}
+    function tick(){
+      id=requestAnimationFrame(tick);
+      var pad=firstPad();
+      if(!pad){if(shown!==null){shown=null;setLive(null);}return;}
+      var b=bindRef.current,r=readPad(pad,b),h=heldButton(pad);
+      /* only re-render when something visible has changed, not every frame */
+      var now={id:pad.id,wheel:round(r.wheel),throttle:round(r.throttle),brake:round(r.brake),held:h};
+      if(!shown||shown.id!==now.id||shown.wheel!==now.wheel||shown.throttle!==now.throttle||shown.brake!==now.brake||shown.held!==now.held){
+        shown=now;setLive(now);}
+      var want=listenRef.current;
+      if(want&&h>=0){
+        var buttons=Object.assign({},b.buttons),was=buttons[want];
+        for(var k in buttons)if(buttons[k]===h)buttons[k]=was;
+        buttons[want]=h;
+        changeRef.current(Object.assign({},b,{buttons:buttons}));
+        setListening(null);
+      }
+    }
+    tick();
+    return function(){cancelAnimationFrame(id);};
+  },[]);
+
+  useEffect(function(){
+    if(props.onBusy)props.onBusy(listening!==null||step>=0);
+  },[listening,step]);
+  useEffect(function(){
+    return function(){if(props.onBusy)props.onBusy(false);};
+  },[]);
+
+  function next(){
+    var pad=firstPad();
+    if(!pad){setMsg("No controller found - plug it in and press a button");setStep(-1);return;}
+    var cal=calRef.current,id=STEPS[step].id,c;
+    if(id==="rest")cal.rest=snapshot(pad);
+    else if(id==="left"){
+      c=biggestChange(cal.rest,pad,true);
+      if(!c||c.moved<MOVED){setMsg("Didn't see anything turn - try again");return;}
+      cal.steer={axis:c.index,center:c.rest,left:c.value};
+    }else if(id==="right"){
+      var v=pad.axes[cal.steer.axis];
+      if(Math.abs(v-cal.steer.center)<MOVED||(v-cal.steer.center)*(cal.steer.left-cal.steer.center)>0){setMsg("Turn the other way, fully right");return;}
+      cal.steer.right=v;
+    }else{
+      c=biggestChange(cal.rest,pad,false,cal.steer.axis);
+      if(!c||c.moved<MOVED){setMsg("Didn't see a pedal move - press it all the way");return;}
+      if(id==="brake"&&cal.throttle.kind===c.kind&&cal.throttle.index===c.index){setMsg("That's the accelerator - press the brake");return;}
+      cal[id]={kind:c.kind,index:c.index,rest:c.rest,full:c.value};
+    }
+    setMsg(null);
+    if(step<STEPS.length-1){setStep(step+1);return;}
+    props.onChange(Object.assign({},bind,{steer:cal.steer,throttle:cal.throttle,brake:cal.brake}));
+    setStep(-1);setMsg("Calibrated ✓");
+  }
+
+  var row={display:"flex",alignItems:"center",gap:10,fontSize:12,marginBottom:6};
+  var opt=function(sel){return{padding:"5px 10px",borderRadius:8,cursor:"pointer",fontFamily:FONT,fontSize:11,
+    background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+    border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",color:sel?"#e8b400":"#888"};};
+
+  if(!live)return <div style={{color:"#666",fontSize:11}}>No controller connected. Plug in a gamepad or wheel and press any button on it.</div>;
+  return(
+    <div>
+      <div style={{color:"#888",fontSize:10,marginBottom:8,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>🎮 {live.id}</div>
+      <Bar label="Steering" v={live.wheel} centred color="#3498db" />
+      <Bar label="Accelerator" v={live.throttle} color="#2ecc71" />
+      <Bar label="Brake" v={live.brake} color="#e74c3c" />
+
+      {step>=0?(
+        <div style={{background:"rgba(232,180,0,0.1)",border:"1px solid #e8b400",borderRadius:8,padding:"8px 10px",margin:"8px 0",fontSize:12}}>
+          <div style={{color:"#e8b400",fontSize:10,letterSpacing:1,marginBottom:4}}>STEP {step+1} OF {STEPS.length}</div>
+          <div style={{color:"#fff",marginBottom:8}}>{STEPS[step].text}, then press Next</div>
+          <button onClick={next} style={opt(true)}>Next ▶</button>{" "}
+          <button onClick={function(){setStep(-1);setMsg(null);}} style={opt(false)}>Cancel</button>
+        </div>
+      ):(
+        <div style={{display:"flex",gap:6,margin:"8px 0"}}>
+          <button onClick={function(){calRef.current={};setStep(0);setMsg(null);}} style={opt(false)}>Calibrate wheel &amp; pedals</button>
+          <button onClick={function(){props.onChange(Object.assign({},DEFAULT_PAD,{deadzone:bind.deadzone}));setMsg("Back to the standard gamepad layout");}}
+            style={opt(false)}>Reset</button>
+        </div>
+      )}
+      {msg&&<div style={{color:"#ffd166",fontSize:11,marginBottom:6}}>{msg}</div>}
+
+      <label style={row}>
+        <span style={{width:110,color:"#ccc"}}>Dead zone</span>
+        <input type="range" min={0} max={0.3} step={0.01} value={bind.deadzone} style={{flex:1}}
+          onChange={function(e){props.onChange(Object.assign({},bind,{deadzone:+e.target.value}));}} />
+        <span style={{width:34,textAlign:"right",color:"#888"}}>{Math.round(bind.deadzone*100)}%</span>
+      </label>
+      {PAD_BUTTONS.map(function(b){
+        var on=listening===b.id,idx=bind.buttons[b.id];
+        return(<div key={b.id} style={row}>
+          <span style={{width:110,color:"#ccc"}}>{b.label}</span>
+          <button onClick={function(){setListening(on?null:b.id);}}
+            style={Object.assign(opt(on),{minWidth:80,color:on?"#e8b400":live.held===idx?"#2ecc71":"#888"})}>
+            {on?"press a button…":"Button "+idx}</button>
+        </div>);
+      })}
+    </div>
+  );
+}
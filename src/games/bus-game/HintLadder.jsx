@@ -0,0 +1,86 @@
+import { useState } from "react";
+
+/* ═══════════════════════════════════════
+   HINT LADDER - help that builds up after each wrong answer
+   Every rung stays on screen as the next one is added. Rung kinds:
+     equation {text}                      the sum written out
+     line {start, hops, to?, marks?, step?} a number line; hops are
+                                          drawn as jumps from start
+     icons {groups:[{n, tone, row?}]}     people or seats to tap &
+                                          count one by one ("off" ones
+                                          have left and can't be counted)
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var TONES={stay:{icon:"🧍",color:"#3498db"},on:{icon:"🧍",color:"#2ecc71"},off:{icon:"🧍",color:"#e74c3c"},seat:{icon:"💺",color:"#3498db"}};
+var box={background:"rgba(255,255,255,0.05)",borderRadius:10,padding:"10px 12px",marginTop:10};
+
+function NumberLine(props){
+  var h=props.hint,at=h.start,stops=[at];
+  for(var i=0;i<h.hops.length;i++){at+=h.hops[i];stops.push(at);}
+  var all=stops.concat(h.marks||[]).concat(h.to!==undefined?[h.to]:[]);
+  var lo=Math.min.apply(null,all),hi=Math.max.apply(null,all);
+  lo=Math.max(0,lo-1);hi=hi+1;
+  var span=hi-lo,W=300,x=function(v){return 10+(v-lo)/span*(W-20);};
+  var every=h.step||(span<=20?1:span<=50?5:span<=200?10:100);
+  var ticks=[];
+  for(var v=Math.ceil(lo/every)*every;v<=hi;v+=every)ticks.push(v);
+  return(
+    <svg viewBox={"0 0 "+W+" 74"} style={{width:"100%",maxWidth:420,display:"block",margin:"0 auto"}}>
+      <line x1={4} y1={50} x2={W-4} y2={50} stroke="#aaa" strokeWidth={2} />
+      {ticks.map(function(v){return(<g key={v}>
+        <line x1={x(v)} y1={45} x2={x(v)} y2={55} stroke="#aaa" strokeWidth={1.5} />
+        <text x={x(v)} y={69} fill="#ccc" fontSize={10} textAnchor="middle" fontFamily={FONT}>{v}</text></g>);})}
+      {h.hops.map(function(d,k){
+        var a=x(stops[k]),b=x(stops[k+1]),up=Math.min(40,10+Math.abs(b-a)/3),c=d<0?"#e74c3c":"#2ecc71";
+        return(<g key={k}>
+          <path d={"M"+a+" 48 Q"+(a+b)/2+" "+(48-up*2)+" "+b+" 48"} fill="none" stroke={c} strokeWidth={2} />
+          <text x={(a+b)/2} y={44-up} fill={c} fontSize={11} fontWeight="bold" textAnchor="middle" fontFamily={FONT}>{d<0?"−"+(-d):"+"+d}</text>
+        </g>);
+      })}
+      {(h.marks||[]).map(function(v,k){return <circle key={k} cx={x(v)} cy={50} r={5} fill="#f39c12" />;})}
+      {h.to!==undefined&&!h.hops.length&&!h.marks&&(
+        <path d={"M"+x(h.start)+" 48 Q"+(x(h.start)+x(h.to))/2+" 18 "+x(h.to)+" 48"} fill="none" stroke="#2ecc71"
+          strokeWidth={2} strokeDasharray="4 3" />)}
+      <circle cx={x(h.start)} cy={50} r={4} fill="#fff" />
+    </svg>);
+}
+
+function CountIcons(props){
+  var [tapped,setTapped]=useState([]);
+  var icons=[];
+  props.hint.groups.forEach(function(gr,gi){
+    for(var i=0;i<gr.n;i++){(function(id,t){
+      var n=tapped.indexOf(id),off=gr.tone==="off";
+      icons.push(<button key={id} disabled={off} onClick={function(){if(n<0)setTapped(tapped.concat([id]));}}
+        style={{position:"relative",width:36,height:40,margin:2,borderRadius:8,cursor:off?"default":"pointer",fontSize:20,
+          background:n>=0?"rgba(232,180,0,0.3)":"rgba(255,255,255,0.06)",border:"2px solid "+t.color,
+          opacity:off?0.45:1,textDecoration:off?"line-through":"none",padding:0,fontFamily:FONT}}>
+        {t.icon}
+        {n>=0&&<span style={{position:"absolute",top:-8,right:-6,background:"#e8b400",color:"#111",borderRadius:8,
+          fontSize:10,fontWeight:"bold",padding:"0 4px"}}>{n+1}</span>}
+      </button>);
+    })(gi+"-"+i,TONES[gr.tone]);}
+    if(gr.row)icons.push(<div key={"br"+gi} style={{flexBasis:"100%",height:0}} />);
+  });
+  return(
+    <div>
+      <div style={{display:"flex",flexWrap:"wrap",justifyContent:"center"}}>{icons}</div>
+      <div style={{color:"#888",fontSize:11,marginTop:4}}>Tap each one to count it · counted <b style={{color:"#e8b400"}}>{tapped.length}</b></div>
+    </div>);
+}
+
+/* props: hints (the rungs reached so far) */
+export default function HintLadder(props){
+  if(!props.hints.length)return null;
+  return(
+    <div style={{marginTop:12}}>
+      {props.hints.map(function(h,i){
+        return(<div key={i} style={box}>
+          <div style={{color:"#ffd166",fontSize:10,letterSpacing:2,marginBottom:6}}>💡 HINT {i+1}</div>
+          {h.kind==="equation"&&<div style={{fontSize:26,fontWeight:"bold",color:"#fff"}}>{h.text}</div>}
+          {h.kind==="line"&&<NumberLine hint={h} />}
+          {h.kind==="icons"&&<CountIcons hint={h} />}
+        </div>);
+      })}
+    </div>);
+}
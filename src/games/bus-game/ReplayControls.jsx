@@ -0,0 +1,85 @@
+import { CAMERA_MODES, FREE_CAMERA } from "./camera";
+import { REPLAY_SPEEDS } from "./replay";
+import { PEDESTRIAN } from "./crossings";
+
+/* ═══════════════════════════════════════
+   REPLAY CONTROLS - the overlay while watching a replay
+   Who drove and where at the top, the bus's speed, passengers and score
+   as they were, and along the bottom play/pause, a scrubber marked with
+   the stops and crashes, playback speed and the camera.
+   props: replay, info ({t,len,paused,speed,cam,spd,onBus,score,event}),
+   onSeek(t), onPause(), onSpeed(x), onCam(id), onZoom(factor), onSave(), onExit()
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var CAMS=CAMERA_MODES.concat([FREE_CAMERA]);
+var MARK={doors:"#e8b400",crash:"#e74c3c",pedestrian:"#e74c3c",rule:"#ff8c00"};
+
+function clock(s){s=Math.max(0,Math.floor(s));return Math.floor(s/60)+":"+(s%60<10?"0":"")+s%60;}
+function describe(e){
+  if(e.type==="doors")return"🚏 "+e.name+" - "+e.off+" off, "+e.on+" on";
+  if(e.type==="depart")return"🚌 Doors shut, "+e.onBus+" aboard";
+  if(e.type==="crash")return"💥 Crash";
+  if(e.type==="pedestrian")return"🚶 "+PEDESTRIAN.hit.text;
+  if(e.type==="rule")return"🚦 "+e.text;
+  return null;
+}
+
+export default function ReplayControls(props){
+  var rep=props.replay,m=rep.meta,info=props.info;
+  var chip=function(sel){return{padding:"5px 9px",borderRadius:8,cursor:"pointer",fontFamily:FONT,fontSize:11,
+    background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+    border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",color:sel?"#e8b400":"#aaa"};};
+  var panel={background:"rgba(0,0,0,0.6)",borderRadius:10,padding:"10px 14px",backdropFilter:"blur(4px)",pointerEvents:"auto"};
+  var note=info.event?describe(info.event):null;
+  return(
+    <div style={{position:"absolute",inset:0,pointerEvents:"none",zIndex:5,color:"#fff",fontFamily:FONT}}>
+      <div style={{position:"absolute",top:10,left:12,right:12,display:"flex",justifyContent:"space-between",alignItems:"flex-start",gap:10}}>
+        <div style={panel}>
+          <div style={{color:"#e74c3c",fontSize:10,letterSpacing:2}}>● REPLAY</div>
+          <div style={{color:"#e8b400",fontWeight:"bold",fontSize:14}}>{m.player||"Guest"} · {m.routeName||m.routeId}</div>
+          <div style={{color:"#888",fontSize:10}}>{m.recorded?new Date(m.recorded).toLocaleString():""} · seed {m.seed} · {m.difficulty}</div>
+        </div>
+        <div style={Object.assign({},panel,{textAlign:"right",fontSize:12,lineHeight:"1.6em"})}>
+          <div><span style={{color:"#888"}}>Speed</span> <b>{Math.round(info.spd*3.6)}</b> km/h</div>
+          <div><span style={{color:"#888"}}>Aboard</span> <b style={{color:"#2ecc71"}}>{info.onBus}</b></div>
+          <div><span style={{color:"#888"}}>Score</span> <b style={{color:"#e8b400"}}>{info.score}</b></div>
+        </div>
+      </div>
+      {note&&<div style={{position:"absolute",top:90,left:"50%",transform:"translateX(-50%)",background:"rgba(0,0,0,0.7)",
+        borderRadius:10,padding:"8px 16px",fontSize:14,fontWeight:"bold",color:"#ffd166",whiteSpace:"nowrap"}}>{note}</div>}
+      {info.cam==="free"&&<div style={{position:"absolute",top:90+(note?44:0),left:"50%",transform:"translateX(-50%)",fontSize:11,color:"#aaa"}}>
+        Drag to look around · scroll or +/− to zoom</div>}
+
+      <div style={Object.assign({},panel,{position:"absolute",left:12,right:12,bottom:10})}>
+        <div style={{display:"flex",alignItems:"center",gap:10}}>
+          <button onClick={props.onPause} style={Object.assign(chip(false),{fontSize:16,minWidth:44})}>{info.paused?"▶":"⏸"}</button>
+          <span style={{fontSize:12,color:"#ccc",width:44,textAlign:"right"}}>{clock(info.t)}</span>
+          <div style={{flex:1,position:"relative"}}>
+            {rep.events.map(function(e,i){
+              return MARK[e.type]?<div key={i} title={describe(e)} style={{position:"absolute",top:-6,width:3,height:6,borderRadius:1,
+                left:(info.len?e.t/info.len*100:0)+"%",background:MARK[e.type]}} />:null;
+            })}
+            <input type="range" min={0} max={info.len} step={0.05} value={info.t} style={{width:"100%"}}
+              onChange={function(e){props.onSeek(+e.target.value);}} />
+          </div>
+          <span style={{fontSize:12,color:"#888",width:44}}>{clock(info.len)}</span>
+        </div>
+        <div style={{display:"flex",gap:6,marginTop:8,flexWrap:"wrap",alignItems:"center"}}>
+          {REPLAY_SPEEDS.map(function(x){
+            return <button key={x} onClick={function(){props.onSpeed(x);}} style={chip(info.speed===x)}>{x}×</button>;
+          })}
+          <span style={{width:10}} />
+          {CAMS.map(function(c){
+            return <button key={c.id} onClick={function(){props.onCam(c.id);}} style={chip(info.cam===c.id)}>{c.icon} {c.label}</button>;
+          })}
+          {info.cam==="free"&&<span>
+            <button onClick={function(){props.onZoom(0.8);}} style={chip(false)}>+</button>{" "}
+            <button onClick={function(){props.onZoom(1.25);}} style={chip(false)}>−</button></span>}
+          <span style={{flex:1}} />
+          <button onClick={props.onSave} style={chip(false)}>💾 Save replay</button>
+          <button onClick={props.onExit} style={Object.assign(chip(false),{color:"#e74c3c",borderColor:"#e74c3c"})}>✕ Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
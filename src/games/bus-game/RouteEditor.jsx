@@ -0,0 +1,296 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { generateSmoothRoad, ptSegDist } from "./road";
+import { ROUTES, normalizeRoute, saveCustomRoute, loadCustomRoutes, deleteCustomRoute } from "./routes";
+
+/* ═══════════════════════════════════════
+   ROUTE EDITOR - top-down waypoint & stop editing
+   Click empty ground to add a waypoint at the end of the line,
+   click on the road to insert one, drag to move, right-click to delete.
+   ═══════════════════════════════════════ */
+var SNAP=5;
+var FONT="'Courier New',monospace";
+
+function snap(v){return Math.round(v/SNAP)*SNAP;}
+function slug(s){return String(s).toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")||"my-route";}
+
+/* editor points ({x,z,stop}) -> route file */
+function toFile(meta,pts){
+  var stops=[];
+  for(var i=0;i<pts.length;i++){
+    var first=i===0,last=i===pts.length-1;
+    if(first||last||pts[i].stop!==null)
+      stops.push({wp:i,name:pts[i].stop||(first?"Depot":last?"Terminal":"Stop "+(stops.length+1))});
+  }
+  var file=Object.assign({},meta.extra,{id:meta.id,name:meta.name,
+    waypoints:pts.map(function(p){return[p.x,p.z];}),stops:stops});
+  return file;
+}
+/* route file -> editor points; throws if the file does not validate */
+function fromFile(raw){
+  var r=normalizeRoute(raw);
+  if(r.branching)throw new Error("\""+r.name+"\" is built on a road network - the editor only edits single-road routes");
+  var pts=r.waypoints.map(function(w){return{x:w[0],z:w[1],stop:null};});
+  for(var i=0;i<r.stops.length;i++)pts[r.stops[i].i].stop=r.stops[i].n;
+  var extra={};
+  if(raw.spawnHeading!==undefined)extra.spawnHeading=raw.spawnHeading;
+  if(raw.scenery)extra.scenery=raw.scenery;
+  return{meta:{id:r.id,name:r.name,extra:extra},pts:pts};
+}
+/* keep [x,z] pairs on one line so exported files read like the built-in ones */
+function formatFile(file){
+  return JSON.stringify(file,null,2).replace(/\[\s+(-?[\d.e]+),\s+(-?[\d.e]+)\s+\]/g,"[$1,$2]");
+}
+
+export default function RouteEditor(){
+  var navigate=useNavigate();
+  var svgRef=useRef(null);
+  var fileRef=useRef(null);
+  var dragRef=useRef(-1);
+  var [meta,setMeta]=useState({id:"my-route",name:"My Route",extra:{}});
+  var [pts,setPts]=useState([{x:0,z:60,stop:"Depot"},{x:0,z:0,stop:null},{x:0,z:-60,stop:"Terminal"}]);
+  var [sel,setSel]=useState(-1);
+  var [view,setView]=useState({x:-200,y:-150,w:400,h:300});
+  var [msg,setMsg]=useState(null);
+  var [saved,setSaved]=useState(loadCustomRoutes);
+
+  var file=toFile(meta,pts);
+  var problem=null;
+  try{normalizeRoute(file);}catch(e){problem=e.message;}
+
+  /* fit view to the route whenever a new one is loaded */
+  function fit(list){
+    var minX=Infinity,minZ=Infinity,maxX=-Infinity,maxZ=-Infinity;
+    for(var i=0;i<list.length;i++){
+      minX=Math.min(minX,list[i].x);maxX=Math.max(maxX,list[i].x);
+      minZ=Math.min(minZ,list[i].z);maxZ=Math.max(maxZ,list[i].z);
+    }
+    var w=Math.max(maxX-minX+80,160),h=Math.max(maxZ-minZ+80,120);
+    if(w/h<4/3)w=h*4/3;else h=w*3/4;
+    setView({x:(minX+maxX)/2-w/2,y:(minZ+maxZ)/2-h/2,w:w,h:h});
+  }
+  function load(raw,asCopy){
+    try{
+      var r=fromFile(raw);
+      if(asCopy){r.meta.id=r.meta.id+"-copy";r.meta.name=r.meta.name+" (copy)";}
+      setMeta(r.meta);setPts(r.pts);setSel(-1);fit(r.pts);setMsg(null);
+    }catch(e){setMsg({err:true,text:e.message});}
+  }
+
+  function toWorld(e){
+    var svg=svgRef.current,p=svg.createSVGPoint();
+    p.x=e.clientX;p.y=e.clientY;
+    var w=p.matrixTransform(svg.getScreenCTM().inverse());
+    return{x:w.x,z:w.y};
+  }
+  function movePt(i,x,z){
+    setPts(function(prev){var next=prev.slice();next[i]=Object.assign({},next[i],{x:x,z:z});return next;});
+  }
+  function removePt(i){
+    if(pts.length<=2){setMsg({err:true,text:"A route needs at least 2 waypoints"});return;}
+    setPts(function(prev){return prev.filter(function(p,j){return j!==i;});});
+    setSel(-1);
+  }
+
+  function onDownPt(e,i){
+    e.stopPropagation();
+    if(e.button===2)return;
+    setSel(i);dragRef.current=i;
+    svgRef.current.setPointerCapture(e.pointerId);
+  }
+  function onDownBg(e){
+    if(e.button!==0)return;
+    var w=toWorld(e),x=snap(w.x),z=snap(w.z);
+    /* clicking on the road inserts into that segment, elsewhere appends */
+    var ins=-1,best=10;
+    for(var i=0;i<pts.length-1;i++){
+      var d=ptSegDist(w.x,w.z,pts[i].x,pts[i].z,pts[i+1].x,pts[i+1].z);
+      if(d<best){best=d;ins=i+1;}
+    }
+    var at=ins>=0?ins:pts.length;
+    setPts(function(prev){var next=prev.slice();next.splice(at,0,{x:x,z:z,stop:null});return next;});
+    setSel(at);dragRef.current=at;
+    svgRef.current.setPointerCapture(e.pointerId);
+  }
+  function onMove(e){
+    if(dragRef.current<0)return;
+    var w=toWorld(e);movePt(dragRef.current,snap(w.x),snap(w.z));
+  }
+  function onUp(){dragRef.current=-1;}
+  function onWheel(e){
+    var w=toWorld(e),k=e.deltaY>0?1.15:1/1.15;
+    setView(function(v){
+      var nw=Math.min(Math.max(v.w*k,80),2000),nh=nw*v.h/v.w;
+      return{x:w.x-(w.x-v.x)*nw/v.w,y:w.z-(w.z-v.y)*nh/v.h,w:nw,h:nh};
+    });
+  }
+
+  /* Delete/Backspace removes the selected waypoint (ignored while typing) */
+  useEffect(function(){
+    function dn(e){
+      var tag=e.target&&e.target.tagName;
+      if(tag==="INPUT"||tag==="TEXTAREA")return;
+      if((e.key==="Delete"||e.key==="Backspace")&&sel>=0){e.preventDefault();removePt(sel);}
+    }
+    window.addEventListener("keydown",dn);
+    return function(){window.removeEventListener("keydown",dn);};
+  });
+  /* the page wheel-zooms the map, so stop the browser scrolling underneath */
+  useEffect(function(){
+    var svg=svgRef.current;
+    function stop(e){e.preventDefault();}
+    svg.addEventListener("wheel",stop,{passive:false});
+    return function(){svg.removeEventListener("wheel",stop);};
+  },[]);
+
+  function doExport(){
+    if(problem){setMsg({err:true,text:problem});return;}
+    var blob=new Blob([formatFile(file)],{type:"application/json"});
+    var a=document.createElement("a");
+    a.href=URL.createObjectURL(blob);a.download=file.id+".json";a.click();
+    setTimeout(function(){URL.revokeObjectURL(a.href);},0);
+  }
+  function doImport(e){
+    var f=e.target.files&&e.target.files[0];
+    if(!f)return;
+    f.text().then(function(txt){
+      var raw;
+      try{raw=JSON.parse(txt);}catch(err){setMsg({err:true,text:"Not a JSON file"});return;}
+      load(raw,false);
+    });
+    e.target.value="";
+  }
+  function doSave(play){
+    try{saveCustomRoute(file);}catch(e){setMsg({err:true,text:e.message});return;}
+    setSaved(loadCustomRoutes());
+    if(play)navigate("/bus-game?route="+encodeURIComponent(file.id));
+    else setMsg({err:false,text:"Saved \""+file.name+"\""});
+  }
+  function doDelete(id){deleteCustomRoute(id);setSaved(loadCustomRoutes());}
+
+  /* ── drawing ── */
+  var u=view.w/400; /* scale handles & labels with zoom so they keep the same size on screen */
+  var smooth=pts.length>=2?generateSmoothRoad(pts.map(function(p){return[p.x,p.z];})):[];
+  var line=smooth.map(function(p){return p[0]+","+p[1];}).join(" ");
+  var grid=[],gx,gz;
+  var step=view.w>900?100:20;
+  for(gx=Math.floor(view.x/step)*step;gx<view.x+view.w;gx+=step)
+    grid.push(<line key={"x"+gx} x1={gx} y1={view.y} x2={gx} y2={view.y+view.h} stroke={gx%100===0?"#2a3a2a":"#1e2a1e"} strokeWidth={u*0.6} />);
+  for(gz=Math.floor(view.y/step)*step;gz<view.y+view.h;gz+=step)
+    grid.push(<line key={"z"+gz} x1={view.x} y1={gz} x2={view.x+view.w} y2={gz} stroke={gz%100===0?"#2a3a2a":"#1e2a1e"} strokeWidth={u*0.6} />);
+  var cur=sel>=0&&sel<pts.length?pts[sel]:null;
+
+  var panel={background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"14px 16px",marginBottom:12,
+    border:"1px solid rgba(255,255,255,0.06)"};
+  var head={color:"#e8b400",fontWeight:"bold",marginBottom:8,fontSize:12,letterSpacing:2};
+  var inp={width:"100%",boxSizing:"border-box",padding:"6px 8px",borderRadius:6,border:"1px solid rgba(255,255,255,0.15)",
+    background:"rgba(255,255,255,0.08)",color:"#fff",fontFamily:FONT,fontSize:13,marginBottom:6};
+  var btn=function(c){return{background:"rgba(255,255,255,0.05)",border:"2px solid "+c,color:c,fontFamily:FONT,
+    fontSize:12,fontWeight:"bold",padding:"7px 10px",borderRadius:8,cursor:"pointer"};};
+
+  return(
+    <div style={{width:"100%",height:"100vh",display:"flex",background:"#0b100b",color:"#fff",fontFamily:FONT}}>
+      <svg ref={svgRef} viewBox={view.x+" "+view.y+" "+view.w+" "+view.h} preserveAspectRatio="xMidYMid meet"
+        style={{flex:1,height:"100%",cursor:"crosshair",touchAction:"none"}}
+        onPointerDown={onDownBg} onPointerMove={onMove} onPointerUp={onUp} onPointerCancel={onUp}
+        onWheel={onWheel} onContextMenu={function(e){e.preventDefault();}}>
+        {grid}
+        <circle cx={0} cy={0} r={u*2} fill="#3a4a3a" />
+        {smooth.length>1&&<>
+          <polyline points={line} fill="none" stroke="#8a8a8a" strokeWidth={19.5} strokeLinejoin="round" strokeLinecap="round" />
+          <polyline points={line} fill="none" stroke="#3a3a3a" strokeWidth={14} strokeLinejoin="round" strokeLinecap="round" />
+          <polyline points={line} fill="none" stroke="#cccc44" strokeWidth={0.3} strokeDasharray="2.2 4.4" />
+        </>}
+        {/* raw control polygon */}
+        <polyline points={pts.map(function(p){return p.x+","+p.z;}).join(" ")} fill="none"
+          stroke="rgba(0,170,255,0.45)" strokeWidth={u*0.8} strokeDasharray={(u*3)+" "+(u*2)} />
+        {pts.map(function(p,i){
+          var isStop=i===0||i===pts.length-1||p.stop!==null;
+          return(
+            <g key={i} onPointerDown={function(e){onDownPt(e,i);}}
+              onContextMenu={function(e){e.preventDefault();e.stopPropagation();removePt(i);}}
+              style={{cursor:"move"}}>
+              {isStop&&<circle cx={p.x} cy={p.z} r={7} fill="rgba(0,255,136,0.18)" stroke="#00ff88" strokeWidth={u*0.8} />}
+              <circle cx={p.x} cy={p.z} r={u*3.2} fill={i===sel?"#ff8c00":isStop?"#2ecc71":"#00aaff"} stroke="#000" strokeWidth={u*0.6} />
+              <text x={p.x+u*5} y={p.z-u*5} fill="#aaa" fontSize={u*7} style={{pointerEvents:"none"}}>{i}</text>
+              {isStop&&<text x={p.x+8} y={p.z+u*3} fill="#00ff88" fontSize={u*8} fontWeight="bold" style={{pointerEvents:"none"}}>
+                {p.stop||(i===0?"Depot":"Terminal")}</text>}
+            </g>);
+        })}
+      </svg>
+
+      <div style={{width:300,padding:14,overflowY:"auto",boxSizing:"border-box",background:"rgba(0,0,0,0.35)",
+        borderLeft:"1px solid rgba(255,255,255,0.08)"}}>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:12}}>
+          <button onClick={function(){navigate("/bus-game");}} style={btn("#aaa")}>← Game</button>
+          <div style={{color:"#e8b400",fontWeight:"bold",letterSpacing:2,fontSize:14}}>ROUTE EDITOR</div>
+        </div>
+
+        <div style={panel}>
+          <div style={head}>ROUTE</div>
+          <input style={inp} value={meta.name} placeholder="Route name"
+            onChange={function(e){var n=e.target.value;setMeta(function(m){return Object.assign({},m,{name:n,id:slug(n)});});}} />
+          <div style={{color:"#666",fontSize:10}}>file id: {meta.id}</div>
+          <div style={{marginTop:8,fontSize:11,color:problem?"#e74c3c":"#2ecc71"}}>
+            {problem?"⚠ "+problem.replace(/^Route "[^"]*": /,""):"✓ "+pts.length+" waypoints, "+file.stops.length+" stops"}
+          </div>
+        </div>
+
+        <div style={panel}>
+          <div style={head}>WAYPOINT {cur?"#"+sel:""}</div>
+          {cur?(
+            <div>
+              <div style={{color:"#888",fontSize:11,marginBottom:8}}>x {cur.x}, z {cur.z}</div>
+              <label style={{display:"flex",gap:6,alignItems:"center",fontSize:12,marginBottom:6}}>
+                <input type="checkbox" checked={sel===0||sel===pts.length-1||cur.stop!==null}
+                  disabled={sel===0||sel===pts.length-1}
+                  onChange={function(e){var on=e.target.checked;
+                    setPts(function(prev){var next=prev.slice();next[sel]=Object.assign({},next[sel],{stop:on?"Stop":null});return next;});}} />
+                Bus stop here
+              </label>
+              {(sel===0||sel===pts.length-1||cur.stop!==null)&&
+                <input style={inp} value={cur.stop||""} placeholder="Stop name"
+                  onChange={function(e){var v=e.target.value;
+                    setPts(function(prev){var next=prev.slice();next[sel]=Object.assign({},next[sel],{stop:v});return next;});}} />}
+              <button onClick={function(){removePt(sel);}} style={btn("#e74c3c")}>Delete waypoint</button>
+            </div>
+          ):(
+            <div style={{color:"#666",fontSize:11,lineHeight:"1.6em"}}>
+              Click the map to add a waypoint. Click on the road to insert one. Drag to move, right-click or DEL to delete. Scroll to zoom.
+            </div>
+          )}
+        </div>
+
+        <div style={panel}>
+          <div style={head}>FILE</div>
+          <div style={{display:"flex",flexWrap:"wrap",gap:6}}>
+            <button onClick={function(){doSave(true);}} style={btn("#2ecc71")}>▶ Save &amp; play</button>
+            <button onClick={function(){doSave(false);}} style={btn("#e8b400")}>Save</button>
+            <button onClick={doExport} style={btn("#3498db")}>Export</button>
+            <button onClick={function(){fileRef.current.click();}} style={btn("#3498db")}>Import</button>
+            <input ref={fileRef} type="file" accept=".json,application/json" onChange={doImport} style={{display:"none"}} />
+          </div>
+          {msg&&<div style={{marginTop:8,fontSize:11,color:msg.err?"#e74c3c":"#2ecc71"}}>{msg.text}</div>}
+        </div>
+
+        <div style={panel}>
+          <div style={head}>OPEN</div>
+          {saved.map(function(r){
+            return(<div key={r.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",fontSize:12,marginBottom:4}}>
+              <span style={{cursor:"pointer",color:"#00ccff"}} onClick={function(){load(r,false);}}>{r.name||r.id}</span>
+              <span style={{cursor:"pointer",color:"#e74c3c"}} onClick={function(){doDelete(r.id);}}>✕</span>
+            </div>);
+          })}
+          {saved.length===0&&<div style={{color:"#666",fontSize:11,marginBottom:6}}>No saved routes yet</div>}
+          <div style={{color:"#888",fontSize:10,margin:"8px 0 4px",letterSpacing:1}}>COPY A BUILT-IN ROUTE</div>
+          {ROUTES.filter(function(r){return!r.branching;}).map(function(r){
+            return(<div key={r.id} style={{cursor:"pointer",color:"#aaa",fontSize:12,marginBottom:4}}
+              onClick={function(){
+                load({id:r.id,name:r.name,waypoints:r.waypoints,
+                  stops:r.stops.map(function(s){return{wp:s.i,name:s.n};})},true);}}>{r.name}</div>);
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
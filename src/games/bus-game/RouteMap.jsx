@@ -0,0 +1,73 @@
+import { useMemo } from "react";
+import { generateSmoothRoad } from "./road";
+
+/* ═══════════════════════════════════════
+   ROUTE MAP - the corner minimap and the full-screen map
+   Drawn as SVG in world units (x across, z down the page) like the route
+   editor. The streets, blocks and route line never change during a shift,
+   so they are built once per scene; only the bus and stop states move.
+   The minimap follows the bus heading-up, the full map is north-up.
+   ═══════════════════════════════════════ */
+var MINI_R=90;  /* m of city either side of the bus on the minimap */
+
+function line(pts){return pts.map(function(p){return Math.round(p[0]*10)/10+","+Math.round(p[1]*10)/10;}).join(" ");}
+
+/* everything static the map needs, from the scene's own road & obstacle data */
+export function buildMapData(route,smoothR,roadLines,obstacles){
+  var b=route.scenery.bounds,blocks=[];
+  for(var i=0;i<obstacles.length;i++){var o=obstacles[i];
+    /* boxes are buildings & shelters (their collision boxes carry a 1.5m margin) */
+    if(o.hw!==undefined)blocks.push({x:o.x-o.hw+1.5,z:o.z-o.hd+1.5,w:Math.max(o.hw*2-3,1),d:Math.max(o.hd*2-3,1)});
+  }
+  return{name:route.name,bounds:[b[0],b[1],b[2]-b[0],b[3]-b[1]],
+    roads:roadLines.map(function(r){return line(generateSmoothRoad(r));}),route:line(smoothR),
+    stops:route.stops.map(function(st){var w=route.waypoints[st.i];return{x:w[0],z:w[1],n:st.n};}),blocks:blocks};
+}
+
+/* props: data (buildMapData), bus {x,z,h}, visited {stopIdx:true}, next (stop index), full */
+export default function RouteMap(props){
+  var d=props.data,bus=props.bus,full=props.full;
+  var base=useMemo(function(){
+    return(
+      <g>
+        {d.blocks.map(function(b,i){return <rect key={i} x={b.x} y={b.z} width={b.w} height={b.d} fill="#3c4450" />;})}
+        {d.roads.map(function(r,i){return <polyline key={i} points={r} fill="none" stroke="#6d737a" strokeWidth={14}
+          strokeLinejoin="round" strokeLinecap="round" />;})}
+        <polyline points={d.route} fill="none" stroke="#00aaff" strokeWidth={4} strokeLinejoin="round" strokeLinecap="round" opacity={0.75} />
+      </g>);
+  },[d]);
+
+  var u=full?d.bounds[2]/120:1.6; /* marker size in world units */
+  var deg=bus.h*180/Math.PI;
+  var stops=d.stops.map(function(s,i){
+    var done=!!props.visited[i],next=i===props.next;
+    return(
+      <g key={i}>
+        {next&&<circle cx={s.x} cy={s.z} r={u*6} fill="none" stroke="#e8b400" strokeWidth={u*0.8} />}
+        <circle cx={s.x} cy={s.z} r={u*3.2} fill={done?"#2ecc71":next?"#e8b400":"#fff"} stroke="#000" strokeWidth={u*0.6} />
+        {full&&<text x={s.x+u*5} y={s.z-u*4} fill={done?"#2ecc71":next?"#e8b400":"#ddd"} fontSize={u*6}
+          fontWeight="bold" fontFamily="'Courier New',monospace">{s.n}</text>}
+      </g>);
+  });
+  /* the bus: an arrow pointing along its heading */
+  var arrow=<polygon points={"0,"+(-u*5)+" "+(u*3.2)+","+(u*4)+" 0,"+(u*2)+" "+(-u*3.2)+","+(u*4)}
+    fill="#ff8c00" stroke="#000" strokeWidth={u*0.6} />;
+
+  if(full){
+    var b=d.bounds;
+    return(
+      <svg viewBox={b[0]+" "+b[1]+" "+b[2]+" "+b[3]} preserveAspectRatio="xMidYMid meet" style={{width:"100%",height:"100%"}}>
+        <rect x={b[0]} y={b[1]} width={b[2]} height={b[3]} fill="#1c2a1c" />
+        {base}{stops}
+        <g transform={"translate("+bus.x+" "+bus.z+") rotate("+(-deg)+")"}>{arrow}</g>
+      </svg>);
+  }
+  return(
+    <svg viewBox={(bus.x-MINI_R)+" "+(bus.z-MINI_R)+" "+MINI_R*2+" "+MINI_R*2} style={{width:"100%",height:"100%",display:"block"}}>
+      <g transform={"rotate("+deg+" "+bus.x+" "+bus.z+")"}>
+        <rect x={bus.x-MINI_R*1.5} y={bus.z-MINI_R*1.5} width={MINI_R*3} height={MINI_R*3} fill="#1c2a1c" />
+        {base}{stops}
+      </g>
+      <g transform={"translate("+bus.x+" "+bus.z+")"}>{arrow}</g>
+    </svg>);
+}
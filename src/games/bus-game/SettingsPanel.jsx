@@ -0,0 +1,114 @@
+import { useState, useEffect } from "react";
+import { QUALITY, CONTROLS, DEFAULT_SETTINGS, keyLabel } from "./settings";
+import GamepadPanel from "./GamepadPanel";
+import { TOUCH_STEER, requestTilt } from "./touch";
+
+/* ═══════════════════════════════════════
+   SETTINGS PANEL - shown from the pause menu
+   Every change is handed straight to onChange, which applies & saves it.
+   To rebind a control, click it and press the new key (Escape cancels);
+   a key already in use swaps over to the old binding. Gamepads and wheels
+   are set up in the CONTROLLER section (GamepadPanel), which tells
+   onPadBusy while it's using the pad so the game doesn't act on it too.
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+
+export default function SettingsPanel(props){
+  var s=props.settings;
+  var [listening,setListening]=useState(null);
+
+  useEffect(function(){
+    if(!listening)return;
+    function grab(e){
+      e.preventDefault();e.stopPropagation();
+      var k=e.key.toLowerCase();
+      if(k!=="escape"&&k.indexOf("arrow")!==0){
+        var keys=Object.assign({},s.keys),was=keys[listening];
+        for(var a in keys)if(keys[a]===k)keys[a]=was;
+        keys[listening]=k;
+        props.onChange(Object.assign({},s,{keys:keys}));
+      }
+      setListening(null);
+    }
+    /* capture, so the game's own key handlers never see the key being bound */
+    window.addEventListener("keydown",grab,true);
+    return function(){window.removeEventListener("keydown",grab,true);};
+  },[listening,s]);
+
+  function set(patch){props.onChange(Object.assign({},s,patch));}
+  function setVol(k,v){var vol=Object.assign({},s.volume);vol[k]=v;set({volume:vol});}
+  function setTouch(patch){set({touch:Object.assign({},s.touch,patch)});}
+
+  var head={color:"#e8b400",fontWeight:"bold",margin:"14px 0 8px",fontSize:12,letterSpacing:2};
+  var row={display:"flex",alignItems:"center",gap:10,fontSize:12,marginBottom:6};
+  var opt=function(sel){return{flex:1,padding:"5px 4px",borderRadius:8,cursor:"pointer",fontFamily:FONT,fontSize:11,
+    background:sel?"rgba(232,180,0,0.25)":"rgba(255,255,255,0.05)",
+    border:sel?"2px solid #e8b400":"2px solid rgba(255,255,255,0.1)",color:sel?"#e8b400":"#888"};};
+
+  return(
+    <div style={{textAlign:"left"}}>
+      <div style={head}>VOLUME</div>
+      {[["engine","Engine"],["sfx","Sound effects"],["music","Music"]].map(function(v){
+        return(<label key={v[0]} style={row}>
+          <span style={{width:110,color:"#ccc"}}>{v[1]}</span>
+          <input type="range" min={0} max={1} step={0.05} value={s.volume[v[0]]} style={{flex:1}}
+            onChange={function(e){setVol(v[0],+e.target.value);}} />
+          <span style={{width:34,textAlign:"right",color:"#888"}}>{Math.round(s.volume[v[0]]*100)}</span>
+        </label>);
+      })}
+
+      <div style={head}>GRAPHICS</div>
+      <div style={{display:"flex",gap:6}}>
+        {Object.keys(QUALITY).map(function(q){
+          return <button key={q} onClick={function(){set({quality:q});}} style={opt(s.quality===q)}>{QUALITY[q].label}</button>;
+        })}
+      </div>
+      <div style={{color:"#666",fontSize:10,marginTop:4}}>Lower quality drops shadows and resolution for older tablets</div>
+
+      <div style={head}>CAMERA</div>
+      <label style={row}>
+        <span style={{width:110,color:"#ccc"}}>Follow speed</span>
+        <input type="range" min={0.25} max={2} step={0.05} value={s.camSensitivity} style={{flex:1}}
+          onChange={function(e){set({camSensitivity:+e.target.value});}} />
+        <span style={{width:34,textAlign:"right",color:"#888"}}>{s.camSensitivity.toFixed(2)}</span>
+      </label>
+
+      <div style={head}>CONTROLS</div>
+      {CONTROLS.map(function(c){
+        var on=listening===c.id;
+        return(<div key={c.id} style={row}>
+          <span style={{width:110,color:"#ccc"}}>{c.label}</span>
+          <button onClick={function(){setListening(on?null:c.id);}}
+            style={Object.assign(opt(on),{flex:"none",minWidth:80})}>{on?"press a key…":keyLabel(s.keys[c.id])}</button>
+          {c.alt&&<span style={{color:"#666"}}>or {keyLabel(c.alt)}</span>}
+        </div>);
+      })}
+      <button onClick={function(){set({keys:Object.assign({},DEFAULT_SETTINGS.keys)});}}
+        style={Object.assign(opt(false),{flex:"none",marginTop:4,padding:"5px 10px"})}>Reset controls</button>
+
+      <div style={head}>TOUCH SCREEN</div>
+      <div style={{display:"flex",gap:6}}>
+        {TOUCH_STEER.map(function(t){
+          /* asking for tilt here, while there's a tap to ask from, saves a prompt mid-drive on iOS */
+          return <button key={t.id} onClick={function(){if(t.id==="tilt")requestTilt();setTouch({steer:t.id});}}
+            style={opt(s.touch.steer===t.id)}>{t.icon} {t.label}</button>;
+        })}
+      </div>
+      {s.touch.steer==="tilt"&&(
+        <label style={Object.assign({},row,{marginTop:6})}>
+          <span style={{width:110,color:"#ccc"}}>Tilt for full lock</span>
+          <input type="range" min={10} max={45} step={1} value={s.touch.tilt} style={{flex:1}}
+            onChange={function(e){setTouch({tilt:+e.target.value});}} />
+          <span style={{width:34,textAlign:"right",color:"#888"}}>{s.touch.tilt}°</span>
+        </label>
+      )}
+      <div style={{display:"flex",gap:6,marginTop:6}}>
+        <button onClick={function(){setTouch({leftHanded:false});}} style={opt(!s.touch.leftHanded)}>Steer left, pedals right</button>
+        <button onClick={function(){setTouch({leftHanded:true});}} style={opt(s.touch.leftHanded)}>Pedals left, steer right</button>
+      </div>
+
+      <div style={head}>CONTROLLER</div>
+      <GamepadPanel pad={s.pad} onChange={function(pad){set({pad:pad});}} onBusy={props.onPadBusy} />
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { formatTime, formatPence } from "./questions";
+import HintLadder from "./HintLadder";
+
+/* ═══════════════════════════════════════
+   STOP QUESTION - the card shown while the doors are open
+   One picture per question type above the prompt, then either a number
+   box (typed answers) or a row of buttons (choices).
+   props: q (questions.makeQuestion), value & onChange for the box,
+   onAnswer(value) to check an answer, wrong (shake the box),
+   hints (how many rungs of q.hints have been reached)
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var card={background:"rgba(255,255,255,0.06)",borderRadius:14,padding:"20px 24px",marginBottom:20};
+
+function Visual(props){
+  var q=props.q;
+  if(q.type==="count")return(
+    <div style={card}>
+      <div style={{color:"#aac",fontSize:16,marginBottom:14}}>🚌 Passengers on the bus:</div>
+      <div style={{fontSize:52,fontWeight:"bold",color:"#f39c12",lineHeight:1,marginBottom:16}}>{q.prev}</div>
+      <div style={{display:"flex",justifyContent:"center",gap:28,marginBottom:4}}>
+        {q.off>0&&<div style={{background:"rgba(231,76,60,0.15)",borderRadius:10,padding:"10px 20px"}}>
+          <div style={{fontSize:36,fontWeight:"bold",color:"#e74c3c"}}>{q.off}</div>
+          <div style={{color:"#e74c3c",fontSize:13,fontWeight:"bold",marginTop:2}}>got off</div>
+        </div>}
+        {q.on>0&&<div style={{background:"rgba(46,204,113,0.15)",borderRadius:10,padding:"10px 20px"}}>
+          <div style={{fontSize:36,fontWeight:"bold",color:"#2ecc71"}}>{q.on}</div>
+          <div style={{color:"#2ecc71",fontSize:13,fontWeight:"bold",marginTop:2}}>got on</div>
+        </div>}
+      </div>
+    </div>);
+  if(q.type==="seats"){
+    /* seen from above, front of the bus at the top */
+    var rows=[];
+    for(var r=0;r<q.rows;r++){var seats=[];
+      for(var s=0;s<q.per;s++)seats.push(<div key={s} style={{width:12,height:12,borderRadius:3,background:"#3498db",
+        marginRight:s===Math.ceil(q.per/2)-1?10:3}} />);
+      rows.push(<div key={r} style={{display:"flex",justifyContent:"center",marginBottom:3}}>{seats}</div>);}
+    return <div style={card}>{rows}</div>;
+  }
+  if(q.type==="money")return(
+    <div style={Object.assign({},card,{display:"flex",justifyContent:"center",gap:28})}>
+      <div><div style={{color:"#aac",fontSize:13}}>🎫 Ticket</div>
+        <div style={{fontSize:34,fontWeight:"bold",color:"#f39c12"}}>{formatPence(q.price,q.whole)}</div></div>
+      <div><div style={{color:"#aac",fontSize:13}}>💷 Paid</div>
+        <div style={{fontSize:34,fontWeight:"bold",color:"#2ecc71"}}>{formatPence(q.paid,true)}</div></div>
+    </div>);
+  if(q.type==="time")return(
+    <div style={Object.assign({},card,{display:"flex",justifyContent:"center",gap:28})}>
+      <div><div style={{color:"#aac",fontSize:13}}>🕑 Now</div>
+        <div style={{fontSize:34,fontWeight:"bold",color:"#3498db"}}>{formatTime(q.now)}</div></div>
+      <div><div style={{color:"#aac",fontSize:13}}>🚌 Leaves</div>
+        <div style={{fontSize:34,fontWeight:"bold",color:"#f39c12"}}>{formatTime(q.due)}</div></div>
+    </div>);
+  if(q.type==="reading")return(
+    <div style={card}>
+      <div style={{display:"inline-block",background:"#1a4d8f",border:"3px solid #fff",borderRadius:8,padding:"8px 16px",
+        fontSize:34,fontWeight:"bold",letterSpacing:6,color:"#fff"}}>
+        {q.word.split("").map(function(c,i){
+          return <span key={i} style={{color:i===q.gap?"#e8b400":"#fff"}}>{i===q.gap&&q.gap>0?"_":c}</span>;
+        })}
+      </div>
+    </div>);
+  if(q.type==="compare")return(
+    <div style={Object.assign({},card,{fontSize:40,fontWeight:"bold",color:"#f39c12"})}>
+      {q.choices.length===2?<span>{q.a} <span style={{color:"#666"}}>or</span> {q.b}</span>
+        :<span>{q.a} <span style={{color:"#e8b400"}}>?</span> {q.b}</span>}
+    </div>);
+  return null;
+}
+
+export default function StopQuestion(props){
+  var q=props.q;
+  return(
+    <div>
+      <Visual q={q} />
+      <div style={{color:"#e8b400",fontSize:q.type==="count"?22:18,fontWeight:"bold",marginBottom:14,lineHeight:"1.4em"}}>{q.prompt}</div>
+      {q.choices?(
+        <div style={{display:"flex",justifyContent:"center",gap:10,flexWrap:"wrap",
+          animation:props.wrong?"shake 0.4s ease":"none"}}>
+          {q.choices.map(function(c){
+            return <button key={c} onClick={function(){props.onAnswer(c);}} style={{minWidth:64,padding:"12px 18px",fontSize:28,
+              fontWeight:"bold",borderRadius:10,cursor:"pointer",fontFamily:FONT,
+              background:"rgba(255,255,255,0.1)",border:"3px solid #e8b400",color:"#fff"}}>{c}</button>;
+          })}
+        </div>
+      ):(
+        <div style={{display:"flex",justifyContent:"center",gap:10,alignItems:"center"}}>
+          <input type={q.inputMode==="decimal"?"text":"number"} inputMode={q.inputMode||"numeric"}
+            pattern={q.inputMode==="decimal"?undefined:"[0-9]*"} value={props.value}
+            onChange={function(e){props.onChange(e.target.value);}}
+            onKeyDown={function(e){e.stopPropagation();if(e.key==="Enter")props.onAnswer(props.value);}}
+            autoFocus
+            style={{width:q.inputMode==="decimal"?120:90,padding:"12px 14px",fontSize:32,fontWeight:"bold",textAlign:"center",
+              borderRadius:10,border:props.wrong?"3px solid #e74c3c":"3px solid #e8b400",
+              background:"rgba(255,255,255,0.1)",color:"#fff",outline:"none",
+              fontFamily:FONT,
+              animation:props.wrong?"shake 0.4s ease":"none"}} />
+          <button onClick={function(){props.onAnswer(props.value);}} style={{padding:"14px 24px",fontSize:18,fontWeight:"bold",
+            borderRadius:10,border:"none",cursor:"pointer",
+            background:"linear-gradient(135deg,#e8b400,#ff6b00)",color:"#111",
+            fontFamily:FONT}}>Check</button>
+        </div>
+      )}
+      {props.wrong&&<div style={{color:"#e74c3c",fontSize:16,fontWeight:"bold",marginTop:10}}>Not quite! Try again</div>}
+      <HintLadder hints={q.hints.slice(0,props.hints||0)} />
+    </div>
+  );
+}
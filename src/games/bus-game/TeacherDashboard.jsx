@@ -0,0 +1,201 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { QUESTION_TYPES } from "./questions";
+import { loadSettings, saveSettings } from "./settings";
+import { loadLog, saveLog, startSession, renameSession, deleteSession, selectSession, currentSession,
+  accuracy, byChild, sessionCsv, sessionJson } from "./classlog";
+
+/* ═══════════════════════════════════════
+   TEACHER DASHBOARD - class sessions, accuracy & export
+   Results arrive from the game as each shift finishes (see classlog.js).
+   Pick a session on the left to see how every child did overall and on
+   each type of stop question; export it as CSV for a gradebook or as
+   JSON with every answer. The stop questions in play are set here too.
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var DIFFS={easy:"Ages 4-5",medium:"Ages 6-7",hard:"Ages 8+",adaptive:"Adaptive"};
+
+function pct(b){return b.attempts?Math.round(b.correct/b.attempts*100):null;}
+function pctColor(p){return p===null?"#555":p>=80?"#2ecc71":p>=50?"#e8b400":"#e74c3c";}
+function slug(s){return String(s).toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")||"session";}
+function download(text,type,name){
+  var blob=new Blob([text],{type:type});
+  var a=document.createElement("a");
+  a.href=URL.createObjectURL(blob);a.download=name;a.click();
+  setTimeout(function(){URL.revokeObjectURL(a.href);},0);
+}
+
+function Acc(props){
+  var p=pct(props.b);
+  return(<td style={{textAlign:"center",color:pctColor(p),padding:"4px 6px"}} title={props.b.correct+" of "+props.b.attempts+" right"}>
+    {p===null?"-":p+"%"}{p!==null&&<span style={{color:"#666",fontSize:9}}> {props.b.correct}/{props.b.attempts}</span>}</td>);
+}
+
+export default function TeacherDashboard(){
+  var navigate=useNavigate();
+  var [log,setLogState]=useState(loadLog);
+  var [viewId,setViewId]=useState(function(){var l=loadLog();return l.current||(l.sessions[0]&&l.sessions[0].id)||null;});
+  var [newName,setNewName]=useState("");
+  var [settings,setSettingsState]=useState(loadSettings);
+
+  function setLog(next){setLogState(next);saveLog(next);}
+  /* the game may have added results since this page opened */
+  function refresh(){setLogState(loadLog());}
+
+  var session=null;
+  for(var i=0;i<log.sessions.length;i++)if(log.sessions[i].id===viewId)session=log.sessions[i];
+  var rec=currentSession(log);
+
+  function newSession(){
+    var next=startSession(log,newName);
+    setLog(next);setViewId(next.current);setNewName("");
+  }
+  function removeSession(s){
+    if(!window.confirm("Delete \""+s.name+"\" and its "+s.results.length+" results?"))return;
+    var next=deleteSession(log,s.id);
+    setLog(next);if(viewId===s.id)setViewId(next.sessions[0]?next.sessions[0].id:null);
+  }
+  function toggleQuestion(id){
+    var on=settings.questions.indexOf(id)>=0;
+    if(on&&settings.questions.length===1)return;
+    var q=QUESTION_TYPES.map(function(t){return t.id;}).filter(function(t){return t===id?!on:settings.questions.indexOf(t)>=0;});
+    var next=Object.assign({},settings,{questions:q});
+    setSettingsState(next);saveSettings(next);
+  }
+
+  var panel={background:"rgba(0,0,0,0.5)",borderRadius:12,padding:"14px 16px",marginBottom:12,
+    border:"1px solid rgba(255,255,255,0.06)"};
+  var head={color:"#e8b400",fontWeight:"bold",marginBottom:8,fontSize:12,letterSpacing:2};
+  var inp={width:"100%",boxSizing:"border-box",padding:"6px 8px",borderRadius:6,border:"1px solid rgba(255,255,255,0.15)",
+    background:"rgba(255,255,255,0.08)",color:"#fff",fontFamily:FONT,fontSize:13,marginBottom:6};
+  var btn=function(c){return{background:"rgba(255,255,255,0.05)",border:"2px solid "+c,color:c,fontFamily:FONT,
+    fontSize:12,fontWeight:"bold",padding:"7px 10px",borderRadius:8,cursor:"pointer"};};
+  var th={color:"#777",fontSize:9,letterSpacing:1,fontWeight:"normal",padding:"4px 6px"};
+
+  var kids=session?byChild(session.results):[];
+  var classAcc=session?accuracy(session.results):null;
+  /* only the question types someone was actually asked get a column */
+  var types=classAcc?QUESTION_TYPES.filter(function(t){return classAcc[t.id].attempts>0;}):[];
+
+  return(
+    <div style={{width:"100%",height:"100vh",display:"flex",background:"#0b100b",color:"#fff",fontFamily:FONT}}>
+      <div style={{width:280,padding:14,overflowY:"auto",boxSizing:"border-box",background:"rgba(0,0,0,0.35)",
+        borderRight:"1px solid rgba(255,255,255,0.08)"}}>
+        <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:12}}>
+          <button onClick={function(){navigate("/bus-game");}} style={btn("#aaa")}>← Game</button>
+          <button onClick={refresh} style={btn("#3498db")}>↻</button>
+        </div>
+
+        <div style={panel}>
+          <div style={head}>NEW SESSION</div>
+          <input style={inp} value={newName} placeholder="e.g. Year 2 - Tuesday" maxLength={40}
+            onChange={function(e){setNewName(e.target.value);}}
+            onKeyDown={function(e){if(e.key==="Enter")newSession();}} />
+          <button onClick={newSession} style={btn("#2ecc71")}>Start recording</button>
+          <div style={{color:"#666",fontSize:10,marginTop:8,lineHeight:"1.5em"}}>
+            Finished shifts go into the session being recorded. If there isn't one, the game starts one for the day.</div>
+        </div>
+
+        <div style={panel}>
+          <div style={head}>SESSIONS</div>
+          {log.sessions.map(function(s){
+            var sel=s.id===viewId,on=rec&&rec.id===s.id;
+            return(<div key={s.id} onClick={function(){setViewId(s.id);}} style={{cursor:"pointer",padding:"6px 8px",borderRadius:8,marginBottom:4,
+              background:sel?"rgba(232,180,0,0.15)":"transparent",border:sel?"1px solid #e8b400":"1px solid transparent"}}>
+              <div style={{fontSize:12,color:sel?"#e8b400":"#ccc"}}>{on&&<span style={{color:"#e74c3c"}}>● </span>}{s.name}</div>
+              <div style={{fontSize:10,color:"#666"}}>{new Date(s.started).toLocaleDateString()} · {s.results.length} shift{s.results.length===1?"":"s"}</div>
+            </div>);
+          })}
+          {log.sessions.length===0&&<div style={{color:"#666",fontSize:11}}>No sessions yet</div>}
+        </div>
+
+        <div style={panel}>
+          <div style={head}>STOP QUESTIONS</div>
+          {QUESTION_TYPES.map(function(t){
+            var on=settings.questions.indexOf(t.id)>=0;
+            return(<label key={t.id} style={{display:"flex",gap:6,alignItems:"center",fontSize:12,marginBottom:4,color:on?"#ccc":"#777"}}>
+              <input type="checkbox" checked={on} onChange={function(){toggleQuestion(t.id);}} />{t.icon} {t.label}
+            </label>);
+          })}
+          <div style={{color:"#666",fontSize:10,marginTop:6}}>Used from the next shift on this device</div>
+        </div>
+      </div>
+
+      <div style={{flex:1,padding:"18px 22px",overflowY:"auto",boxSizing:"border-box"}}>
+        <div style={{color:"#e8b400",fontWeight:"bold",letterSpacing:3,fontSize:18,marginBottom:14}}>🍎 TEACHER DASHBOARD</div>
+        {!session?(
+          <div style={{color:"#888",fontSize:13}}>Start a session, then play some shifts - results appear here.</div>
+        ):(
+          <div>
+            <div style={Object.assign({},panel,{display:"flex",gap:10,alignItems:"center",flexWrap:"wrap"})}>
+              <input style={Object.assign({},inp,{width:260,marginBottom:0,color:"#e8b400",fontWeight:"bold"})} value={session.name}
+                onChange={function(e){setLog(renameSession(log,session.id,e.target.value));}} />
+              <span style={{color:"#888",fontSize:11,flex:1}}>{session.results.length} shifts · {kids.length} children
+                {classAcc.all.attempts>0&&<span> · class accuracy <b style={{color:pctColor(pct(classAcc.all))}}>{pct(classAcc.all)}%</b></span>}</span>
+              {(!rec||rec.id!==session.id)&&<button onClick={function(){setLog(selectSession(log,session.id));}} style={btn("#e74c3c")}>● Record here</button>}
+              <button onClick={function(){download(sessionCsv(session),"text/csv",slug(session.name)+".csv");}} style={btn("#3498db")}>Export CSV</button>
+              <button onClick={function(){download(sessionJson(session),"application/json",slug(session.name)+".json");}} style={btn("#3498db")}>Export JSON</button>
+              <button onClick={function(){removeSession(session);}} style={btn("#e74c3c")}>Delete</button>
+            </div>
+
+            <div style={panel}>
+              <div style={head}>BY CHILD</div>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                <thead><tr>
+                  <th style={Object.assign({},th,{textAlign:"left"})}>CHILD</th><th style={th}>SHIFTS</th><th style={th}>BEST</th>
+                  <th style={th}>DELIVERED</th><th style={th}>HINTS</th><th style={th}>ALL QUESTIONS</th>
+                  {types.map(function(t){return <th key={t.id} style={th} title={t.label}>{t.icon} {t.id.toUpperCase()}</th>;})}
+                </tr></thead>
+                <tbody>
+                  {kids.map(function(k){
+                    var a=accuracy(k.results),del=0,tot=0,best=0,hints=0;
+                    k.results.forEach(function(r){del+=r.delivered;tot+=r.total;hints+=r.hints||0;if(!r.failed)best=Math.max(best,r.score);});
+                    return(<tr key={k.key} style={{borderTop:"1px solid rgba(255,255,255,0.06)"}}>
+                      <td style={{padding:"4px 6px"}}>{k.avatar||"👤"} {k.child}</td>
+                      <td style={{textAlign:"center"}}>{k.results.length}</td>
+                      <td style={{textAlign:"center",color:"#e8b400"}}>{best}</td>
+                      <td style={{textAlign:"center"}}>{del} / {tot}</td>
+                      <td style={{textAlign:"center",color:hints?"#ffd166":"#555"}}>{hints}</td>
+                      <Acc b={a.all} />
+                      {types.map(function(t){return <Acc key={t.id} b={a[t.id]} />;})}
+                    </tr>);
+                  })}
+                  <tr style={{borderTop:"2px solid rgba(255,255,255,0.15)",color:"#aaa"}}>
+                    <td style={{padding:"4px 6px"}}>Whole class</td><td /><td /><td /><td />
+                    <Acc b={classAcc.all} />
+                    {types.map(function(t){return <Acc key={t.id} b={classAcc[t.id]} />;})}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div style={panel}>
+              <div style={head}>SHIFTS</div>
+              <table style={{width:"100%",borderCollapse:"collapse",fontSize:11}}>
+                <thead><tr>
+                  <th style={Object.assign({},th,{textAlign:"left"})}>TIME</th><th style={Object.assign({},th,{textAlign:"left"})}>CHILD</th>
+                  <th style={Object.assign({},th,{textAlign:"left"})}>ROUTE</th><th style={th}>DIFFICULTY</th><th style={th}>SCORE</th>
+                  <th style={th}>STARS</th><th style={th}>QUESTIONS</th>
+                </tr></thead>
+                <tbody>
+                  {session.results.slice().reverse().map(function(r,i){
+                    var a=accuracy([r]).all;
+                    return(<tr key={i} style={{borderTop:"1px solid rgba(255,255,255,0.06)",color:r.failed?"#888":"#ccc"}}>
+                      <td style={{padding:"4px 6px"}}>{new Date(r.at).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"})}</td>
+                      <td>{r.avatar||"👤"} {r.child}</td>
+                      <td>{r.routeName}{r.failed&&<span style={{color:"#ff8844"}}> (abandoned)</span>}</td>
+                      <td style={{textAlign:"center"}}>{DIFFS[r.difficulty]||r.difficulty}</td>
+                      <td style={{textAlign:"center",color:"#e8b400"}}>{r.score}</td>
+                      <td style={{textAlign:"center"}}>{"⭐".repeat(r.stars)||"-"}</td>
+                      <Acc b={a} />
+                    </tr>);
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
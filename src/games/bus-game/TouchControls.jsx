@@ -0,0 +1,157 @@
+import { useState, useEffect, useRef } from "react";
+import { canTilt, requestTilt, tiltWheel } from "./touch";
+
+/* ═══════════════════════════════════════
+   TOUCH CONTROLS - the on-screen driving controls
+   A joystick, steering wheel or device tilt on one side, accelerator and
+   brake pedals on the other (swapped round for left-handed players), with
+   the other buttons passed in as children to sit between them. Each
+   widget follows its own finger, so steering and pedals work together.
+   Everything goes into props.input (touch.js) rather than React state,
+   and the widgets are moved directly, so dragging never re-renders.
+   props: input, touch (settings.touch), onStart (first press of the gas)
+   ═══════════════════════════════════════ */
+var FONT="'Courier New',monospace";
+var WHEEL_LOCK=120;   /* degrees the on-screen wheel turns each way */
+
+function clamp(v,a,b){return Math.max(a,Math.min(b,v));}
+
+/* pointer handlers that stick to the finger that started the drag */
+function drag(onMove,onEnd){
+  var id=null;
+  return{
+    onPointerDown:function(e){
+      if(id!==null)return;
+      id=e.pointerId;e.currentTarget.setPointerCapture(id);onMove(e,true);
+    },
+    onPointerMove:function(e){if(e.pointerId===id)onMove(e,false);},
+    onPointerUp:function(e){if(e.pointerId===id){id=null;onEnd();}},
+    onPointerCancel:function(e){if(e.pointerId===id){id=null;onEnd();}}
+  };
+}
+
+function Stick(props){
+  var knob=useRef(null),h=useRef(null);
+  if(!h.current)h.current=drag(function(e){
+    var r=e.currentTarget.getBoundingClientRect(),max=r.width/2-26;
+    var x=clamp(e.clientX-(r.left+r.width/2),-max,max);
+    props.input.wheel=-x/max;
+    knob.current.style.transition="none";knob.current.style.transform="translateX("+x+"px)";
+  },function(){
+    props.input.wheel=null;
+    knob.current.style.transition="transform 0.15s";knob.current.style.transform="translateX(0)";
+  });
+  return(
+    <div {...h.current} style={{width:170,height:60,borderRadius:30,background:"rgba(52,152,219,0.15)",border:"2px solid #3498db",
+      display:"flex",alignItems:"center",justifyContent:"center",touchAction:"none",userSelect:"none"}}>
+      <div ref={knob} style={{width:48,height:48,borderRadius:"50%",background:"rgba(52,152,219,0.6)",border:"2px solid #fff",
+        display:"flex",alignItems:"center",justifyContent:"center",color:"#fff",fontSize:13,pointerEvents:"none"}}>◀▶</div>
+    </div>
+  );
+}
+
+function Wheel(props){
+  var rim=useRef(null),h=useRef(null),turn=useRef({from:0,at:0,rot:0});
+  function angle(e){var r=rim.current.getBoundingClientRect();
+    return Math.atan2(e.clientY-(r.top+r.height/2),e.clientX-(r.left+r.width/2))*180/Math.PI;}
+  if(!h.current)h.current=drag(function(e,first){
+    var t=turn.current,a=angle(e);
+    if(first){t.from=a;t.at=t.rot;}
+    var d=a-t.from;d=d>180?d-360:d<-180?d+360:d;   /* across the ±180 seam */
+    t.rot=clamp(t.at+d,-WHEEL_LOCK,WHEEL_LOCK);
+    if(Math.abs(d)>90){t.from=a;t.at=t.rot;}      /* keep up with a hand going round */
+    props.input.wheel=-t.rot/WHEEL_LOCK;          /* clockwise is right */
+    rim.current.style.transition="none";rim.current.style.transform="rotate("+t.rot+"deg)";
+  },function(){
+    turn.current.rot=0;props.input.wheel=null;
+    rim.current.style.transition="transform 0.25s";rim.current.style.transform="rotate(0deg)";
+  });
+  return(
+    <div {...h.current} style={{width:120,height:120,touchAction:"none",userSelect:"none"}}>
+      <svg ref={rim} viewBox="-60 -60 120 120" width={120} height={120} style={{display:"block"}}>
+        <circle r={52} fill="rgba(52,152,219,0.15)" stroke="#3498db" strokeWidth={10} />
+        <circle r={12} fill="#3498db" />
+        <line x1={-47} y1={0} x2={47} y2={0} stroke="#3498db" strokeWidth={7} />
+        <line x1={0} y1={0} x2={0} y2={47} stroke="#3498db" strokeWidth={7} />
+        <rect x={-4} y={-58} width={8} height={12} rx={2} fill="#e8b400" />
+      </svg>
+    </div>
+  );
+}
+
+function Tilt(props){
+  var [allowed,setAllowed]=useState(null),dot=useRef(null);
+  var range=props.range;
+  useEffect(function(){
+    if(!canTilt()){setAllowed(false);return;}
+    var D=window.DeviceOrientationEvent;
+    if(typeof D.requestPermission!=="function")setAllowed(true);
+  },[]);
+  useEffect(function(){
+    if(!allowed)return;
+    var heard=false;
+    function tilt(e){
+      var w=tiltWheel(e,range);props.input.wheel=w;
+      if(w===null)return;
+      heard=true;
+      if(dot.current)dot.current.style.transform="translateX("+(-w*70)+"px)";
+    }
+    /* desktops & tablets without a gyro have the API but never send a reading; give them the joystick */
+    var wait=setTimeout(function(){if(!heard)setAllowed(false);},1500);
+    window.addEventListener("deviceorientation",tilt);
+    return function(){clearTimeout(wait);window.removeEventListener("deviceorientation",tilt);props.input.wheel=null;};
+  },[allowed,range]);
+  if(allowed===false)return <Stick input={props.input} />;
+  if(allowed===null)return(
+    <button onClick={function(){requestTilt().then(setAllowed);}}
+      style={{padding:"14px 16px",borderRadius:10,border:"2px solid #3498db",background:"rgba(52,152,219,0.15)",
+        color:"#3498db",fontFamily:FONT,fontSize:13,fontWeight:"bold",cursor:"pointer"}}>📱 Tap to steer by tilting</button>);
+  return(
+    <div style={{width:170,height:40,borderRadius:20,background:"rgba(52,152,219,0.1)",border:"2px dashed #3498db",
+      display:"flex",alignItems:"center",justifyContent:"center",position:"relative"}}>
+      <div style={{position:"absolute",top:4,bottom:4,left:"50%",width:1,background:"rgba(255,255,255,0.3)"}} />
+      <div ref={dot} style={{width:26,height:26,borderRadius:"50%",background:"#3498db",color:"#fff",fontSize:13,
+        display:"flex",alignItems:"center",justifyContent:"center"}}>📱</div>
+    </div>
+  );
+}
+
+/* press further up the pedal for more; anywhere on it gives at least a little */
+function Pedal(props){
+  var fill=useRef(null),h=useRef(null);
+  if(!h.current)h.current=drag(function(e,first){
+    var r=e.currentTarget.getBoundingClientRect();
+    var v=clamp(0.2+0.8*(r.bottom-e.clientY)/r.height,0.2,1);
+    props.input[props.id]=v;
+    fill.current.style.height=Math.round(v*100)+"%";
+    if(first&&props.onPress)props.onPress();
+  },function(){props.input[props.id]=0;fill.current.style.height="0%";});
+  return(
+    <div {...h.current} style={{width:66,height:118,borderRadius:10,border:"2px solid "+props.color,background:props.bg,
+      position:"relative",overflow:"hidden",touchAction:"none",userSelect:"none"}}>
+      <div ref={fill} style={{position:"absolute",left:0,right:0,bottom:0,height:"0%",background:props.color,opacity:0.45,pointerEvents:"none"}} />
+      <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",
+        color:props.color,fontFamily:FONT,fontSize:13,fontWeight:"bold",pointerEvents:"none"}}>{props.label}</div>
+    </div>
+  );
+}
+
+export default function TouchControls(props){
+  var input=props.input,t=props.touch;
+  /* let go of everything if the controls disappear mid-press */
+  useEffect(function(){
+    return function(){input.wheel=null;input.throttle=0;input.brake=0;};
+  },[]);
+  var steer=t.steer==="wheel"?<Wheel input={input} />:t.steer==="tilt"?<Tilt input={input} range={t.tilt} />:<Stick input={input} />;
+  return(
+    <div style={{position:"absolute",bottom:8,left:8,right:8,display:"flex",flexDirection:t.leftHanded?"row-reverse":"row",
+      justifyContent:"space-between",alignItems:"flex-end",gap:8,pointerEvents:"auto"}}>
+      <div key={t.steer}>{steer}</div>
+      <div style={{display:"flex",gap:5,alignItems:"center",flexWrap:"wrap",justifyContent:"center"}}>{props.children}</div>
+      <div style={{display:"flex",gap:6,alignItems:"flex-end",flexDirection:t.leftHanded?"row-reverse":"row"}}>
+        <Pedal id="brake" label="▼ BRK" color="#e74c3c" bg="rgba(231,76,60,0.15)" input={input} />
+        <Pedal id="throttle" label="▲ GAS" color="#2ecc71" bg="rgba(46,204,113,0.15)" input={input} onPress={props.onStart} />
+      </div>
+    </div>
+  );
+}
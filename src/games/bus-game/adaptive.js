@@ -0,0 +1,74 @@
+/* ═══════════════════════════════════════
+   ADAPTIVE MATHS - stop questions that follow the child's answers
+   Every answer to "how many are on the bus now?" nudges a skill value
+   (the other stop questions - seats, money, clocks, reading - leave it be):
+   right and quick moves it up, right but slow holds it, wrong eases it
+   back. The whole-number part picks one of LEVELS, and passengers for the
+   stops not reached yet are re-dealt from that level whenever the bus
+   pulls away, so a change shows up at the very next stop.
+   ═══════════════════════════════════════ */
+
+/* on: boarders per stop (never more than the 4 figures a shelter has);
+   ride: most stops a passenger stays aboard, 0 = everyone gets off at the
+   next stop so the sum is adding only; longer rides build up bigger totals.
+   quick: seconds for an answer to count as confident at this level */
+export var LEVELS=[
+  {label:"Counting on",minOn:1,maxOn:2,ride:0,quick:8},
+  {label:"Adding",minOn:1,maxOn:3,ride:0,quick:8},
+  {label:"Adding & taking away",minOn:1,maxOn:2,ride:2,quick:10},
+  {label:"Taking away",minOn:1,maxOn:3,ride:3,quick:12},
+  {label:"Bigger numbers",minOn:2,maxOn:4,ride:5,quick:14},
+  {label:"Big numbers",minOn:3,maxOn:4,ride:99,quick:16}
+];
+var START=1;
+
+function clampSkill(s){return Math.max(0,Math.min(LEVELS.length-0.01,s));}
+/* the LEVELS index a saved skill starts at */
+export function levelFor(skill){return Math.floor(clampSkill(isFinite(skill)&&skill!==null?+skill:START));}
+
+/* skill: carried over from the player's last adaptive shift, if any */
+export function createAdaptive(skill){
+  var s=clampSkill(isFinite(skill)&&skill!==null?+skill:START);
+  var asked=0,wrong=0,answers=[];
+
+  function level(){return Math.floor(s);}
+  /* a new question is on screen */
+  function ask(now){asked=now;wrong=0;}
+  /* one submitted answer; returns the change in level (-1, 0 or +1) */
+  function answer(correct,now){
+    var before=level(),secs=(now-asked)/1000;
+    answers.push({correct:correct,secs:Math.round(secs*10)/10,level:before});
+    if(!correct){
+      /* the first miss is a gentle nudge; struggling on the same sum eases off faster */
+      s=clampSkill(s-(wrong===0?0.2:0.35));wrong++;
+    }else if(wrong===0){
+      var q=LEVELS[before].quick;
+      s=clampSkill(s+(secs<=q?0.5:secs<=q*2?0.2:0));
+    }
+    return level()-before;
+  }
+
+  return{level:level,ask:ask,answer:answer,
+    skill:function(){return Math.round(s*100)/100;},
+    history:function(){return answers;}};
+}
+
+/* replace everyone still to board at stop `from` onwards with a fresh deal for level lv;
+   the new arrivals at a stop take over the patience of whoever was already waiting there */
+export function dealPax(pax,STOPS,from,lv,rand){
+  var L=LEVELS[lv],last=STOPS.length-1,waited={};
+  var p=pax.filter(function(x){
+    if(x.on||x.done||x.origin<from)return true;
+    var w=waited[x.origin];
+    if(!w||x.patience<w.patience)waited[x.origin]={patience:x.patience,mood:x.mood};
+    return false;
+  });
+  for(var i=from;i<last;i++){
+    var c=L.minOn+Math.floor(rand()*(L.maxOn-L.minOn+1)),w=waited[i]||{patience:1,mood:1};
+    for(var j=0;j<c;j++){
+      var d=L.ride===0?i+1:i+1+Math.floor(rand()*Math.min(L.ride,last-i));
+      p.push({origin:i,dest:Math.min(d,last),on:false,done:false,patience:w.patience,mood:w.mood,paid:false});
+    }
+  }
+  return p;
+}
@@ -0,0 +1,118 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   CAMERA RIG - chase, driver's seat, top-down & the stop cam
+   The player cycles through CAMERA_MODES; while the doors are open at a
+   stop the rig takes over with a slow sweep round the bus and shelter,
+   then hands back to whichever mode was chosen. The cab interior is only
+   shown from the driver's seat. Replays add a free camera that orbits the
+   bus wherever it is dragged.
+   ═══════════════════════════════════════ */
+export var CAMERA_MODES=[
+  {id:"chase",label:"Chase",icon:"🎥"},
+  {id:"cab",label:"Cab",icon:"🪑"},
+  {id:"top",label:"Top",icon:"🛰"}
+];
+
+export var FREE_CAMERA={id:"free",label:"Free",icon:"🎬"};
+
+export function nextCameraMode(id){
+  for(var i=0;i<CAMERA_MODES.length;i++)if(CAMERA_MODES[i].id===id)return CAMERA_MODES[(i+1)%CAMERA_MODES.length].id;
+  return CAMERA_MODES[0].id;
+}
+
+/* right-hand drive: the driver sits on the kerb side of the cab */
+var CAB_EYE=new THREE.Vector3(0.85,2.4,-2.55),CAB_LOOK=new THREE.Vector3(0.7,2.0,-20);
+var UP=new THREE.Vector3(0,1,0);
+
+/* o: {cab (group hidden outside the cab view), wheel (spins with the steering), needle (speedo)} */
+export function createCameraRig(camera,bus,o){
+  var off=new THREE.Vector3(0,12,20),look=new THREE.Vector3(bus.position.x,2.5,bus.position.z);
+  var up=new THREE.Vector3(0,1,0),v=new THREE.Vector3(),la=new THREE.Vector3();
+  var sweep=0,lastStop=null;
+  var orb={yaw:0.6,pitch:0.45,dist:30};
+
+  function setNear(n){if(camera.near!==n){camera.near=n;camera.updateProjectionMatrix();}}
+  function shake(p,amt){
+    if(amt<=0)return;
+    var t=performance.now(),sa=amt*1.5;
+    p.x+=Math.sin(t*0.05)*sa;p.y+=Math.cos(t*0.07)*sa*0.5;p.z+=Math.sin(t*0.06)*sa;
+  }
+
+  /* g: game state (heading, speed, steer, camShake); mode: a CAMERA_MODES id;
+     stop: {sx,sz,nx,nz} of the stop the doors are open at, or null;
+     sens: how briskly the chase & top-down cameras follow (1 = normal) */
+  function update(dt,g,mode,stop,sens){
+    var k=dt*(sens||1);
+    var h=g.heading,fx=-Math.sin(h),fz=-Math.cos(h),bx=bus.position.x,bz=bus.position.z;
+    o.wheel.rotation.z=g.steer*8;
+    o.needle.rotation.z=-Math.min(Math.abs(g.speed)/30,1)*Math.PI*1.5;
+    var cab=mode==="cab"&&!stop;
+    o.cab.visible=cab;setNear(cab?0.1:0.5);
+
+    if(stop){
+      /* stop cam: swing out from ahead of the bus towards the kerb, looking at the doors & shelter */
+      if(stop!==lastStop){sweep=0;lastStop=stop;}
+      sweep+=dt;
+      var a=0.3+Math.min(sweep/12,1)*1.1;
+      v.set(bx+(fx*Math.cos(a)+stop.nx*Math.sin(a))*16,3+sweep*0.08,bz+(fz*Math.cos(a)+stop.nz*Math.sin(a))*16);
+      camera.up.copy(UP);
+      camera.position.lerp(v,dt*2);
+      la.set((bx+stop.sx)/2,1.8,(bz+stop.sz)/2);
+      look.lerp(la,dt*3);camera.lookAt(look);
+      return;
+    }
+    lastStop=null;
+
+    if(cab){
+      /* bolted to the bus, so it leans and pitches with the body */
+      camera.up.copy(UP);
+      camera.position.copy(CAB_EYE);bus.localToWorld(camera.position);
+      shake(camera.position,g.camShake*0.15);
+      la.copy(CAB_LOOK);bus.localToWorld(la);
+      camera.lookAt(la);look.copy(la);
+      return;
+    }
+
+    if(mode==="top"){
+      /* map view, heading up, rising a little with speed so there is more road ahead */
+      v.set(bx+fx*12,80+Math.abs(g.speed)*1.5,bz+fz*12);
+      shake(v,g.camShake);
+      camera.position.lerp(v,k*3);
+      v.set(fx,0,fz);
+      if(Math.abs(up.y)>0.01)up.copy(v);else up.lerp(v,k*4).normalize();
+      camera.up.copy(up);
+      la.set(bx+fx*12,0,bz+fz*12);look.lerp(la,k*6);camera.lookAt(look);
+      return;
+    }
+
+    if(mode==="free"){
+      /* orbit round the bus, which stays in the middle of the picture */
+      camera.up.copy(UP);up.copy(UP);
+      var cp=Math.cos(orb.pitch);
+      v.set(bx+Math.sin(orb.yaw)*cp*orb.dist,1.5+Math.sin(orb.pitch)*orb.dist,bz+Math.cos(orb.yaw)*cp*orb.dist);
+      camera.position.lerp(v,Math.min(dt*10,1));
+      la.set(bx,1.5,bz);look.lerp(la,Math.min(dt*10,1));camera.lookAt(look);
+      return;
+    }
+
+    /* chase */
+    camera.up.copy(UP);up.copy(UP);
+    v.set(Math.sin(h)*22,10+Math.abs(g.speed)*0.12,Math.cos(h)*22);
+    off.lerp(v,k*2.5);
+    v.set(bx+off.x,off.y,bz+off.z);
+    shake(v,g.camShake);
+    camera.position.lerp(v,k*4);
+    la.set(bx+fx*8,2.5,bz+fz*8);
+    look.lerp(la,k*5);camera.lookAt(look);
+  }
+
+  /* drag & zoom for the free camera: radians round, radians up, zoom factor */
+  function orbit(dYaw,dPitch,zoom){
+    orb.yaw+=dYaw;
+    orb.pitch=Math.max(0.05,Math.min(1.45,orb.pitch+dPitch));
+    orb.dist=Math.max(8,Math.min(150,orb.dist*(zoom||1)));
+  }
+
+  return{update:update,orbit:orbit};
+}
@@ -0,0 +1,104 @@
+import { QUESTION_TYPES } from "./questions";
+
+/* ═══════════════════════════════════════
+   CLASS LOG - shift results kept for the teacher dashboard
+   Every finished shift is added to the current class session along with
+   each answer given at the stops, so accuracy can be broken down by child
+   and by question type. Sessions stay in localStorage until the teacher
+   deletes them; export gives JSON (everything) or CSV (a row per shift).
+   ═══════════════════════════════════════ */
+var LOG_KEY="busGame.classLog";
+var MAX_SESSIONS=30;
+
+function today(){return new Date().toLocaleDateString(undefined,{weekday:"short",day:"numeric",month:"short"});}
+function newId(){return"s"+Date.now().toString(36)+Math.floor(Math.random()*1e4).toString(36);}
+
+/* {current:id|null, sessions:[{id,name,started,results:[result]}]}, newest session first */
+export function loadLog(){
+  var raw;
+  try{raw=JSON.parse(window.localStorage.getItem(LOG_KEY)||"{}");}catch(e){raw={};}
+  var sessions=raw&&Array.isArray(raw.sessions)?raw.sessions.filter(function(s){return s&&typeof s.id==="string"&&Array.isArray(s.results);}):[];
+  var current=raw&&sessions.some(function(s){return s.id===raw.current;})?raw.current:null;
+  return{current:current,sessions:sessions};
+}
+export function saveLog(log){
+  try{window.localStorage.setItem(LOG_KEY,JSON.stringify(log));}catch(e){}
+}
+
+/* these return a new log, like the profile helpers */
+export function startSession(log,name){
+  var s={id:newId(),name:String(name||"").trim().slice(0,40)||"Class "+today(),started:new Date().toISOString(),results:[]};
+  return{current:s.id,sessions:[s].concat(log.sessions).slice(0,MAX_SESSIONS)};
+}
+export function renameSession(log,id,name){
+  return{current:log.current,sessions:log.sessions.map(function(s){return s.id===id?Object.assign({},s,{name:String(name).slice(0,40)}):s;})};
+}
+export function deleteSession(log,id){
+  return{current:log.current===id?null:log.current,sessions:log.sessions.filter(function(s){return s.id!==id;})};
+}
+export function selectSession(log,id){return{current:id,sessions:log.sessions};}
+export function currentSession(log){
+  for(var i=0;i<log.sessions.length;i++)if(log.sessions[i].id===log.current)return log.sessions[i];
+  return null;
+}
+
+/* add a shift to the current session, opening one for today if there isn't one */
+export function logResult(log,result){
+  if(!currentSession(log))log=startSession(log);
+  var r=Object.assign({at:new Date().toISOString()},result);
+  return{current:log.current,sessions:log.sessions.map(function(s){
+    return s.id===log.current?Object.assign({},s,{results:s.results.concat([r])}):s;})};
+}
+
+/* {correct, attempts} overall and for each question type, from a list of results */
+export function accuracy(results){
+  var out={all:{correct:0,attempts:0}};
+  QUESTION_TYPES.forEach(function(t){out[t.id]={correct:0,attempts:0};});
+  results.forEach(function(r){(r.answers||[]).forEach(function(a){
+    var b=out[a.type]||(out[a.type]={correct:0,attempts:0});
+    b.attempts++;out.all.attempts++;
+    if(a.correct){b.correct++;out.all.correct++;}
+  });});
+  return out;
+}
+
+/* results grouped by child, in the order they first played */
+export function byChild(results){
+  var kids=[],index={};
+  results.forEach(function(r){
+    var k=r.profileId||"guest:"+r.child;
+    if(index[k]===undefined){index[k]=kids.length;kids.push({key:k,child:r.child,avatar:r.avatar,results:[]});}
+    kids[index[k]].results.push(r);
+  });
+  return kids;
+}
+
+/* yyyy-mm-dd in the classroom's time zone, to sit beside the local time */
+function localDate(d){
+  var m=d.getMonth()+1,day=d.getDate();
+  return d.getFullYear()+"-"+(m<10?"0":"")+m+"-"+(day<10?"0":"")+day;
+}
+/* names are typed by children, so anything a spreadsheet would run as a formula is defused with a ' */
+function csvCell(v){
+  var s=v===null||v===undefined?"":String(v);
+  if(typeof v==="string"&&/^[=+\-@]/.test(s))s="'"+s;
+  return/[",\r\n]/.test(s)?"\""+s.replace(/"/g,"\"\"")+"\"":s;
+}
+/* one row per shift, with a correct / attempted pair for every question type */
+export function sessionCsv(session){
+  var head=["session","date","time","child","route","difficulty","maths_level","score","delivered","passengers","stars",
+    "abandoned","seconds","hints","answers","correct","accuracy_pct"];
+  QUESTION_TYPES.forEach(function(t){head.push(t.id+"_correct",t.id+"_attempts");});
+  var rows=[head];
+  session.results.forEach(function(r){
+    var d=new Date(r.at),acc=accuracy([r]);
+    var row=[session.name,localDate(d),d.toTimeString().slice(0,5),r.child,r.routeName,r.difficulty,
+      r.mathLevel===null||r.mathLevel===undefined?"":r.mathLevel,r.score,r.delivered,r.total,r.stars,r.failed?"yes":"no",
+      Math.round(r.time||0),r.hints||0,acc.all.attempts,acc.all.correct,
+      acc.all.attempts?Math.round(acc.all.correct/acc.all.attempts*100):""];
+    QUESTION_TYPES.forEach(function(t){row.push(acc[t.id].correct,acc[t.id].attempts);});
+    rows.push(row);
+  });
+  return rows.map(function(r){return r.map(csvCell).join(",");}).join("\n")+"\n";
+}
+export function sessionJson(session){return JSON.stringify(session,null,2);}
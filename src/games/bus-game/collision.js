@@ -0,0 +1,98 @@
+/* ═══════════════════════════════════════
+   COLLISION - oriented box for the bus vs circles & boxes
+   Obstacles are either circles {x,z,r} or axis-aligned boxes {x,z,hw,hd}.
+   Static ones (buildings, trees, shelters, poles) go into a spatial hash
+   once; moving ones (cars, pedestrians) are passed in every frame. Each
+   contact carries a normal pointing from the obstacle towards the bus and
+   a penetration depth, so the caller can push the bus out and let it
+   slide along whatever it hit.
+   ═══════════════════════════════════════ */
+
+/* the bus footprint: centre, forward & right unit vectors, half extents */
+export function busBox(x,z,heading,halfW,halfL){
+  var fx=-Math.sin(heading),fz=-Math.cos(heading);
+  return{x:x,z:z,fx:fx,fz:fz,rx:-fz,rz:fx,hw:halfW,hl:halfL,reach:Math.hypot(halfW,halfL)};
+}
+
+/* box vs circle: closest point on the box to the circle's centre */
+function boxCircle(b,c){
+  var dx=c.x-b.x,dz=c.z-b.z;
+  var lf=dx*b.fx+dz*b.fz,lr=dx*b.rx+dz*b.rz;
+  var cf=Math.max(-b.hl,Math.min(b.hl,lf)),cr=Math.max(-b.hw,Math.min(b.hw,lr));
+  var qx=b.x+b.fx*cf+b.rx*cr,qz=b.z+b.fz*cf+b.rz*cr;
+  var ex=qx-c.x,ez=qz-c.z,d=Math.hypot(ex,ez);
+  if(d>=c.r)return null;
+  if(d>1e-6)return{nx:ex/d,nz:ez/d,depth:c.r-d};
+  /* centre inside the box: leave along the shallower axis */
+  var pf=b.hl-Math.abs(lf),pr=b.hw-Math.abs(lr),s;
+  if(pf<pr){s=lf>0?-1:1;return{nx:b.fx*s,nz:b.fz*s,depth:pf+c.r};}
+  s=lr>0?-1:1;return{nx:b.rx*s,nz:b.rz*s,depth:pr+c.r};
+}
+
+/* box vs axis-aligned box: separating axis test on the four face normals */
+function boxBox(b,o){
+  var axes=[[b.fx,b.fz],[b.rx,b.rz],[1,0],[0,1]];
+  var dx=b.x-o.x,dz=b.z-o.z,best=Infinity,nx=0,nz=0;
+  for(var i=0;i<4;i++){
+    var ax=axes[i][0],az=axes[i][1];
+    var rb=b.hl*Math.abs(b.fx*ax+b.fz*az)+b.hw*Math.abs(b.rx*ax+b.rz*az);
+    var ro=o.hw*Math.abs(ax)+o.hd*Math.abs(az);
+    var dist=dx*ax+dz*az,overlap=rb+ro-Math.abs(dist);
+    if(overlap<=0)return null;
+    if(overlap<best){best=overlap;var s=dist<0?-1:1;nx=ax*s;nz=az*s;}
+  }
+  return{nx:nx,nz:nz,depth:best};
+}
+
+export function collide(b,ob){
+  return ob.r!==undefined?boxCircle(b,ob):boxBox(b,ob);
+}
+
+/* uniform grid keyed by cell; an obstacle is filed in every cell its bounds touch */
+export function createSpatialHash(cell){
+  var cells={},stamp=0;
+  function key(ix,iz){return ix+","+iz;}
+  function bounds(ob){
+    var ex=ob.r!==undefined?ob.r:ob.hw,ez=ob.r!==undefined?ob.r:ob.hd;
+    return[Math.floor((ob.x-ex)/cell),Math.floor((ob.z-ez)/cell),Math.floor((ob.x+ex)/cell),Math.floor((ob.z+ez)/cell)];
+  }
+  function insert(ob){
+    var bb=bounds(ob);
+    for(var ix=bb[0];ix<=bb[2];ix++)for(var iz=bb[1];iz<=bb[3];iz++){
+      var k=key(ix,iz);(cells[k]||(cells[k]=[])).push(ob);}
+  }
+  /* everything filed near the rectangle, each obstacle once */
+  function query(minX,minZ,maxX,maxZ,out){
+    stamp++;out=out||[];
+    for(var ix=Math.floor(minX/cell);ix<=Math.floor(maxX/cell);ix++)
+      for(var iz=Math.floor(minZ/cell);iz<=Math.floor(maxZ/cell);iz++){
+        var list=cells[key(ix,iz)];if(!list)continue;
+        for(var i=0;i<list.length;i++)if(list[i]._hs!==stamp){list[i]._hs=stamp;out.push(list[i]);}
+      }
+    return out;
+  }
+  return{insert:insert,query:query};
+}
+
+/* statics: obstacles that never move; returns contacts sorted deepest first */
+export function createCollisionWorld(statics,cell){
+  var hash=createSpatialHash(cell||20),near=[];
+  for(var i=0;i<statics.length;i++)hash.insert(statics[i]);
+
+  function contacts(b,dynamic){
+    var out=[],k,c;
+    near.length=0;
+    hash.query(b.x-b.reach,b.z-b.reach,b.x+b.reach,b.z+b.reach,near);
+    for(k=0;k<near.length;k++){c=collide(b,near[k]);if(c){c.ob=near[k];out.push(c);}}
+    for(var si=0;dynamic&&si<dynamic.length;si++)for(k=0;k<dynamic[si].length;k++){
+      var ob=dynamic[si][k],ext=ob.r!==undefined?ob.r:Math.max(ob.hw,ob.hd);
+      /* cheap reject before the exact test */
+      if(Math.abs(ob.x-b.x)>b.reach+ext||Math.abs(ob.z-b.z)>b.reach+ext)continue;
+      c=collide(b,ob);if(c){c.ob=ob;out.push(c);}
+    }
+    out.sort(function(a,b2){return b2.depth-a.depth;});
+    return out;
+  }
+
+  return{contacts:contacts,insert:hash.insert};
+}
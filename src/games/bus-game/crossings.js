@@ -0,0 +1,146 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   ZEBRA CROSSINGS - pedestrians crossing the road
+   Each crossing sits halfway along a route segment with Belisha beacons on
+   both kerbs. Pedestrians are borrowed from the game's walking-figure pool
+   (figs.create / figs.recycle / figs.step) and walk kerb to kerb; while one
+   is on the road the bus and the traffic must wait at the stripes.
+   ═══════════════════════════════════════ */
+var KERB=8.5;          /* pedestrians wait this far either side of the centre line */
+var ROAD=7;            /* ...and count as "on the road" inside this */
+var ZONE=1.6;          /* half the stripe length along the road */
+var CLEAR=30;          /* nobody steps out with the bus closer than this */
+var WAIT=7.5;          /* pedestrians stand still rather than walk into the bus */
+var MAX_PEDS=2;
+export var PEDESTRIAN={hit:{text:"Hit a pedestrian",pts:150},yield:{text:"Didn't stop for pedestrians",pts:60}};
+
+function unit(x,z){var l=Math.hypot(x,z)||1;return[x/l,z/l];}
+
+export function createCrossings(scene,R,route,figs,project){
+  var stripeMat=new THREE.MeshStandardMaterial({color:0xf4f4f4,roughness:0.6});
+  var poleMat=new THREE.MeshStandardMaterial({color:0x222222,roughness:0.5,metalness:0.4});
+  var beaconOff=new THREE.MeshStandardMaterial({color:0x886600,roughness:0.4});
+  var beaconOn=new THREE.MeshStandardMaterial({color:0xffaa00,emissive:0xffaa00,emissiveIntensity:1.3});
+  var stripeGeo=new THREE.BoxGeometry(0.55,0.04,ZONE*2);
+  var crossings=[],obstacles=[],beacons=[];
+
+  function addBeacon(x,z){
+    var m=new THREE.Mesh(new THREE.CylinderGeometry(0.07,0.09,2.8,6),poleMat);
+    m.position.set(x,1.4,z);m.castShadow=true;scene.add(m);
+    var b=new THREE.Mesh(new THREE.SphereGeometry(0.28,10,8),beaconOff);
+    b.position.set(x,3.0,z);scene.add(b);beacons.push(b);
+    obstacles.push({x:x,z:z,r:0.3});
+  }
+
+  for(var i=0;i<route.crossings.length;i++){
+    var k=route.crossings[i],a=R[k],b=R[k+1];
+    var d=unit(b[0]-a[0],b[1]-a[1]),nx=-d[1],nz=d[0]; /* right-hand normal */
+    var cx=(a[0]+b[0])/2,cz=(a[1]+b[1])/2,ang=Math.atan2(d[0],d[1]);
+    for(var o=-6.3;o<=6.31;o+=1.05){
+      var st=new THREE.Mesh(stripeGeo,stripeMat);
+      st.rotation.y=ang;st.position.set(cx+nx*o,0.17,cz+nz*o);scene.add(st);
+    }
+    addBeacon(cx+nx*8.6+d[0]*2.2,cz+nz*8.6+d[1]*2.2);
+    addBeacon(cx-nx*8.6-d[0]*2.2,cz-nz*8.6-d[1]*2.2);
+    var cr={x:cx,z:cz,dx:d[0],dz:d[1],nx:nx,nz:nz,peds:[],timer:0,prevSd:null,holds:[]};
+    if(project){
+      cr.holds.push({s:project(cx-d[0]*(ZONE+1),cz-d[1]*(ZONE+1)).s,dir:1});
+      cr.holds.push({s:project(cx+d[0]*(ZONE+1),cz+d[1]*(ZONE+1)).s,dir:-1});
+    }
+    crossings.push(cr);
+  }
+  /* the static beacon poles come first; pedestrians are appended each frame */
+  var nStatic=obstacles.length;
+
+  function lateral(cr,x,z){return(x-cr.x)*cr.nx+(z-cr.z)*cr.nz;}
+  function busy(cr){
+    for(var p=0;p<cr.peds.length;p++){var f=cr.peds[p];
+      if(f.userData.walkState==="crossing"&&Math.abs(lateral(cr,f.position.x,f.position.z))<ROAD+1)return true;}
+    return false;
+  }
+
+  function spawn(cr,rand){
+    var side=rand()<0.5?1:-1,along=(rand()-0.5)*ZONE;
+    var fig=figs.create(),u=fig.userData;
+    u.walkState="crossing";u.walkProgress=0;u.paxIndex=-1;u.walkSpeed=1.8+rand()*0.8;
+    u.walkStartX=cr.x+cr.nx*KERB*side+cr.dx*along;u.walkStartZ=cr.z+cr.nz*KERB*side+cr.dz*along;
+    u.walkEndX=cr.x-cr.nx*KERB*side+cr.dx*along;u.walkEndZ=cr.z-cr.nz*KERB*side+cr.dz*along;
+    fig.position.set(u.walkStartX,0,u.walkStartZ);
+    cr.peds.push(fig);
+  }
+
+  var rng=Math.random,clock=0;
+  function update(dt,busX,busZ,busSpeed){
+    clock+=dt;
+    var flash=Math.floor(clock*1.5)%2===0;
+    for(var bi=0;bi<beacons.length;bi++)beacons[bi].material=flash?beaconOn:beaconOff;
+    obstacles.length=nStatic;
+    for(var i=0;i<crossings.length;i++){
+      var cr=crossings[i];
+      cr.timer-=dt;
+      if(cr.timer<=0){
+        if(cr.peds.length<MAX_PEDS&&(Math.hypot(busX-cr.x,busZ-cr.z)>CLEAR||Math.abs(busSpeed)<0.5)){
+          spawn(cr,rng);cr.timer=6+rng()*10;
+        }else cr.timer=1;
+      }
+      for(var p=cr.peds.length-1;p>=0;p--){
+        var f=cr.peds[p];
+        var blocked=f.userData.walkState==="crossing"&&Math.hypot(busX-f.position.x,busZ-f.position.z)<WAIT;
+        if(!blocked&&figs.step(f,dt)){figs.recycle(f);cr.peds.splice(p,1);continue;}
+        if(f.userData.walkState==="crossing")obstacles.push({x:f.position.x,z:f.position.z,r:0.35,ped:f});
+      }
+    }
+  }
+
+  /* a pedestrian the bus ran into jumps back to the nearer kerb */
+  function scare(fig){
+    for(var i=0;i<crossings.length;i++){var cr=crossings[i];
+      if(cr.peds.indexOf(fig)<0)continue;
+      var u=fig.userData,lat=lateral(cr,fig.position.x,fig.position.z),s=lat<0?-1:1;
+      u.walkState="scared";u.walkProgress=0;u.walkSpeed=6;
+      u.walkStartX=fig.position.x;u.walkStartZ=fig.position.z;
+      u.walkEndX=fig.position.x+cr.nx*(KERB*s-lat);u.walkEndZ=fig.position.z+cr.nz*(KERB*s-lat);
+    }
+  }
+
+  /* stripes cars must currently stop at, for the traffic model */
+  function holds(){
+    var out=[];
+    for(var i=0;i<crossings.length;i++)if(busy(crossings[i]))out.push.apply(out,crossings[i].holds);
+    return out;
+  }
+
+  /* bus front bumper vs the stripes; returns the number of crossings it drove onto while someone was crossing */
+  function check(fx,fz,heading,speed){
+    var n=0,hx=-Math.sin(heading),hz=-Math.cos(heading);
+    for(var i=0;i<crossings.length;i++){
+      var cr=crossings[i],dir=hx*cr.dx+hz*cr.dz<0?-1:1;
+      var sd=((fx-cr.x)*cr.dx+(fz-cr.z)*cr.dz)*dir,lat=lateral(cr,fx,fz);
+      var prev=cr.prevSd;cr.prevSd=sd;
+      if(Math.abs(lat)>ROAD+1||prev===null)continue;
+      if(prev<-ZONE&&sd>=-ZONE&&Math.abs(speed)>1&&busy(cr))n++;
+    }
+    return n;
+  }
+
+  /* distance to the nearest crossing ahead with someone on it, or -1 */
+  function ahead(bx,bz,heading,range){
+    var best=-1,hx=-Math.sin(heading),hz=-Math.cos(heading);
+    for(var i=0;i<crossings.length;i++){
+      var cr=crossings[i],rx=cr.x-bx,rz=cr.z-bz,fwd=rx*hx+rz*hz;
+      if(fwd<0||fwd>range||Math.abs(rx*-hz+rz*hx)>ROAD+2||!busy(cr))continue;
+      if(best<0||fwd<best)best=fwd;
+    }
+    return best;
+  }
+
+  function reset(rand){
+    rng=rand||Math.random;clock=0;obstacles.length=nStatic;
+    for(var i=0;i<crossings.length;i++){var cr=crossings[i];
+      for(var p=0;p<cr.peds.length;p++)figs.recycle(cr.peds[p]);
+      cr.peds.length=0;cr.prevSd=null;cr.timer=2+rng()*6;}
+  }
+
+  return{update:update,holds:holds,check:check,ahead:ahead,scare:scare,reset:reset,obstacles:obstacles,crossings:crossings};
+}
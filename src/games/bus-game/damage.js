@@ -0,0 +1,140 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   BUS DAMAGE - dents, broken parts and a tired engine
+   Each side of the bus (front, rear, left, right) wears from 0 to 1 with
+   the knocks it takes. The body panels are pushed in where they were hit
+   and scuffed around the dent, and past a point the parts on that side
+   give up: the windscreen cracks, a headlight flickers, a mirror hangs
+   loose, a bumper sags. Overall wear caps top speed and makes the engine
+   knock; at LIMP the bus is only fit to crawl back to the depot.
+   ═══════════════════════════════════════ */
+export var ZONES=["front","rear","left","right"];
+export var LIMP=1;          /* overall wear that takes the bus out of service */
+export var LIMP_SPEED=5;    /* m/s the bus can manage once it has */
+var WEAR_PER_MS=0.03;       /* wear per m/s of impact, both on the side hit and overall */
+var MAX_DENT=0.35;          /* m a panel can be pushed in */
+var DENT_R=1.1;             /* m, size of a dent */
+var SCUFF=new THREE.Color(0x6d665c);
+var CRACK_ARMS=9,CRACK_STEPS=4;
+
+function clamp01(v){return Math.max(0,Math.min(1,v));}
+
+/* parts: {body,windscreen:{x,y,z,w,h},headlamps:[{light,bulb}] (left, right),
+   mirrors:[left,right],bumpers:{front,rear}}; the body must be a segmented
+   BoxGeometry centred on its mesh, with the bus facing -z.
+   rand: seeded rng (rng.js) for the crack pattern, so a seed always breaks the same way */
+export function createDamage(bus,parts,rand){
+  var geo=parts.body.geometry,pos=geo.attributes.position,nv=pos.count;
+  var half=[geo.parameters.width/2,geo.parameters.height/2,geo.parameters.depth/2];
+  var orig=new Float32Array(pos.array),off=new Float32Array(nv*3),scuff=new Float32Array(nv);
+  var col=new Float32Array(nv*3).fill(1);
+  geo.setAttribute("color",new THREE.BufferAttribute(col,3));
+  parts.body.material.vertexColors=true;
+  /* where on the body a knock lands: face axis (0 = x, 2 = z) and side */
+  var FACE={front:[2,-1],rear:[2,1],left:[0,-1],right:[0,1]};
+
+  /* windscreen cracks: jagged arms out from a point, revealed a segment at a time */
+  var ws=parts.windscreen,cpos=[];
+  var cx=ws.x+(rand()-0.5)*ws.w*0.5,cy=ws.y+(rand()-0.3)*ws.h*0.4;
+  for(var a=0;a<CRACK_ARMS;a++){
+    var ang=a/CRACK_ARMS*Math.PI*2+rand()*0.5,px=cx,py=cy;
+    for(var k=0;k<CRACK_STEPS;k++){
+      ang+=(rand()-0.5)*0.7;
+      var len=0.12+rand()*0.22;
+      var qx=Math.max(ws.x-ws.w/2,Math.min(ws.x+ws.w/2,px+Math.cos(ang)*len));
+      var qy=Math.max(ws.y-ws.h/2,Math.min(ws.y+ws.h/2,py+Math.sin(ang)*len));
+      cpos.push(px,py,ws.z,qx,qy,ws.z);px=qx;py=qy;
+    }
+  }
+  var crackGeo=new THREE.BufferGeometry();
+  crackGeo.setAttribute("position",new THREE.Float32BufferAttribute(cpos,3));
+  var crack=new THREE.LineSegments(crackGeo,new THREE.LineBasicMaterial({color:0xeef4f8,transparent:true,opacity:0.8}));
+  bus.add(crack);
+
+  var zone,lamp,flick,t,wear;
+  function reset(){
+    zone={front:0,rear:0,left:0,right:0};lamp=[0,0];flick=[{on:true,t:0},{on:true,t:0}];t=0;wear=0;
+    off.fill(0);scuff.fill(0);col.fill(1);
+    pos.array.set(orig);pos.needsUpdate=true;geo.attributes.color.needsUpdate=true;geo.computeVertexNormals();
+    crackGeo.setDrawRange(0,0);
+    for(var i=0;i<2;i++){parts.headlamps[i].bulb.visible=true;parts.mirrors[i].rotation.set(0,0,0);}
+    parts.bumpers.front.rotation.z=0;parts.bumpers.rear.rotation.z=0;
+  }
+
+  /* push the panels in around local point c on the face, and scuff the paint */
+  function dent(f,c,amount){
+    var ax=f[0],s=f[1],depth=amount*MAX_DENT*1.5;
+    for(var v=0;v<nv;v++){
+      var i3=v*3;
+      if(Math.abs(orig[i3+ax]-s*half[ax])>1e-3)continue;
+      var d2=0;for(var j=0;j<3;j++)if(j!==ax){var e=orig[i3+j]-c[j];d2+=e*e;}
+      var fall=Math.exp(-d2/(DENT_R*DENT_R));
+      if(fall<0.02)continue;
+      /* off is outward along the face normal (s), so a dent is negative */
+      off[i3+ax]=-s*Math.min(MAX_DENT,-s*off[i3+ax]+depth*fall);
+      scuff[v]=Math.min(1,scuff[v]+fall*amount*3);
+      pos.array[i3+ax]=orig[i3+ax]+off[i3+ax];
+      col[i3]=1+(SCUFF.r-1)*scuff[v];col[i3+1]=1+(SCUFF.g-1)*scuff[v];col[i3+2]=1+(SCUFF.b-1)*scuff[v];
+    }
+    pos.needsUpdate=true;geo.attributes.color.needsUpdate=true;geo.computeVertexNormals();
+  }
+
+  /* b: the bus box from collision.js, ct: a contact against it, impact: m/s into the obstacle.
+     Returns the side that took it */
+  function hit(b,ct,impact){
+    var amount=impact*WEAR_PER_MS;
+    /* the side facing the obstacle, from the contact normal in the bus's own frame */
+    var lf=-(ct.nx*b.fx+ct.nz*b.fz),lr=-(ct.nx*b.rx+ct.nz*b.rz);
+    var name=Math.abs(lf)>=Math.abs(lr)?(lf>0?"front":"rear"):(lr>0?"right":"left");
+    /* roughly where along that side: the obstacle's centre, kept on the panel */
+    var dx=ct.ob.x-b.x,dz=ct.ob.z-b.z;
+    var bx=Math.max(-half[0],Math.min(half[0],dx*b.rx+dz*b.rz));
+    var bz=Math.max(-half[2],Math.min(half[2],-(dx*b.fx+dz*b.fz)));
+    var f=FACE[name],c=[bx,-half[1]*0.4,bz];
+    dent(f,c,amount);
+    zone[name]=clamp01(zone[name]+amount);
+    wear=clamp01(wear+amount);
+    if(name==="front"){
+      lamp[bx<0?0:1]=clamp01(lamp[bx<0?0:1]+amount*1.5);
+      crackGeo.setDrawRange(0,Math.round(cpos.length/3*clamp01((zone.front-0.15)/0.5)/2)*2);
+    }
+    return name;
+  }
+
+  /* flicker broken lamps and shake loose parts; run after the sky has set the lights */
+  function update(dt,speed){
+    t+=dt;
+    var sp=clamp01(Math.abs(speed)/12);
+    for(var i=0;i<2;i++){
+      var hl=parts.headlamps[i],fl=flick[i];
+      if(lamp[i]>0.3){
+        fl.t-=dt;
+        if(fl.t<=0){fl.on=!fl.on;fl.t=fl.on?0.05+Math.random()*(1.2-lamp[i]):0.03+Math.random()*0.15*lamp[i];}
+        hl.bulb.visible=fl.on;
+        hl.light.intensity=(hl.light.userData.level||0)*(fl.on?1:0.05);
+      }
+      var side=zone[i?"right":"left"],mr=parts.mirrors[i];
+      if(side>0.3){
+        var loose=clamp01((side-0.3)/0.5);
+        mr.rotation.z=(i?-1:1)*0.5*loose;
+        mr.rotation.x=Math.sin(t*19+i)*0.25*loose*sp;
+      }
+    }
+    if(zone.front>0.4)parts.bumpers.front.rotation.z=0.12*(zone.front-0.4)/0.6;
+    if(zone.rear>0.4)parts.bumpers.rear.rotation.z=-0.12*(zone.rear-0.4)/0.6;
+  }
+
+  /* top speed on the current wear, or undefined while it doesn't matter yet */
+  function maxSpeed(limit){
+    if(wear>=LIMP)return LIMP_SPEED;
+    if(wear<0.4)return undefined;
+    return limit*(1-0.5*(wear-0.4)/0.6);
+  }
+
+  reset();
+  return{hit:hit,update:update,reset:reset,maxSpeed:maxSpeed,
+    wear:function(){return wear;},zones:function(){return zone;},
+    /* 0-1 strength of the engine knock */
+    knock:function(){return clamp01((wear-0.3)/0.7);}};
+}
@@ -0,0 +1,106 @@
+/* ═══════════════════════════════════════
+   GAMEPAD - controllers, USB wheels & pedals through the Gamepad API
+   Steering, accelerator and brake are analogue; each is bound to an axis
+   (or, for pedals, a trigger button) together with the raw values it
+   reads at rest and at full travel, which the calibration screen records.
+   So a wheel whose pedals read 1 when released and -1 when floored works
+   the same as a pad's triggers reading 0 to 1. Doors, horn, camera, map
+   and pause are plain buttons, reported once per press.
+   ═══════════════════════════════════════ */
+
+/* the "standard" layout most pads report: left stick, RT/LT, A B Y, Back, Start */
+export var DEFAULT_PAD={
+  steer:{axis:0,center:0,left:-1,right:1},
+  throttle:{kind:"button",index:7,rest:0,full:1},
+  brake:{kind:"button",index:6,rest:0,full:1},
+  deadzone:0.08,
+  buttons:{doors:0,horn:1,camera:3,map:8,pause:9}
+};
+export var PAD_BUTTONS=[
+  {id:"doors",label:"Doors"},{id:"horn",label:"Horn"},{id:"camera",label:"Camera"},
+  {id:"map",label:"Map"},{id:"pause",label:"Pause"}
+];
+
+function int(v,d){return typeof v==="number"&&v>=0&&v===Math.floor(v)?v:d;}
+function real(v,d){return typeof v==="number"&&isFinite(v)?v:d;}
+function pedal(raw,d){
+  raw=raw||{};
+  var p={kind:raw.kind==="axis"?"axis":"button",index:int(raw.index,d.index),rest:real(raw.rest,d.rest),full:real(raw.full,d.full)};
+  return p.rest===p.full?Object.assign({},d):p;
+}
+
+/* a stored binding with anything missing or broken put back to the default */
+export function normalizePad(raw){
+  raw=raw&&typeof raw==="object"?raw:{};
+  var D=DEFAULT_PAD,s=raw.steer||{},b=raw.buttons||{},buttons={};
+  var steer={axis:int(s.axis,D.steer.axis),center:real(s.center,D.steer.center),left:real(s.left,D.steer.left),right:real(s.right,D.steer.right)};
+  if(steer.left===steer.center||steer.right===steer.center)steer=Object.assign({},D.steer);
+  for(var k in D.buttons)buttons[k]=int(b[k],D.buttons[k]);
+  return{steer:steer,throttle:pedal(raw.throttle,D.throttle),brake:pedal(raw.brake,D.brake),
+    deadzone:Math.max(0,Math.min(0.5,real(raw.deadzone,D.deadzone))),buttons:buttons};
+}
+
+/* the first controller plugged in, or null */
+export function firstPad(){
+  var pads=typeof navigator!=="undefined"&&navigator.getGamepads?navigator.getGamepads():[];
+  for(var i=0;i<pads.length;i++)if(pads[i]&&pads[i].connected)return pads[i];
+  return null;
+}
+
+function dead(v,dz){var a=Math.abs(v);return a<=dz?0:Math.sign(v)*Math.min(1,(a-dz)/(1-dz));}
+function inputValue(pad,kind,index){
+  if(kind==="axis")return pad.axes[index];
+  var b=pad.buttons[index];return b?b.value:undefined;
+}
+function travel(pad,p){
+  var v=inputValue(pad,p.kind,p.index);
+  return v===undefined?0:Math.max(0,Math.min(1,(v-p.rest)/(p.full-p.rest)));
+}
+
+/* {wheel (-1..1, + = left like the keys), throttle, brake (0..1)} */
+export function readPad(pad,bind){
+  var s=bind.steer,v=pad.axes[s.axis],wheel=0;
+  if(v!==undefined){
+    var d=v-s.center,toLeft=(s.left-s.center)*d>0;
+    wheel=toLeft?Math.min(1,d/(s.left-s.center)):-Math.min(1,d/(s.right-s.center));
+  }
+  return{wheel:dead(wheel,bind.deadzone),throttle:dead(travel(pad,bind.throttle),bind.deadzone),
+    brake:dead(travel(pad,bind.brake),bind.deadzone)};
+}
+
+/* polled once a frame; pressed holds the button actions that went down since the last poll */
+export function createPadInput(){
+  var was={};
+  function poll(bind){
+    var pad=firstPad();
+    if(!pad){was={};return null;}
+    var out=readPad(pad,bind);out.pressed={};out.id=pad.id;
+    for(var k in bind.buttons){
+      var b=pad.buttons[bind.buttons[k]],down=!!(b&&b.pressed);
+      if(down&&!was[k])out.pressed[k]=true;
+      was[k]=down;
+    }
+    return out;
+  }
+  return{poll:poll};
+}
+
+/* ── calibration: compare what the pad reads now against a snapshot taken at rest ── */
+export function snapshot(pad){
+  return{axes:pad.axes.slice(),buttons:pad.buttons.map(function(b){return b.value;})};
+}
+/* the axis or button that has moved furthest from rest: {kind,index,rest,value,moved};
+   the steering axis is left out (skipAxis) when looking for the pedals */
+export function biggestChange(rest,pad,axesOnly,skipAxis){
+  var best=null,i,m;
+  for(i=0;i<pad.axes.length&&i<rest.axes.length;i++){if(i===skipAxis)continue;m=Math.abs(pad.axes[i]-rest.axes[i]);
+    if(!best||m>best.moved)best={kind:"axis",index:i,rest:rest.axes[i],value:pad.axes[i],moved:m};}
+  if(!axesOnly)for(i=0;i<pad.buttons.length&&i<rest.buttons.length;i++){m=Math.abs(pad.buttons[i].value-rest.buttons[i]);
+    if(!best||m>best.moved)best={kind:"button",index:i,rest:rest.buttons[i],value:pad.buttons[i].value,moved:m};}
+  return best;
+}
+/* index of a button being held, or -1 */
+export function heldButton(pad){
+  for(var i=0;i<pad.buttons.length;i++)if(pad.buttons[i].pressed)return i;
+  return -1;
+}
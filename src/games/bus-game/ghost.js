@@ -0,0 +1,77 @@
+import { routeFingerprint, encodeReplay, decodeReplay, thinReplay } from "./replay";
+
+/* ═══════════════════════════════════════
+   GHOST - racing your own best time
+   Each player's fastest clean run on a route and difficulty - everyone
+   delivered, bus still in service - is kept as a slimmed-down replay. With
+   "race your best" on, it drives alongside as a see-through bus, and the
+   time it opened its doors at each stop gives the split to beat there.
+   Times are shift time, so the ghost waits at stops just as the player
+   does and only the driving is raced.
+   Kept apart from the profiles as the recordings are far bigger, and
+   capped in size so they never crowd out the rest of the game's storage.
+   ═══════════════════════════════════════ */
+var GHOSTS_KEY="busGame.ghosts";
+var STEP=0.2;             /* seconds between the samples kept */
+var MAX_GHOSTS=40;        /* oldest go first when there are more than this... */
+var MAX_CHARS=1500000;    /* ...or when together they'd take more than this much of the origin's storage,
+                             which profiles, settings and the teacher's class log need too */
+
+/* keyed by the route's fingerprint as well as its id, so editing a custom route starts afresh */
+function ghostKey(profileId,route,difficulty){return profileId+"|"+route.id+"|"+routeFingerprint(route)+"|"+difficulty;}
+
+/* {key: {time, saved, replay (encoded)}} */
+function loadAll(){
+  var raw;
+  try{raw=JSON.parse(window.localStorage.getItem(GHOSTS_KEY)||"{}");}catch(e){raw={};}
+  return raw&&typeof raw==="object"?raw:{};
+}
+/* true if it was written; keep is a key that must survive the trimming */
+function saveAll(all,keep){
+  var keys=Object.keys(all).sort(function(a,b){return(all[b].saved||0)-(all[a].saved||0);});
+  keys.slice(MAX_GHOSTS).forEach(function(k){delete all[k];});
+  var text=JSON.stringify(all);
+  for(var i=Math.min(keys.length,MAX_GHOSTS)-1;text.length>MAX_CHARS&&i>=0;i--){
+    if(keys[i]===keep)continue;
+    delete all[keys[i]];text=JSON.stringify(all);
+  }
+  if(text.length>MAX_CHARS)return false;
+  try{window.localStorage.setItem(GHOSTS_KEY,text);return true;}catch(e){return false;}
+}
+
+/* the time of the player's best run here, or null */
+export function ghostTime(profileId,route,difficulty){
+  var e=loadAll()[ghostKey(profileId,route,difficulty)];
+  return e&&isFinite(e.time)?e.time:null;
+}
+
+/* {time, rep, splits: {stop index: time the doors opened}} or null */
+export function loadGhost(profileId,route,difficulty){
+  var e=loadAll()[ghostKey(profileId,route,difficulty)],rep;
+  if(!e||!isFinite(e.time))return null;
+  try{rep=decodeReplay(e.replay);}catch(err){return null;}
+  var splits={};
+  rep.events.forEach(function(ev){if(ev.type==="doors"&&splits[ev.stop]===undefined)splits[ev.stop]=ev.t;});
+  return{time:e.time,rep:rep,splits:splits};
+}
+
+/* keep rep as the ghost if it beats the one there; {newBest, prevTime, full}.
+   newBest only once it's really stored - full says it was faster but there was no room */
+export function offerGhost(profileId,route,difficulty,rep){
+  var all=loadAll(),k=ghostKey(profileId,route,difficulty),e=all[k];
+  var prev=e&&isFinite(e.time)?e.time:null,time=rep.result.time;
+  if(prev!==null&&time>=prev)return{newBest:false,prevTime:prev,full:false};
+  /* runs on older versions of this route can never be raced again */
+  var stale=profileId+"|"+route.id+"|";
+  Object.keys(all).forEach(function(o){
+    if(o!==k&&o.indexOf(stale)===0&&o.slice(-difficulty.length-1)==="|"+difficulty)delete all[o];});
+  all[k]={time:time,saved:Date.now(),replay:encodeReplay(thinReplay(rep,STEP))};
+  if(!saveAll(all,k))return{newBest:false,prevTime:prev,full:true};
+  return{newBest:true,prevTime:prev,full:false};
+}
+
+export function removeGhosts(profileId){
+  var all=loadAll();
+  Object.keys(all).forEach(function(k){if(k.indexOf(profileId+"|")===0)delete all[k];});
+  saveAll(all);
+}
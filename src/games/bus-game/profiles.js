@@ -0,0 +1,82 @@
+/* ═══════════════════════════════════════
+   PLAYER PROFILES - names, avatars & progress, kept in localStorage
+   Several children can share a tablet; each shift is recorded against
+   whichever profile is active. Bests are kept per route and difficulty:
+   the best score and, separately, the most stars ever earned there.
+   A shift that ends with the bus out of service counts towards the
+   totals but can't set a best.
+   ═══════════════════════════════════════ */
+var PROFILES_KEY="busGame.profiles";
+
+export var AVATARS=["🦊","🐻","🐼","🐸","🦁","🐯","🐰","🐨","🦄","🐙","🚀","⚽"];
+export var RATINGS=["NEEDS WORK","⭐ DECENT","⭐⭐ GREAT","⭐⭐⭐ PERFECT"];
+
+/* 0-3 stars on the share of passengers delivered */
+export function starsFor(delivered,total){
+  var pct=total>0?delivered/total:0;
+  return pct===1?3:pct>0.7?2:pct>0.4?1:0;
+}
+
+function bestKey(routeId,difficulty){return routeId+"|"+difficulty;}
+
+/* {active:id|null, list:[profile]} */
+export function loadProfiles(){
+  var raw;
+  try{raw=JSON.parse(window.localStorage.getItem(PROFILES_KEY)||"{}");}catch(e){raw={};}
+  var list=raw&&Array.isArray(raw.list)?raw.list.filter(function(p){return p&&typeof p.id==="string"&&typeof p.name==="string";}):[];
+  list.forEach(function(p){
+    p.best=p.best&&typeof p.best==="object"?p.best:{};
+    p.delivered=p.delivered|0;p.shifts=p.shifts|0;p.mathCorrect=p.mathCorrect|0;p.mathAttempts=p.mathAttempts|0;p.hints=p.hints|0;
+    p.skill=typeof p.skill==="number"&&isFinite(p.skill)?p.skill:null;
+  });
+  var active=raw&&list.some(function(p){return p.id===raw.active;})?raw.active:null;
+  return{active:active,list:list};
+}
+export function saveProfiles(store){
+  try{window.localStorage.setItem(PROFILES_KEY,JSON.stringify(store));}catch(e){}
+}
+
+export function activeProfile(store){
+  for(var i=0;i<store.list.length;i++)if(store.list[i].id===store.active)return store.list[i];
+  return null;
+}
+
+/* these return a new store, leaving the old one untouched for React state */
+export function addProfile(store,name,avatar){
+  var p={id:"p"+Date.now().toString(36)+Math.floor(Math.random()*1e4).toString(36),
+    name:String(name).trim().slice(0,16)||"Player",avatar:AVATARS.indexOf(avatar)>=0?avatar:AVATARS[0],
+    best:{},delivered:0,shifts:0,mathCorrect:0,mathAttempts:0,hints:0,skill:null};
+  return{active:p.id,list:store.list.concat([p])};
+}
+export function removeProfile(store,id){
+  var list=store.list.filter(function(p){return p.id!==id;});
+  return{active:store.active===id?null:store.active,list:list};
+}
+export function selectProfile(store,id){return{active:id,list:store.list};}
+
+export function bestFor(profile,routeId,difficulty){
+  return profile?profile.best[bestKey(routeId,difficulty)]||null:null;
+}
+
+/* r: {routeId,difficulty,score,delivered,total,mathCorrect,mathAttempts,hints,failed,skill}
+   skill is the adaptive maths level reached, or null for a fixed difficulty
+   -> {store, record:{newBest,prevBest,newStars,prevStars,stars}} */
+export function recordShift(store,r){
+  var me=activeProfile(store);
+  if(!me)return{store:store,record:null};
+  var key=bestKey(r.routeId,r.difficulty),prev=me.best[key]||null,stars=starsFor(r.delivered,r.total);
+  var best=prev?Object.assign({},prev):{score:0,stars:0};
+  var record={prevBest:prev?prev.score:null,prevStars:prev?prev.stars:0,stars:stars,newBest:false,newStars:false};
+  if(!r.failed){
+    if(!prev||r.score>prev.score){best.score=r.score;record.newBest=!!prev||r.score>0;}
+    if(stars>best.stars){best.stars=stars;record.newStars=!!prev;}
+  }
+  var bests=Object.assign({},me.best);bests[key]=best;
+  var next=Object.assign({},me,{best:bests,shifts:me.shifts+1,delivered:me.delivered+r.delivered,
+    mathCorrect:me.mathCorrect+r.mathCorrect,mathAttempts:me.mathAttempts+r.mathAttempts,hints:me.hints+(r.hints||0),
+    skill:r.skill!=null?r.skill:me.skill});
+  return{store:{active:store.active,list:store.list.map(function(p){return p.id===me.id?next:p;})},record:record};
+}
+
+/* share of maths answers that were right, or null before any were given */
+export function mathAccuracy(p){return p&&p.mathAttempts>0?p.mathCorrect/p.mathAttempts:null;}
@@ -0,0 +1,172 @@
+import { fareFor } from "./satisfaction";
+
+/* ═══════════════════════════════════════
+   STOP QUESTIONS - what the driver is asked while the doors are open
+   Each type has a generator and its own checker. make(ctx,lv,rand) gets
+   what just happened at the stop and a level from 0 (ages 4-5) to 5, the
+   same scale as the adaptive LEVELS, and returns a question:
+     {type, prompt, answer, reveal, unit, choices?, inputMode?, ...visual data}
+   check(q,value) is handed whatever was typed or the choice picked.
+   Types may add q.hints, the rungs of a hint ladder climbed one per wrong
+   answer by younger players (see HintLadder.jsx for the kinds).
+   The teacher picks which types are in play; one is drawn at random at
+   every stop where someone gets on or off.
+   ═══════════════════════════════════════ */
+
+/* where the fixed menu difficulties sit on the level scale */
+export var DIFFICULTY_LEVEL={easy:0,medium:2,hard:4};
+
+function pick(rand,list){return list[Math.floor(rand()*list.length)];}
+function between(rand,lo,hi){return lo+Math.floor(rand()*(hi-lo+1));}
+function shuffle(rand,list){
+  for(var i=list.length-1;i>0;i--){var j=Math.floor(rand()*(i+1)),t=list[i];list[i]=list[j];list[j]=t;}
+  return list;
+}
+/* "3 − 1 + 2" without the zero terms */
+function sum(start,parts){
+  var t=String(start);
+  for(var i=0;i<parts.length;i++)if(parts[i])t+=(parts[i]<0?" − ":" + ")+Math.abs(parts[i]);
+  return t;
+}
+function num(v){var n=parseInt(String(v).replace(/[^0-9-]/g,""),10);return isNaN(n)?null:n;}
+function sameNum(q,v){return num(v)===q.answer;}
+
+/* 485 -> "8:05" */
+export function formatTime(min){
+  var h=Math.floor(min/60)%24,m=min%60;
+  return(h===0?12:h>12?h-12:h)+":"+(m<10?"0":"")+m;
+}
+/* 250 -> "£2.50", 300 -> "£3" when whole pounds are being asked */
+export function formatPence(p,whole){return whole?"£"+p/100:"£"+(p/100).toFixed(2);}
+
+/* "£2.50", "2.50" & "250p" all mean 250 pence; a bare number is pounds when the question is in whole pounds */
+function parsePence(v,whole){
+  var s=String(v).toLowerCase().replace(/\s/g,"");
+  if(!s)return null;
+  var pence=/p$/.test(s)&&s.indexOf(".")<0;
+  s=s.replace(/[£p]/g,"");
+  if(!/^\d*\.?\d*$/.test(s)||s===".")return null;
+  var n=parseFloat(s);
+  return pence?Math.round(n):(s.indexOf(".")>=0||whole)?Math.round(n*100):Math.round(n);
+}
+
+export var QUESTION_TYPES=[
+  {id:"count",label:"Passengers on board",icon:"🚌",
+    make:function(ctx){
+      return{prompt:"How many are on the bus now?",prev:ctx.prev,off:ctx.off,on:ctx.on,
+        answer:ctx.prev-ctx.off+ctx.on,unit:"passengers on the bus",
+        hints:[{kind:"equation",text:sum(ctx.prev,[-ctx.off,ctx.on])+" = ?"},
+          {kind:"line",start:ctx.prev,hops:[-ctx.off,ctx.on].filter(Boolean)},
+          {kind:"icons",groups:[{n:ctx.prev-ctx.off,tone:"stay"},{n:ctx.off,tone:"off"},{n:ctx.on,tone:"on"}]}]};
+    },
+    check:sameNum},
+
+  {id:"seats",label:"Rows of seats (times tables)",icon:"💺",
+    make:function(ctx,lv,rand){
+      var per=[pick(rand,[2]),pick(rand,[2,10]),pick(rand,[2,5,10]),between(rand,2,5),between(rand,3,9),between(rand,4,12)][lv];
+      var rows=[between(rand,2,4),between(rand,2,5),between(rand,2,6),between(rand,2,6),between(rand,3,9),between(rand,4,12)][lv];
+      return{prompt:"This bus has "+rows+" rows with "+per+" seats in each row. How many seats altogether?",
+        rows:rows,per:per,answer:rows*per,unit:rows+" × "+per+" seats",
+        hints:[{kind:"equation",text:rows+" × "+per+" = ?"},
+          {kind:"line",start:0,hops:new Array(rows).fill(per)},
+          {kind:"icons",groups:new Array(rows).fill(0).map(function(){return{n:per,tone:"seat",row:true};})}]};
+    },
+    check:sameNum},
+
+  {id:"money",label:"Fares & change",icon:"🪙",
+    make:function(ctx,lv,rand){
+      var price,paid,whole=lv<2;
+      if(lv===0){price=between(rand,1,4)*100;paid=500;}
+      else if(lv===1){price=between(rand,1,9)*100;paid=1000;}
+      else{
+        /* a real fare for a ride from here, like the ones the passengers pay */
+        var stops=between(rand,1,Math.max(1,ctx.stopsLeft));
+        price=Math.round(fareFor(stops)*100);
+        if(lv>=4)price+=pick(rand,[0,10,20,30,40,60,70,80,90]);
+        if(lv>=5)price+=between(rand,1,9)*pick(rand,[1,5]);
+        paid=price<500?500:price<1000?1000:2000;
+      }
+      return{prompt:"A ticket costs "+formatPence(price,whole)+". A passenger pays with a "+formatPence(paid,true)+
+        " note. "+(whole?"How many pounds change?":"How much change?"),
+        price:price,paid:paid,whole:whole,answer:paid-price,reveal:formatPence(paid-price,whole),unit:"change",
+        inputMode:"decimal",
+        /* count up from the price to what was paid, in pounds */
+        hints:whole?[{kind:"equation",text:"£"+paid/100+" − £"+price/100+" = ?"},
+          {kind:"line",start:price/100,to:paid/100,hops:[]}]:[{kind:"equation",text:formatPence(paid,false)+" − "+formatPence(price,false)+" = ?"}]};
+    },
+    check:function(q,v){return parsePence(v,q.whole)===q.answer;}},
+
+  {id:"time",label:"Timetable times",icon:"🕑",
+    make:function(ctx,lv,rand){
+      /* the departure board for the next stop, in the hour the shift is driven */
+      var step=lv<2?5:1,base=Math.floor(ctx.hour)*60;
+      var wait=lv<1?pick(rand,[5,10,15]):lv<3?between(rand,1,6)*5:between(rand,3,30*(lv>=4?2:1))*step;
+      var now=base+(lv<4?between(rand,0,Math.floor((59-wait)/step))*step:between(rand,30,59));
+      return{prompt:"The timetable says the bus leaves "+ctx.nextStop+" at "+formatTime(now+wait)+
+        ". The clock says "+formatTime(now)+". How many minutes until it leaves?",
+        now:now,due:now+wait,answer:wait,unit:"minutes to wait",
+        hints:[{kind:"equation",text:"From :"+formatTime(now).split(":")[1]+" to :"+formatTime(now+wait).split(":")[1]+" is ? minutes"},
+          {kind:"line",start:now%60,to:now%60+wait,step:5,hops:[]}]};
+    },
+    check:sameNum},
+
+  {id:"reading",label:"Reading stop names",icon:"🔤",
+    make:function(ctx,lv,rand){
+      /* a word off the stop signs: the first letter of a short one for the youngest, else a gap in a long one */
+      var words=(ctx.stop+" "+ctx.nextStop).toUpperCase().split(/[^A-Z]+/).filter(function(w){return w.length>=3;});
+      if(!words.length)words=["BUS","STOP"];
+      words.sort(function(a,b){return lv<2?a.length-b.length:b.length-a.length;});
+      var word=words[lv<2?0:Math.min(words.length-1,Math.floor(rand()*Math.min(2,words.length)))];
+      var gap=lv<2?0:between(rand,1,word.length-1),letter=word[gap];
+      var pool="ABCDEFGHIJKLMNOPRSTUVWY".split("").filter(function(c){return c!==letter;});
+      var choices=shuffle(rand,[letter].concat(shuffle(rand,pool).slice(0,3)));
+      return{prompt:gap===0?"Which letter does this word start with?":"Which letter is missing?",
+        word:word,gap:gap,choices:choices,answer:letter,reveal:word,unit:""};
+    },
+    check:function(q,v){return String(v).trim().toUpperCase()===q.answer;}},
+
+  {id:"compare",label:"Comparing numbers",icon:"⚖",
+    make:function(ctx,lv,rand){
+      var top=[10,20,50,100,1000,1000][lv],a=between(rand,0,top),b=between(rand,0,top);
+      if(lv<2){
+        while(b===a)b=between(rand,0,top);
+        var more=rand()<0.5||lv===0;
+        return{prompt:"Which number is "+(more?"more":"less")+"?",a:a,b:b,choices:[String(a),String(b)],
+          answer:String(more?Math.max(a,b):Math.min(a,b)),unit:more?"is more":"is less",
+          /* further along the line is more */
+          hints:[{kind:"line",start:0,to:top,marks:[a,b],hops:[]}]};
+      }
+      /* older players get the signs, with a sum on one side at the top level */
+      if(rand()<0.2)b=a;
+      var left=String(a),lv5=lv>=5&&rand()<0.6;
+      if(lv5){var x=between(rand,0,a);left=x+" + "+(a-x);}
+      var sign=a>b?">":a<b?"<":"=";
+      return{prompt:"Which sign goes in the gap?",a:left,b:String(b),choices:["<","=",">"],answer:sign,
+        reveal:left+" "+sign+" "+b,unit:""};
+    },
+    check:function(q,v){return String(v).trim()===q.answer;}}
+];
+
+export var DEFAULT_QUESTIONS=["count"];
+/* the hint ladder is for ages 4-7 (easy & medium, or the adaptive levels that match) */
+var HINT_LEVEL=2;
+
+function typeOf(id){for(var i=0;i<QUESTION_TYPES.length;i++)if(QUESTION_TYPES[i].id===id)return QUESTION_TYPES[i];return null;}
+
+/* ctx: {prev,on,off,stop,nextStop,stopsLeft,hour} */
+export function makeQuestion(enabled,ctx,lv,rand){
+  var types=QUESTION_TYPES.filter(function(t){return enabled.indexOf(t.id)>=0;});
+  if(!types.length)types=[typeOf("count")];
+  lv=Math.max(0,Math.min(5,lv));
+  var t=pick(rand,types),q=t.make(ctx,lv,rand);
+  q.type=t.id;
+  if(!q.hints||lv>HINT_LEVEL)q.hints=[];
+  if(q.reveal===undefined)q.reveal=String(q.answer);
+  return q;
+}
+
+/* value is the typed text or the choice picked; blank is never an answer */
+export function checkAnswer(q,value){
+  if(String(value).trim()==="")return null;
+  return typeOf(q.type).check(q,value);
+}
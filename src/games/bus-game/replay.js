@@ -0,0 +1,128 @@
+/* ═══════════════════════════════════════
+   REPLAY - record a shift and play it back
+   While driving, the bus is sampled every frame (at most RATE a second):
+   position, heading, speed, steering, body lean, passengers aboard and
+   score, plus events for the doors, crashes and broken road rules. Times
+   are shift time, which stands still while the doors are open.
+   Only the bus is recorded - the city is rebuilt from the route & seed,
+   but its traffic moves on its own when watching.
+   Files are JSON with each column stored as whole-number steps from the
+   previous sample (centimetres, milliradians...), which keeps a long shift
+   to a few hundred KB.
+   ═══════════════════════════════════════ */
+var FORMAT="bus-replay",VERSION=1;
+var RATE=20;
+/* column: scale to whole numbers */
+var COLUMNS={t:1000,x:100,z:100,h:1000,speed:100,steer:1000,roll:1000,pitch:1000,onBus:1,score:1};
+var KEYS=Object.keys(COLUMNS);
+export var REPLAY_SPEEDS=[0.25,0.5,1,2,4];
+
+/* which version of a route a run was driven on: the stop count and a hash of the road & stops.
+   Edited custom routes keep their id, so the id alone can't say the roads still match */
+export function routeFingerprint(route){
+  var h=0x811c9dc5;
+  function mix(n){n=Math.round(n*10);for(var b=0;b<4;b++){h^=(n>>>(b*8))&255;h=Math.imul(h,0x01000193);}}
+  route.waypoints.forEach(function(w){mix(w[0]);mix(w[1]);});
+  route.stops.forEach(function(st){mix(st.i);});
+  return route.stops.length+":"+(h>>>0).toString(16);
+}
+
+/* meta: {routeId,routeName,route (fingerprint),seed,difficulty,weather,hour,player} */
+export function createRecorder(meta){
+  var cols={},last=-1;
+  KEYS.forEach(function(k){cols[k]=[];});
+  var events=[];
+  /* s: {x,z,h,speed,steer,roll,pitch,onBus,score}; force takes the sample however soon it is */
+  function sample(t,s,force){
+    if(!force&&last>=0&&t-last<1/RATE)return;
+    if(cols.t.length&&Math.round(t*1000)===cols.t[cols.t.length-1])return;
+    last=t;
+    cols.t.push(Math.round(t*1000));
+    for(var i=1;i<KEYS.length;i++)cols[KEYS[i]].push(Math.round(s[KEYS[i]]*COLUMNS[KEYS[i]]));
+  }
+  /* type: doors {stop,name,on,off} | depart {onBus} | crash {impact} | pedestrian | rule {text} */
+  function event(t,type,data){events.push(Object.assign({t:Math.round(t*1000)/1000,type:type},data));}
+  /* result: {score,delivered,total,time,failed} */
+  function finish(result){
+    var frames={};
+    KEYS.forEach(function(k){frames[k]=cols[k].map(function(v){return v/COLUMNS[k];});});
+    return{meta:Object.assign({recorded:new Date().toISOString()},meta),result:result,frames:frames,events:events.slice()};
+  }
+  return{sample:sample,event:event,finish:finish};
+}
+
+export function replayLength(rep){var t=rep.frames.t;return t.length?t[t.length-1]:0;}
+
+/* the bus at time t, in between samples where it falls between them */
+export function frameAt(rep,t){
+  var F=rep.frames,T=F.t,n=T.length,lo=0,hi=n-1;
+  if(!n)return null;
+  if(t<=T[0])hi=0;
+  else if(t>=T[n-1])lo=hi=n-1;
+  else{while(hi-lo>1){var mid=(lo+hi)>>1;if(T[mid]<=t)lo=mid;else hi=mid;}}
+  var k=hi===lo?0:(t-T[lo])/(T[hi]-T[lo]),out={};
+  for(var i=1;i<KEYS.length;i++){var c=F[KEYS[i]];out[KEYS[i]]=c[lo]+(c[hi]-c[lo])*k;}
+  out.onBus=F.onBus[lo];out.score=F.score[lo];
+  return out;
+}
+
+/* a lighter copy with samples at least step seconds apart (the last one always kept) */
+export function thinReplay(rep,step){
+  var T=rep.frames.t,keep=[],last=-Infinity;
+  for(var i=0;i<T.length;i++)if(T[i]-last>=step||i===T.length-1){keep.push(i);last=T[i];}
+  var frames={};
+  KEYS.forEach(function(k){var c=rep.frames[k];frames[k]=keep.map(function(i){return c[i];});});
+  return Object.assign({},rep,{frames:frames});
+}
+
+/* events with from < t <= to */
+export function eventsBetween(rep,from,to){
+  return rep.events.filter(function(e){return e.t>from&&e.t<=to;});
+}
+
+/* ── files ── */
+export function encodeReplay(rep){
+  var frames={};
+  KEYS.forEach(function(k){var prev=0;
+    frames[k]=rep.frames[k].map(function(v){var q=Math.round(v*COLUMNS[k]),d=q-prev;prev=q;return d;});});
+  return JSON.stringify({format:FORMAT,v:VERSION,meta:rep.meta,result:rep.result,events:rep.events,frames:frames});
+}
+function num(v){return typeof v==="number"&&isFinite(v);}
+/* playback indexes the stops and sounds crashes from these, so each needs its fields */
+function goodEvent(e){
+  if(!e||typeof e.type!=="string"||!num(e.t))return false;
+  if(e.type==="doors")return num(e.stop)&&e.stop>=0&&e.stop===Math.floor(e.stop)&&num(e.on)&&num(e.off);
+  if(e.type==="depart")return num(e.onBus);
+  if(e.type==="crash")return num(e.impact);
+  return true;
+}
+export function decodeReplay(text){
+  var raw;
+  try{raw=JSON.parse(text);}catch(e){throw new Error("Not a replay file");}
+  if(!raw||raw.format!==FORMAT)throw new Error("Not a replay file");
+  if(raw.v>VERSION)throw new Error("This replay is from a newer version of the game");
+  var meta=raw.meta||{},src=raw.frames||{},frames={},n=-1;
+  if(typeof meta.routeId!=="string"||meta.seed===undefined)throw new Error("Replay doesn't say which route it was on");
+  KEYS.forEach(function(k){
+    var c=src[k];
+    if(!Array.isArray(c)||(n>=0&&c.length!==n)||!c.every(function(v){return typeof v==="number"&&isFinite(v);}))
+      throw new Error("Replay is damaged ("+k+")");
+    n=c.length;var sum=0;
+    frames[k]=c.map(function(d){sum+=d;return sum/COLUMNS[k];});
+  });
+  if(n<2)throw new Error("Replay is empty");
+  var events=Array.isArray(raw.events)?raw.events:[];
+  if(!events.every(goodEvent))throw new Error("Replay is damaged (events)");
+  return{meta:meta,result:raw.result||{},frames:frames,events:events};
+}
+export function replayFileName(rep){
+  var m=rep.meta,who=String(m.player||"guest").toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")||"guest";
+  return"bus-"+m.routeId+"-"+who+"-"+String(m.recorded||"").slice(0,10)+".busreplay.json";
+}
+/* hands the file to the browser to download */
+export function saveReplayFile(rep){
+  var blob=new Blob([encodeReplay(rep)],{type:"application/json"});
+  var a=document.createElement("a");
+  a.href=URL.createObjectURL(blob);a.download=replayFileName(rep);a.click();
+  setTimeout(function(){URL.revokeObjectURL(a.href);},0);
+}
@@ -0,0 +1,28 @@
+/* ═══════════════════════════════════════
+   SEEDED RANDOM - same seed, same city, same sums
+   ═══════════════════════════════════════ */
+
+/* FNV-1a: turns any seed string into a 32-bit integer */
+function hashSeed(str){
+  var h=2166136261;
+  for(var i=0;i<str.length;i++){h^=str.charCodeAt(i);h=Math.imul(h,16777619);}
+  return h>>>0;
+}
+
+/* mulberry32 generator; returns a function that behaves like Math.random().
+   Use a separate stream per subsystem (e.g. seed+"/world", seed+"/pax") so
+   changes in one don't shift the numbers drawn by another. */
+export function createRng(seed){
+  var a=hashSeed(String(seed));
+  return function(){
+    a=(a+0x6D2B79F5)|0;
+    var t=Math.imul(a^(a>>>15),1|a);
+    t=(t+Math.imul(t^(t>>>7),61|t))^t;
+    return((t^(t>>>14))>>>0)/4294967296;
+  };
+}
+
+/* short numeric seed that is easy to read out to a class */
+export function randomSeed(){
+  return String(100000+Math.floor(Math.random()*900000));
+}
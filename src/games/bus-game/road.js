@@ -0,0 +1,62 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   ROAD GEOMETRY - shared by the game and the route editor
+   ═══════════════════════════════════════ */
+export function dd(ax,az,bx,bz){return Math.sqrt((ax-bx)*(ax-bx)+(az-bz)*(az-bz));}
+/* distance from point to line segment */
+export function ptSegDist(px,pz,ax,az,bx,bz){
+  var dx=bx-ax,dz=bz-az,len2=dx*dx+dz*dz;
+  if(len2<0.01)return dd(px,pz,ax,az);
+  var t=Math.max(0,Math.min(1,((px-ax)*dx+(pz-az)*dz)/len2));
+  return dd(px,pz,ax+t*dx,az+t*dz);
+}
+/* check if point is too close to any road segment; lines = [[[x,z],...],...] */
+export function nearRoad(lines,px,pz,minDist){
+  for(var li=0;li<lines.length;li++){var R=lines[li];
+    for(var ri=0;ri<R.length-1;ri++){
+      if(ptSegDist(px,pz,R[ri][0],R[ri][1],R[ri+1][0],R[ri+1][1])<minDist)return true;
+    }
+  }
+  return false;
+}
+/* split a road network into chains between junctions / dead ends, so each one
+   can be smoothed as a single spline. Returns [{nodes,pts,startJ,endJ}] where
+   startJ/endJ say whether that end meets a junction (3+ roads). */
+export function roadChains(net){
+  var deg=[],inc=[],used=[],chains=[],i;
+  for(i=0;i<net.nodes.length;i++){deg.push(0);inc.push([]);}
+  for(i=0;i<net.edges.length;i++){var e=net.edges[i];deg[e[0]]++;deg[e[1]]++;inc[e[0]].push(i);inc[e[1]].push(i);used.push(false);}
+  function walk(start,ei){
+    var nodes=[start],cur=start;
+    while(true){
+      used[ei]=true;var ed=net.edges[ei];cur=ed[0]===cur?ed[1]:ed[0];nodes.push(cur);
+      if(deg[cur]!==2||cur===start)break;
+      ei=inc[cur][0]===ei?inc[cur][1]:inc[cur][0];
+      if(used[ei])break;
+    }
+    chains.push({nodes:nodes,pts:nodes.map(function(n){return net.nodes[n];}),
+      startJ:deg[nodes[0]]>2,endJ:deg[nodes[nodes.length-1]]>2});
+  }
+  for(i=0;i<net.nodes.length;i++)if(deg[i]!==2)
+    for(var k=0;k<inc[i].length;k++)if(!used[inc[i][k]])walk(i,inc[i][k]);
+  /* whatever is left are closed loops with no junction on them */
+  for(i=0;i<net.edges.length;i++)if(!used[i])walk(net.edges[i][0],i);
+  return chains;
+}
+/* node degree list - junctions are nodes with 3+ roads */
+export function nodeDegrees(net){
+  var deg=net.nodes.map(function(){return 0;});
+  for(var i=0;i<net.edges.length;i++){deg[net.edges[i][0]]++;deg[net.edges[i][1]]++;}
+  return deg;
+}
+/* smooth road curve from waypoints via Catmull-Rom spline */
+export function generateSmoothRoad(waypoints){
+  var pts=[];
+  for(var i2=0;i2<waypoints.length;i2++)pts.push(new THREE.Vector3(waypoints[i2][0],0,waypoints[i2][1]));
+  var curve=new THREE.CatmullRomCurve3(pts,false,'centripetal');
+  var sampled=curve.getPoints((waypoints.length-1)*12);
+  var result=[];
+  for(var j2=0;j2<sampled.length;j2++)result.push([sampled[j2].x,sampled[j2].z]);
+  return result;
+}
@@ -0,0 +1,197 @@
+/* ═══════════════════════════════════════
+   ROUTE DEFINITIONS
+   Every *.json file in this folder is a playable bus line. Either a single road:
+   {
+     id, name,
+     waypoints:   [[x,z],...]            road centreline, in drive order
+     stops:       [{wp,name},...]        wp = index into waypoints, first & last required;
+                                          optional "at" = timetabled seconds after departure
+     spawnHeading: degrees (optional)    bus heading at spawn, 0 = facing -Z;
+                                          defaults to facing along the first segment
+     scenery:     {bounds,buildingDensity,fillerBuildings,trees} (all optional)
+     signals:     [wp,...] (optional)    waypoints with traffic lights
+     crossings:   [wp,...] (optional)    zebra crossing halfway from wp to wp+1;
+                                          defaults to one between each pair of stops
+   }
+   or a road network with the route as a path through it (replaces waypoints):
+   {
+     network: {nodes:{id:[x,z],...}, edges:[[id,id],...]}
+     path:    [id,...]                   consecutive ids must share an edge
+     stops:   [{node,name},...]          or {wp,name} with wp = index into path
+     signals: [node,...]                 defaults to every junction on the path;
+                                          junctions without lights are give-way
+     crossings: [node,...]               zebra halfway from that node to the next on the path
+   }
+   ═══════════════════════════════════════ */
+var files=import.meta.glob("./*.json",{eager:true,import:"default"});
+
+var SCENERY_DEFAULTS={buildingDensity:0.72,fillerBuildings:45,trees:70};
+
+function fail(id,msg){throw new Error("Route \""+(id||"?")+"\": "+msg);}
+function isPt(p){return Array.isArray(p)&&isFinite(p[0])&&isFinite(p[1]);}
+
+/* network form -> {network,path}; node ids become indices */
+function readNetwork(id,raw){
+  var net=raw.network;
+  if(!net||typeof net.nodes!=="object"||!Array.isArray(net.edges))fail(id,"network needs nodes and edges");
+  var names=Object.keys(net.nodes),index={},nodes=[],edges=[],adj={};
+  for(var i=0;i<names.length;i++){
+    if(!isPt(net.nodes[names[i]]))fail(id,"node \""+names[i]+"\" is not [x,z]");
+    index[names[i]]=i;nodes.push([+net.nodes[names[i]][0],+net.nodes[names[i]][1]]);
+  }
+  for(i=0;i<net.edges.length;i++){
+    var e=net.edges[i];
+    if(!Array.isArray(e)||index[e[0]]===undefined||index[e[1]]===undefined||e[0]===e[1])fail(id,"edge "+i+" is not [node,node]");
+    edges.push([index[e[0]],index[e[1]]]);
+    adj[index[e[0]]+"-"+index[e[1]]]=adj[index[e[1]]+"-"+index[e[0]]]=true;
+  }
+  if(!Array.isArray(raw.path)||raw.path.length<2)fail(id,"path needs at least 2 nodes");
+  var path=[];
+  for(i=0;i<raw.path.length;i++){
+    var n=index[raw.path[i]];
+    if(n===undefined)fail(id,"path node \""+raw.path[i]+"\" is not in the network");
+    if(i>0&&!adj[path[i-1]+"-"+n])fail(id,"no road between \""+raw.path[i-1]+"\" and \""+raw.path[i]+"\"");
+    path.push(n);
+  }
+  return{network:{nodes:nodes,edges:edges,names:names},path:path};
+}
+
+/* single-road form -> the same shape: a network that is one long chain */
+function readWaypoints(id,raw){
+  var wps=raw.waypoints;
+  if(!Array.isArray(wps)||wps.length<2)fail(id,"needs at least 2 waypoints");
+  var nodes=[],edges=[],path=[];
+  for(var i=0;i<wps.length;i++){
+    if(!isPt(wps[i]))fail(id,"waypoint "+i+" is not [x,z]");
+    nodes.push([+wps[i][0],+wps[i][1]]);path.push(i);
+    if(i>0)edges.push([i-1,i]);
+  }
+  return{network:{nodes:nodes,edges:edges,names:null},path:path};
+}
+
+/* validate a raw route object and convert it to the shape the game uses:
+   stops become {i,n} with i indexing waypoints (the path's node positions),
+   heading is in radians, scenery is fully populated */
+export function normalizeRoute(raw){
+  if(!raw||typeof raw!=="object")fail(null,"not an object");
+  var id=raw.id;
+  if(typeof id!=="string"||!id)fail(id,"missing id");
+  var np=raw.network?readNetwork(id,raw):readWaypoints(id,raw);
+  var net=np.network,path=np.path;
+  var waypoints=path.map(function(n){return net.nodes[n];});
+
+  if(!Array.isArray(raw.stops)||raw.stops.length<2)fail(id,"needs at least 2 stops");
+  var stops=[];
+  for(var si=0;si<raw.stops.length;si++){
+    var st=raw.stops[si]||{},wp=st.wp;
+    if(st.node!==undefined&&net.names){
+      /* first visit of that node after the previous stop */
+      var from=si>0?stops[si-1].i+1:0;wp=-1;
+      for(var k=from;k<path.length;k++)if(net.names[path[k]]===st.node){wp=k;break;}
+    }
+    if(!isFinite(wp)||wp<0||wp>=waypoints.length)fail(id,"stop "+si+" has a bad waypoint index");
+    if(si>0&&wp<=stops[si-1].i)fail(id,"stops must be in route order");
+    var stop={i:wp|0,n:String(st.name||"Stop "+(si+1))};
+    if(st.at!==undefined&&st.at!==null){
+      if(!isFinite(st.at)||st.at<0)fail(id,"stop "+si+" has a bad timetable time");
+      stop.at=+st.at;
+    }
+    stops.push(stop);
+  }
+  if(stops[0].i!==0)fail(id,"first stop must be at waypoint 0");
+  if(stops[stops.length-1].i!==waypoints.length-1)fail(id,"last stop must be at the final waypoint");
+
+  /* traffic lights and give-way lines sit at path waypoints (never the first or last) */
+  var deg=net.nodes.map(function(){return 0;});
+  for(var ei=0;ei<net.edges.length;ei++){deg[net.edges[ei][0]]++;deg[net.edges[ei][1]]++;}
+  var signals=[],giveWays=[];
+  if(Array.isArray(raw.signals)){
+    for(var gi=0;gi<raw.signals.length;gi++){
+      var sg=raw.signals[gi],at=-1;
+      if(net.names&&typeof sg==="string"){for(k=1;k<path.length-1;k++)if(net.names[path[k]]===sg){at=k;break;}}
+      else if(isFinite(sg))at=sg|0;
+      if(at<1||at>=path.length-1)fail(id,"signal "+gi+" is not on the path (or is at an end)");
+      signals.push(at);
+    }
+  }else{
+    for(k=1;k<path.length-1;k++)if(deg[path[k]]>2)signals.push(k);
+  }
+  for(k=1;k<path.length-1;k++)if(deg[path[k]]>2&&signals.indexOf(k)<0)giveWays.push(k);
+
+  /* zebra crossings: segment start indices along the path */
+  var crossings=[];
+  if(Array.isArray(raw.crossings)){
+    for(gi=0;gi<raw.crossings.length;gi++){
+      var cr=raw.crossings[gi];at=-1;
+      if(net.names&&typeof cr==="string"){for(k=0;k<path.length-1;k++)if(net.names[path[k]]===cr){at=k;break;}}
+      else if(isFinite(cr))at=cr|0;
+      if(at<0||at>=path.length-1)fail(id,"crossing "+gi+" is not on the path");
+      crossings.push(at);
+    }
+  }else{
+    /* midway between stops, on a segment clear of lights and junctions */
+    for(var ci=0;ci<stops.length-1;ci++){
+      if(stops[ci+1].i-stops[ci].i<2)continue;
+      var seg=(stops[ci].i+stops[ci+1].i-1)>>1;
+      if(deg[path[seg]]>2||deg[path[seg+1]]>2||signals.indexOf(seg)>=0||signals.indexOf(seg+1)>=0)continue;
+      crossings.push(seg);
+    }
+  }
+
+  var heading;
+  if(isFinite(raw.spawnHeading)&&raw.spawnHeading!==null)heading=raw.spawnHeading*Math.PI/180;
+  else heading=Math.atan2(waypoints[1][0]-waypoints[0][0],waypoints[1][1]-waypoints[0][1])+Math.PI;
+
+  /* scenery: default bounds are the road network's bounding box plus a generous margin */
+  var minX=Infinity,minZ=Infinity,maxX=-Infinity,maxZ=-Infinity;
+  for(var i=0;i<net.nodes.length;i++){
+    minX=Math.min(minX,net.nodes[i][0]);maxX=Math.max(maxX,net.nodes[i][0]);
+    minZ=Math.min(minZ,net.nodes[i][1]);maxZ=Math.max(maxZ,net.nodes[i][1]);
+  }
+  var sc=Object.assign({},SCENERY_DEFAULTS,raw.scenery||{});
+  if(!Array.isArray(sc.bounds)||sc.bounds.length!==4)sc.bounds=[minX-110,minZ-80,maxX+110,maxZ+80];
+  sc.center=[(minX+maxX)/2,(minZ+maxZ)/2];
+
+  return{id:id,name:String(raw.name||id),waypoints:waypoints,stops:stops,spawnHeading:heading,scenery:sc,
+    network:net,path:path,branching:!!raw.network,signals:signals,giveWays:giveWays,crossings:crossings};
+}
+
+export var ROUTES=Object.keys(files).sort().map(function(k){return normalizeRoute(files[k]);});
+
+/* ── custom routes made in the editor, kept in localStorage in file format ── */
+var CUSTOM_KEY="busGame.customRoutes";
+
+export function loadCustomRoutes(){
+  var raw;
+  try{raw=JSON.parse(window.localStorage.getItem(CUSTOM_KEY)||"[]");}catch(e){return[];}
+  return Array.isArray(raw)?raw:[];
+}
+function storeCustomRoutes(list){
+  try{window.localStorage.setItem(CUSTOM_KEY,JSON.stringify(list));}catch(e){}
+}
+/* save (or overwrite) a route file; throws if it does not validate */
+export function saveCustomRoute(raw){
+  var r=normalizeRoute(raw);
+  for(var i=0;i<ROUTES.length;i++)if(ROUTES[i].id===r.id)fail(r.id,"id is already used by a built-in route");
+  var list=loadCustomRoutes().filter(function(c){return c&&c.id!==r.id;});
+  list.push(raw);storeCustomRoutes(list);
+  return r;
+}
+export function deleteCustomRoute(id){
+  storeCustomRoutes(loadCustomRoutes().filter(function(c){return c&&c.id!==id;}));
+}
+
+/* built-in routes followed by any valid custom ones */
+export function listRoutes(){
+  var out=ROUTES.slice(),custom=loadCustomRoutes();
+  for(var i=0;i<custom.length;i++){
+    try{var r=normalizeRoute(custom[i]);r.custom=true;out.push(r);}catch(e){/* skip broken entries */}
+  }
+  return out;
+}
+
+export function getRoute(id){
+  var all=listRoutes();
+  for(var i=0;i<all.length;i++)if(all[i].id===id)return all[i];
+  return ROUTES[0];
+}
@@ -0,0 +1,76 @@
+/* ═══════════════════════════════════════
+   PASSENGER SATISFACTION & FARES
+   Every passenger carries patience (drains while they wait at the shelter
+   or sit on the bus) and mood (how happy they are with the ride). Harsh
+   braking, hard cornering, crashes and running late knock mood down, and
+   once patience has run out mood keeps sliding. The fare is paid on
+   alighting and the tip on top of it depends on the mood they arrive in;
+   from then on (p.paid) their mood is final.
+   ═══════════════════════════════════════ */
+var WAIT_DRAIN=1/300;  /* patience per second at the shelter (~5 min) */
+var RIDE_DRAIN=1/400;  /* ...and on board */
+var FED_UP=1/200;      /* mood lost per second with no patience left */
+var BRAKE_OK=6;        /* m/s² - braking gentler than this goes unnoticed */
+var CORNER_OK=5;       /* m/s² sideways */
+var CRASH_JOLT=0.15;
+var FARE_BASE=1.5,FARE_PER_STOP=0.5,MAX_TIP=0.5;
+var PTS_PER_POUND=40;
+
+/* how uncomfortable this frame was for the people on board (0 = smooth) */
+export function rideStrain(decel,lateral){
+  return Math.max(0,decel-BRAKE_OK)/10+Math.max(0,lateral-CORNER_OK)/10;
+}
+
+/* drain patience for everyone still waiting or riding, and apply ride strain to riders */
+export function updateMood(pax,dt,strain){
+  for(var i=0;i<pax.length;i++){var p=pax[i];
+    if(p.done||p.paid)continue;
+    p.patience=Math.max(0,p.patience-dt*(p.on?RIDE_DRAIN:WAIT_DRAIN));
+    var loss=p.patience>0?0:dt*FED_UP;
+    if(p.on)loss+=strain*dt*0.08;
+    p.mood=Math.max(0,p.mood-loss);
+  }
+}
+
+/* a crash shakes up everyone on board */
+export function crashJolt(pax){
+  for(var i=0;i<pax.length;i++)if(pax[i].on&&!pax[i].paid)pax[i].mood=Math.max(0,pax[i].mood-CRASH_JOLT);
+}
+
+/* arriving late at a stop annoys the people getting on and off there */
+export function lateArrival(pax,stopIdx,lateBy){
+  var hit=Math.min(0.3,Math.max(0,lateBy)/300);
+  for(var i=0;i<pax.length;i++){var p=pax[i];
+    if(!p.paid&&(p.origin===stopIdx&&!p.on||p.on&&p.dest===stopIdx))p.mood=Math.max(0,p.mood-hit);}
+}
+
+/* pounds for a ride of this many stops */
+export function fareFor(stops){return FARE_BASE+FARE_PER_STOP*stops;}
+
+/* fare + tip in pounds for a passenger getting off, and the points it is worth */
+export function payFare(p){
+  var fare=fareFor(p.dest-p.origin);
+  var tip=fare*MAX_TIP*Math.max(0,(p.mood-0.6)/0.4);
+  /* unhappy passengers still pay, but the fare only earns full points on a good ride */
+  var pts=Math.round((fare*(0.5+0.5*p.mood)+tip)*PTS_PER_POUND);
+  return{fare:fare,tip:Math.round(tip*100)/100,pts:pts};
+}
+
+/* 0-1 across every passenger of the shift; anyone never delivered counts as 0 */
+export function overallSatisfaction(pax){
+  if(!pax.length)return 1;
+  var t=0;
+  for(var i=0;i<pax.length;i++)if(pax[i].paid)t+=pax[i].mood;
+  return t/pax.length;
+}
+
+/* average mood of those on board, or null if the bus is empty */
+export function onBoardMood(pax){
+  var t=0,n=0;
+  for(var i=0;i<pax.length;i++)if(pax[i].on&&!pax[i].paid){t+=pax[i].mood;n++;}
+  return n?t/n:null;
+}
+
+export function moodFace(m){return m>=0.8?"😊":m>=0.55?"🙂":m>=0.3?"😐":"😠";}
+
+export function formatMoney(pounds){return"£"+pounds.toFixed(2);}
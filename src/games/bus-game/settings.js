@@ -0,0 +1,82 @@
+import { QUESTION_TYPES, DEFAULT_QUESTIONS } from "./questions";
+import { DEFAULT_PAD, normalizePad } from "./gamepad";
+import { DEFAULT_TOUCH, normalizeTouch } from "./touch";
+
+/* ═══════════════════════════════════════
+   SETTINGS - volumes, graphics, camera, keys, controller & touch, stop questions
+   Kept in localStorage so they survive between sessions; anything missing
+   or malformed in storage falls back to the default.
+   ═══════════════════════════════════════ */
+var SETTINGS_KEY="busGame.settings";
+
+/* pixel ratio cap and shadow map size (0 = no shadows) for each level; medium is how the game always looked */
+export var QUALITY={
+  low:{label:"Low",pixelRatio:1,shadows:0},
+  medium:{label:"Medium",pixelRatio:2,shadows:1024},
+  high:{label:"High",pixelRatio:2,shadows:2048}
+};
+
+/* rebindable actions; the arrow keys always drive as well, and Escape always pauses */
+export var CONTROLS=[
+  {id:"accelerate",label:"Accelerate",alt:"arrowup"},
+  {id:"brake",label:"Brake / reverse",alt:"arrowdown"},
+  {id:"left",label:"Steer left",alt:"arrowleft"},
+  {id:"right",label:"Steer right",alt:"arrowright"},
+  {id:"doors",label:"Doors"},
+  {id:"horn",label:"Horn"},
+  {id:"camera",label:"Camera"},
+  {id:"map",label:"Map"}
+];
+
+export var DEFAULT_SETTINGS={
+  volume:{engine:0.8,sfx:0.8,music:0.6},
+  quality:"medium",
+  camSensitivity:1,   /* how briskly the chase & top-down cameras follow */
+  keys:{accelerate:"w",brake:"s",left:"a",right:"d",doors:" ",horn:"h",camera:"c",map:"m"},
+  questions:DEFAULT_QUESTIONS,  /* stop question types the teacher has switched on */
+  pad:DEFAULT_PAD,              /* gamepad / wheel binding & calibration, see gamepad.js */
+  touch:DEFAULT_TOUCH           /* on-screen steering style & handedness, see touch.js */
+};
+
+function unit(v,d){return isFinite(v)?Math.max(0,Math.min(1,+v)):d;}
+
+export function loadSettings(){
+  var raw;
+  try{raw=JSON.parse(window.localStorage.getItem(SETTINGS_KEY)||"{}");}catch(e){raw={};}
+  if(!raw||typeof raw!=="object")raw={};
+  var D=DEFAULT_SETTINGS,vol=raw.volume||{},keys={};
+  for(var k in D.keys)keys[k]=raw.keys&&typeof raw.keys[k]==="string"&&raw.keys[k]?raw.keys[k]:D.keys[k];
+  var questions=Array.isArray(raw.questions)?QUESTION_TYPES.map(function(t){return t.id;}).filter(function(id){return raw.questions.indexOf(id)>=0;}):[];
+  return{
+    volume:{engine:unit(vol.engine,D.volume.engine),sfx:unit(vol.sfx,D.volume.sfx),music:unit(vol.music,D.volume.music)},
+    quality:QUALITY[raw.quality]?raw.quality:D.quality,
+    camSensitivity:isFinite(raw.camSensitivity)?Math.max(0.25,Math.min(2,+raw.camSensitivity)):D.camSensitivity,
+    keys:keys,
+    questions:questions.length?questions:D.questions.slice(),
+    pad:normalizePad(raw.pad),
+    touch:normalizeTouch(raw.touch)
+  };
+}
+export function saveSettings(s){
+  try{window.localStorage.setItem(SETTINGS_KEY,JSON.stringify(s));}catch(e){}
+}
+
+/* the action bound to a key (lower-cased KeyboardEvent.key), or null */
+export function actionFor(keys,key){
+  for(var k in keys)if(keys[k]===key)return k;
+  for(var i=0;i<CONTROLS.length;i++)if(CONTROLS[i].alt===key)return CONTROLS[i].id;
+  return null;
+}
+
+/* is the action held down, on its bound key or its arrow */
+export function held(pressed,keys,action){
+  for(var i=0;i<CONTROLS.length;i++)if(CONTROLS[i].id===action&&CONTROLS[i].alt&&pressed[CONTROLS[i].alt])return true;
+  return!!pressed[keys[action]];
+}
+
+/* how a key is shown in the settings & controls lists */
+export function keyLabel(key){
+  if(key===" ")return"SPACE";
+  if(key.indexOf("arrow")===0)return{arrowup:"↑",arrowdown:"↓",arrowleft:"←",arrowright:"→"}[key];
+  return key.toUpperCase();
+}
@@ -0,0 +1,148 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   TRAFFIC CONTROL - signals & give-way lines
+   Each signal controls both directions through its waypoint with a UK
+   cycle (green, amber, red, red+amber). The bus's front bumper is checked
+   against every stop line it drives up to.
+   ═══════════════════════════════════════ */
+var LINE_BACK=10;      /* stop line distance before the waypoint */
+var CYCLE=[["green",9],["amber",3],["red",8],["redamber",1.5]];
+var CYCLE_LEN=CYCLE.reduce(function(t,c){return t+c[1];},0);
+var GIVE_WAY_SPEED=5;  /* m/s (18 km/h) - faster than this over a give-way line is an infraction */
+
+export var INFRACTIONS={
+  red:{text:"Ran a red light",pts:50},
+  overline:{text:"Stopped over the line",pts:20},
+  giveway:{text:"Didn't give way",pts:30}
+};
+
+function unit(x,z){var l=Math.hypot(x,z)||1;return[x/l,z/l];}
+
+export function createSignals(scene,R,route,rand,project){
+  var poleMat=new THREE.MeshStandardMaterial({color:0x333333,roughness:0.5,metalness:0.5});
+  var lineMat=new THREE.MeshStandardMaterial({color:0xeeeeee,roughness:0.6});
+  var signMat=new THREE.MeshStandardMaterial({color:0xdd2222,roughness:0.5});
+  var lamp={
+    red:[new THREE.MeshStandardMaterial({color:0x330000,roughness:0.4}),new THREE.MeshStandardMaterial({color:0xff2200,emissive:0xff2200,emissiveIntensity:1.2})],
+    amber:[new THREE.MeshStandardMaterial({color:0x332200,roughness:0.4}),new THREE.MeshStandardMaterial({color:0xffaa00,emissive:0xffaa00,emissiveIntensity:1.2})],
+    green:[new THREE.MeshStandardMaterial({color:0x002200,roughness:0.4}),new THREE.MeshStandardMaterial({color:0x22ff55,emissive:0x22ff55,emissiveIntensity:1.2})]
+  };
+  var lampGeo=new THREE.SphereGeometry(0.16,8,6);
+  var signals=[],lines=[],obstacles=[];
+
+  /* stop line across the lane on the left of travel direction (dx,dz) */
+  function addLine(x,z,dx,dz,kind,sig){
+    var nx=-dz,nz=dx; /* right-hand normal */
+    var ang=Math.atan2(dx,dz);
+    if(kind==="signal"){
+      var m=new THREE.Mesh(new THREE.BoxGeometry(6.6,0.04,0.45),lineMat);
+      m.rotation.y=ang;m.position.set(x-nx*3.5,0.17,z-nz*3.5);scene.add(m);
+    }else{
+      /* give-way: dashed double line */
+      for(var k=0;k<5;k++)for(var r=0;r<2;r++){
+        var dm=new THREE.Mesh(new THREE.BoxGeometry(0.8,0.04,0.25),lineMat);
+        dm.rotation.y=ang;
+        dm.position.set(x-nx*(0.7+k*1.35)-dx*r*0.6,0.17,z-nz*(0.7+k*1.35)-dz*r*0.6);scene.add(dm);
+      }
+    }
+    var line={x:x,z:z,dx:dx,dz:dz,kind:kind,sig:sig,prevSd:null,flagged:-1};
+    lines.push(line);
+    return line;
+  }
+
+  function addHead(x,z,dx,dz,sig){
+    /* pole on the left kerb just before the line, lamps facing oncoming drivers */
+    var px=x+dz*8.4,pz=z-dx*8.4;
+    var m=new THREE.Mesh(new THREE.CylinderGeometry(0.09,0.11,4.2,6),poleMat);
+    m.position.set(px,2.1,pz);m.castShadow=true;scene.add(m);
+    var head=new THREE.Group();
+    m=new THREE.Mesh(new THREE.BoxGeometry(0.5,1.3,0.35),poleMat);head.add(m);
+    var names=["red","amber","green"],meshes={};
+    for(var i=0;i<3;i++){
+      var l=new THREE.Mesh(lampGeo,lamp[names[i]][0]);
+      l.position.set(0,0.4-i*0.4,-0.19);head.add(l);meshes[names[i]]=l;
+    }
+    head.position.set(px,4.6,pz);head.rotation.y=Math.atan2(dx,dz);scene.add(head);
+    sig.heads.push(meshes);
+    obstacles.push({x:px,z:pz,r:0.3});
+  }
+
+  function addGiveWaySign(x,z,dx,dz){
+    var px=x+dz*8.4,pz=z-dx*8.4;
+    var m=new THREE.Mesh(new THREE.CylinderGeometry(0.06,0.06,2.6,6),poleMat);
+    m.position.set(px,1.3,pz);scene.add(m);
+    m=new THREE.Mesh(new THREE.CircleGeometry(0.55,3),signMat);
+    m.rotation.set(0,Math.atan2(dx,dz)+Math.PI,Math.PI/2*3);
+    m.position.set(px,2.7,pz);scene.add(m);
+    obstacles.push({x:px,z:pz,r:0.25});
+  }
+
+  var i,k;
+  for(i=0;i<route.signals.length;i++){
+    k=route.signals[i];
+    var din=unit(R[k][0]-R[k-1][0],R[k][1]-R[k-1][1]),dout=unit(R[k+1][0]-R[k][0],R[k+1][1]-R[k][1]);
+    var sig={offset:rand()*CYCLE_LEN,state:null,cycle:0,heads:[],holds:[]};
+    /* our direction of travel, then the oncoming side */
+    var lx=R[k][0]-din[0]*LINE_BACK,lz=R[k][1]-din[1]*LINE_BACK;
+    addLine(lx,lz,din[0],din[1],"signal",sig);addHead(lx,lz,din[0],din[1],sig);
+    var ox=R[k][0]+dout[0]*LINE_BACK,oz=R[k][1]+dout[1]*LINE_BACK;
+    addLine(ox,oz,-dout[0],-dout[1],"signal",sig);addHead(ox,oz,-dout[0],-dout[1],sig);
+    if(project){
+      sig.holds.push({s:project(lx,lz).s,dir:1});
+      sig.holds.push({s:project(ox,oz).s,dir:-1});
+    }
+    signals.push(sig);
+  }
+  for(i=0;i<route.giveWays.length;i++){
+    k=route.giveWays[i];
+    var gin=unit(R[k][0]-R[k-1][0],R[k][1]-R[k-1][1]);
+    var gx=R[k][0]-gin[0]*LINE_BACK,gz=R[k][1]-gin[1]*LINE_BACK;
+    addLine(gx,gz,gin[0],gin[1],"giveway",null);addGiveWaySign(gx,gz,gin[0],gin[1]);
+  }
+
+  var clock=0;
+  function update(dt){
+    clock+=dt;
+    for(var i=0;i<signals.length;i++){
+      var sig=signals[i],t=(clock+sig.offset)%CYCLE_LEN,st=CYCLE[0][0];
+      sig.cycle=Math.floor((clock+sig.offset)/CYCLE_LEN);
+      for(var c=0;c<CYCLE.length;c++){if(t<CYCLE[c][1]){st=CYCLE[c][0];break;}t-=CYCLE[c][1];}
+      if(st===sig.state)continue;
+      sig.state=st;
+      var on={red:st==="red"||st==="redamber",amber:st==="amber"||st==="redamber",green:st==="green"};
+      for(var h=0;h<sig.heads.length;h++)for(var n in on)sig.heads[h][n].material=lamp[n][on[n]?1:0];
+    }
+  }
+
+  /* lines cars must currently stop at, for the traffic model */
+  function holds(){
+    var out=[];
+    for(var i=0;i<signals.length;i++)if(signals[i].state!=="green")out.push.apply(out,signals[i].holds);
+    return out;
+  }
+
+  /* bus front bumper vs the stop lines; returns the infractions committed this frame */
+  function check(fx,fz,heading,speed){
+    var out=[],hx=-Math.sin(heading),hz=-Math.cos(heading);
+    for(var i=0;i<lines.length;i++){
+      var ln=lines[i],rx=fx-ln.x,rz=fz-ln.z;
+      var sd=rx*ln.dx+rz*ln.dz,lat=rx*(-ln.dz)+rz*ln.dx;
+      var prev=ln.prevSd;ln.prevSd=sd;
+      /* anywhere across the road, as long as the bus faces the line's travel direction */
+      if(Math.abs(lat)>8||hx*ln.dx+hz*ln.dz<0.3)continue;
+      if(ln.kind==="signal"){
+        var red=ln.sig.state==="red"||ln.sig.state==="redamber";
+        if(!red||ln.flagged===ln.sig.cycle)continue;
+        if(prev!==null&&prev<0&&sd>=0&&sd<4&&speed>0.5){out.push("red");ln.flagged=ln.sig.cycle;}
+        else if(sd>0&&sd<6&&Math.abs(speed)<0.5){out.push("overline");ln.flagged=ln.sig.cycle;}
+      }else if(prev!==null&&prev<0&&sd>=0&&sd<4&&speed>GIVE_WAY_SPEED){out.push("giveway");}
+    }
+    return out;
+  }
+
+  function reset(){clock=0;for(var i=0;i<lines.length;i++){lines[i].prevSd=null;lines[i].flagged=-1;}update(0);}
+  update(0);
+
+  return{update:update,holds:holds,check:check,reset:reset,obstacles:obstacles,signals:signals};
+}
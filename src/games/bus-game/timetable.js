@@ -0,0 +1,53 @@
+/* ═══════════════════════════════════════
+   TIMETABLE - scheduled arrivals & punctuality
+   A route may give each stop an "at" time (seconds after leaving the
+   depot); otherwise the schedule is worked out from the distance between
+   stops at an average running speed plus time to let people on and off,
+   which grows for younger players who need longer on the sums.
+   ═══════════════════════════════════════ */
+var RUN_SPEED=8;       /* m/s average, allowing for lights and crossings */
+var DWELL={easy:45,medium:35,hard:25};
+var EARLY=10;          /* more than this many seconds ahead of time is early */
+var LATE=20;           /* ...and this many behind is late */
+
+export var PUNCTUALITY={
+  early:{label:"Early",color:"#00ccff"},
+  ontime:{label:"On time",color:"#2ecc71"},
+  late:{label:"Late",color:"#ff6655"}
+};
+
+/* cumulative distance to each waypoint and the due time at each stop */
+export function buildTimetable(route,difficulty){
+  var R=route.waypoints,cum=[0];
+  for(var i=1;i<R.length;i++)cum.push(cum[i-1]+Math.hypot(R[i][0]-R[i-1][0],R[i][1]-R[i-1][1]));
+  var dwell=DWELL[difficulty]||DWELL.medium,due=[];
+  for(var si=0;si<route.stops.length;si++){
+    var st=route.stops[si];
+    if(isFinite(st.at))due.push(st.at);
+    else due.push(si===0?0:Math.round(cum[st.i]/RUN_SPEED+si*dwell));
+  }
+  return{due:due,cum:cum};
+}
+
+/* seconds the bus would reach stop si at, driving on from (bx,bz) with nextWp still ahead */
+export function estimateArrival(tt,route,si,now,bx,bz,nextWp){
+  var R=route.waypoints,k=route.stops[si].i,rem;
+  if(nextWp<=k)rem=Math.hypot(R[nextWp][0]-bx,R[nextWp][1]-bz)+tt.cum[k]-tt.cum[nextWp];
+  else rem=Math.hypot(R[k][0]-bx,R[k][1]-bz);
+  return now+rem/RUN_SPEED;
+}
+
+/* delta = actual - due seconds; on time earns a bonus, early costs a flat
+   penalty (passengers miss the bus) and late costs more the later it is */
+export function judge(delta){
+  if(delta<-EARLY)return{status:"early",pts:-30};
+  if(delta>LATE)return{status:"late",pts:-Math.min(50,Math.round((delta-LATE)/2))};
+  return{status:"ontime",pts:50};
+}
+
+/* 83 -> "1:23" */
+export function formatClock(sec){
+  sec=Math.max(0,Math.round(sec));
+  var s=sec%60;
+  return Math.floor(sec/60)+":"+(s<10?"0":"")+s;
+}
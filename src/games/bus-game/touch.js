@@ -0,0 +1,53 @@
+/* ═══════════════════════════════════════
+   TOUCH - analogue steering & pedals for phones and tablets
+   TouchControls writes what the player's fingers (or the tilt of the
+   device) are doing into a plain object the animation loop reads each
+   frame, the way it reads keysRef:
+     {wheel: -1..1 (+ = left, like the keys) or null when not steering,
+      throttle, brake: 0..1}
+   ═══════════════════════════════════════ */
+
+export var TOUCH_STEER=[
+  {id:"stick",label:"Joystick",icon:"🕹"},
+  {id:"wheel",label:"Wheel",icon:"🎡"},
+  {id:"tilt",label:"Tilt",icon:"📱"}
+];
+export var DEFAULT_TOUCH={steer:"stick",leftHanded:false,tilt:25};  /* tilt: degrees for full lock */
+
+export function normalizeTouch(raw){
+  raw=raw&&typeof raw==="object"?raw:{};
+  var D=DEFAULT_TOUCH;
+  return{
+    steer:TOUCH_STEER.some(function(t){return t.id===raw.steer;})?raw.steer:D.steer,
+    leftHanded:!!raw.leftHanded,
+    tilt:isFinite(raw.tilt)?Math.max(10,Math.min(45,+raw.tilt)):D.tilt
+  };
+}
+
+export function createTouchState(){return{wheel:null,throttle:0,brake:0};}
+
+/* ── tilt ── */
+export function canTilt(){return typeof window!=="undefined"&&"DeviceOrientationEvent" in window;}
+/* iOS only hands out the orientation after asking, from inside a tap; resolves to true if allowed */
+export function requestTilt(){
+  var D=canTilt()?window.DeviceOrientationEvent:null;
+  if(!D)return Promise.resolve(false);
+  if(typeof D.requestPermission!=="function")return Promise.resolve(true);
+  return D.requestPermission().then(function(r){return r==="granted";}).catch(function(){return false;});
+}
+function screenAngle(){
+  var o=window.screen&&window.screen.orientation;
+  if(o&&typeof o.angle==="number")return o.angle;
+  return typeof window.orientation==="number"?(window.orientation+360)%360:0;
+}
+/* tipping the device like a steering wheel: in landscape that turns it about
+   the screen's up axis (beta), in portrait about its long axis (gamma) */
+export function tiltWheel(e,range){
+  var a=screenAngle(),deg;
+  if(e.beta===null||e.gamma===null)return null;
+  if(a===90)deg=-e.beta;
+  else if(a===270)deg=e.beta;
+  else if(a===180)deg=e.gamma;
+  else deg=-e.gamma;
+  return Math.max(-1,Math.min(1,deg/range));
+}
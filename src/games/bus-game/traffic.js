@@ -0,0 +1,139 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   TRAFFIC - cars driving the route in both lanes
+   Cars keep to the left (UK roads) and ride along the smoothed route by
+   arc length. Each car follows whatever is ahead in its lane - another car
+   or the bus - and exposes two collision circles for the bus to hit.
+   ═══════════════════════════════════════ */
+var LANE=3.5;          /* lane centre offset from the road centre line */
+var CAR_GAP=7;         /* preferred centre-to-centre gap behind another car */
+var BUS_GAP=9.5;       /* ...and behind the bus */
+var ACCEL=4,BRAKE=12;
+/* cars per metre of route for each maths difficulty */
+var DENSITY={easy:1/140,medium:1/80,hard:1/50};
+var COLORS=[0xc0392b,0x2980b9,0x27ae60,0xecf0f1,0x34495e,0x8e44ad,0xd35400,0x7f8c8d];
+
+export function createTraffic(scene,path){
+  /* cumulative arc length along the path */
+  var cum=[0];
+  for(var i=1;i<path.length;i++)
+    cum.push(cum[i-1]+Math.hypot(path[i][0]-path[i-1][0],path[i][1]-path[i-1][1]));
+  var total=cum[cum.length-1];
+
+  var bodyGeo=new THREE.BoxGeometry(1.9,0.8,4.2);
+  var cabGeo=new THREE.BoxGeometry(1.7,0.6,2.2);
+  var whGeo=new THREE.CylinderGeometry(0.35,0.35,0.3,10);whGeo.rotateZ(Math.PI/2);
+  var glassMat=new THREE.MeshStandardMaterial({color:0x223344,roughness:0.15,metalness:0.5});
+  var whMat=new THREE.MeshStandardMaterial({color:0x1a1a1a,roughness:0.8});
+  var paint=COLORS.map(function(c){return new THREE.MeshStandardMaterial({color:c,roughness:0.4,metalness:0.3});});
+
+  var cars=[],obstacles=[];
+
+  function makeCar(mat){
+    var grp=new THREE.Group(),m;
+    m=new THREE.Mesh(bodyGeo,mat);m.position.y=0.75;m.castShadow=true;grp.add(m);
+    m=new THREE.Mesh(cabGeo,glassMat);m.position.set(0,1.45,0.3);m.castShadow=true;grp.add(m);
+    for(var zo=-1.35;zo<=1.35;zo+=2.7)for(var s=-1;s<=1;s+=2){
+      m=new THREE.Mesh(whGeo,whMat);m.position.set(s*0.95,0.35,zo);grp.add(m);}
+    scene.add(grp);
+    return grp;
+  }
+
+  /* point + tangent at arc length s */
+  function sample(s){
+    s=Math.max(0,Math.min(total,s));
+    var lo=0,hi=cum.length-1;
+    while(hi-lo>1){var mid=(lo+hi)>>1;if(cum[mid]<=s)lo=mid;else hi=mid;}
+    var a=path[lo],b=path[hi],seg=cum[hi]-cum[lo],t=seg>0?(s-cum[lo])/seg:0;
+    var tx=b[0]-a[0],tz=b[1]-a[1],tl=Math.hypot(tx,tz)||1;
+    return{x:a[0]+(b[0]-a[0])*t,z:a[1]+(b[1]-a[1])*t,tx:tx/tl,tz:tz/tl};
+  }
+  /* nearest arc length and signed lateral offset (+ = right of travel) for a world point */
+  function project(px,pz){
+    var best=Infinity,bs=0,bl=0;
+    for(var i=0;i<path.length-1;i++){
+      var a=path[i],b=path[i+1],dx=b[0]-a[0],dz=b[1]-a[1],l2=dx*dx+dz*dz;
+      var t=l2>0?Math.max(0,Math.min(1,((px-a[0])*dx+(pz-a[1])*dz)/l2)):0;
+      var qx=a[0]+dx*t,qz=a[1]+dz*t,d=(px-qx)*(px-qx)+(pz-qz)*(pz-qz);
+      if(d<best){best=d;bs=cum[i]+Math.sqrt(l2)*t;
+        var l=Math.sqrt(l2)||1;bl=((px-qx)*(-dz/l)+(pz-qz)*(dx/l));}
+    }
+    return{s:bs,lat:bl};
+  }
+
+  function place(car){
+    var p=sample(car.s),off=car.dir>0?-LANE:LANE;
+    /* road-right normal is (-tz,tx) - same convention as the ribbon builder */
+    var x=p.x-p.tz*off,z=p.z+p.tx*off;
+    var hx=p.tx*car.dir,hz=p.tz*car.dir;
+    car.mesh.position.set(x,0,z);
+    car.mesh.rotation.y=Math.atan2(hx,hz)+Math.PI;
+    car.front.x=x+hx*1.2;car.front.z=z+hz*1.2;
+    car.rear.x=x-hx*1.2;car.rear.z=z-hz*1.2;
+  }
+
+  /* lay out a fresh set of cars, leaving the first 40m clear for the bus at the depot */
+  function reset(difficulty,rand){
+    var n=Math.max(1,Math.round(total*(DENSITY[difficulty]||DENSITY.medium)));
+    while(cars.length<n){
+      var c={mesh:makeCar(paint[cars.length%paint.length]),s:0,dir:1,speed:0,cruise:12,hit:0,active:true,
+        front:{x:0,z:0,r:1.2},rear:{x:0,z:0,r:1.2}};
+      c.front.car=c;c.rear.car=c;cars.push(c);
+    }
+    obstacles.length=0;
+    for(var i=0;i<cars.length;i++){
+      var car=cars[i];
+      car.active=i<n;car.mesh.visible=car.active;
+      if(!car.active)continue;
+      car.dir=i%2===0?1:-1;
+      car.s=40+rand()*(total-60);
+      car.cruise=9+rand()*6;car.speed=car.cruise*0.5;car.hit=0;
+      car.mesh.children[0].material=paint[Math.floor(rand()*paint.length)];
+      place(car);obstacles.push(car.front,car.rear);
+    }
+  }
+
+  /* holds: [{s,dir}] stop lines currently closed (red/amber lights) */
+  function update(dt,busX,busZ,busSpeed,holds){
+    var bp=project(busX,busZ);
+    for(var i=0;i<cars.length;i++){
+      var car=cars[i];
+      if(!car.active)continue;
+      if(car.hit>0){car.hit=Math.max(car.hit-dt,0);car.speed=0;continue;}
+      var off=car.dir>0?-LANE:LANE;
+      /* nearest thing ahead in this lane */
+      var gap=Infinity,want=CAR_GAP,leadSpd=car.cruise;
+      for(var j=0;j<cars.length;j++){
+        var o=cars[j];
+        if(o===car||!o.active||o.dir!==car.dir)continue;
+        var d=(o.s-car.s)*car.dir;
+        if(d>0&&d<gap){gap=d;leadSpd=o.speed;want=CAR_GAP;}
+      }
+      for(j=0;holds&&j<holds.length;j++){
+        var hd=(holds[j].s-car.s)*car.dir;
+        /* too close to stop in time - carry on through */
+        if(holds[j].dir===car.dir&&hd>2.5&&hd<gap){gap=hd;leadSpd=0;want=2.5;}
+      }
+      var bd=(bp.s-car.s)*car.dir;
+      if(Math.abs(bp.lat-off)<3.4&&bd>-2&&bd<gap){gap=Math.max(bd,0);leadSpd=Math.abs(busSpeed);want=BUS_GAP;}
+      /* close up to the preferred gap, then match the leader's speed */
+      var target=gap===Infinity?car.cruise:Math.max(0,Math.min(car.cruise,leadSpd+(gap-want)*0.8));
+      if(car.speed<target)car.speed=Math.min(car.speed+ACCEL*dt,target);
+      else car.speed=Math.max(car.speed-BRAKE*dt,target);
+      car.s+=car.speed*dt*car.dir;
+      /* off the end of the route - come back in at the other end once the entry is clear */
+      if(car.s>total||car.s<0){
+        var entry=car.dir>0?0:total,clear=true;
+        for(j=0;j<cars.length;j++){var o2=cars[j];
+          if(o2!==car&&o2.active&&o2.dir===car.dir&&Math.abs(o2.s-entry)<CAR_GAP*2){clear=false;break;}}
+        if(Math.abs(bp.s-entry)<BUS_GAP*2&&Math.abs(bp.lat)<10)clear=false;
+        if(!clear){car.s=car.dir>0?total:0;car.speed=0;continue;}
+        car.s=entry;car.speed=car.cruise*0.6;
+      }
+      place(car);
+    }
+  }
+
+  return{reset:reset,update:update,obstacles:obstacles,cars:cars,project:project,sample:sample,total:total};
+}
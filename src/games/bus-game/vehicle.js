@@ -0,0 +1,104 @@
+/* ═══════════════════════════════════════
+   VEHICLE DYNAMICS - single-track ("bicycle") bus model
+   Front wheels steer through an angle; the yaw rate follows from the
+   wheelbase, reduced by an understeer gradient that grows with mass, and
+   capped by what the tyres can hold sideways. Engine force is power
+   limited, braking and traction are grip limited, and the weight moved
+   by accelerating, braking and cornering rolls and pitches the body on
+   its springs. Numbers are tuned for play rather than a spec sheet.
+   ═══════════════════════════════════════ */
+var G=9.81;
+export var BUS={
+  wheelbase:4.4,       /* m, axle to axle (matches the wheel meshes) */
+  track:3.4,           /* m, wheel to wheel */
+  cgHeight:1.3,        /* m, empty */
+  mass:11000,          /* kg, empty */
+  paxMass:75,          /* kg per passenger, standing passengers also raise the CG */
+  paxCg:0.012,         /* m of CG height per passenger */
+  maxForce:120000,     /* N at the wheels, low speed */
+  power:900000,        /* W - above ~7.5 m/s the engine runs out of breath */
+  drag:22,             /* N per (m/s)² */
+  rolling:0.012,       /* rolling resistance coefficient */
+  engineBrake:2200,    /* N when coasting */
+  mu:1.05,             /* tyre friction, dry */
+  maxSteer:0.6,        /* rad at the front wheels */
+  steerRate:1.3,       /* rad/s turning the wheel... */
+  returnRate:2.2,      /* ...and letting it self-centre */
+  rackRate:4,          /* rad/s the front wheels can follow an analogue wheel or stick */
+  understeer:0.0022,   /* rad per (m/s²) of lateral accel, for the empty bus */
+  maxSpeed:30,maxReverse:6,
+  rollStiff:0.005,     /* rad of body roll per m/s² sideways, empty */
+  pitchStiff:0.004,    /* rad of pitch per m/s² fore/aft */
+  spring:40,damping:9  /* body on its suspension */
+};
+
+/* dynamic fields kept alongside speed/heading/steer on the game state */
+export function resetVehicle(s){
+  s.speed=0;s.steer=0;s.yawRate=0;s.ax=0;s.ay=0;s.sliding=false;
+  s.roll=0;s.rollV=0;s.pitch=0;s.pitchV=0;
+}
+
+/* in: {throttle,brake (0..1; keys give true/false),steer (-1..1, + = left),
+   wheel (optional -1..1: an analogue wheel sets the lock directly instead of steer),
+   maxFwd,maxRev,grip,load (passengers)} */
+export function stepVehicle(s,inp,dt){
+  var P=BUS,mass=P.mass+inp.load*P.paxMass,h=P.cgHeight+inp.load*P.paxCg;
+  var thr=+inp.throttle||0,brk=+inp.brake||0;
+  var mu=P.mu*inp.grip,v=s.speed,av=Math.abs(v);
+  var maxFwd=inp.maxFwd===undefined?P.maxSpeed:inp.maxFwd,maxRev=inp.maxRev===undefined?P.maxReverse:inp.maxRev;
+
+  /* ── steering: the wheel turns at a fixed rate and self-centres; a little less
+     lock is available at speed, as with a real speed-sensitive rack ── */
+  var lock=P.maxSteer/(1+av*av/500);
+  if(inp.wheel!==undefined){
+    /* analogue: the wheels follow the hand, as fast as the rack allows */
+    var want=inp.wheel*lock-s.steer;
+    s.steer+=Math.max(-P.rackRate*dt,Math.min(P.rackRate*dt,want));
+  }
+  else if(inp.steer)s.steer+=inp.steer*P.steerRate*dt;
+  else if(Math.abs(s.steer)<P.returnRate*dt)s.steer=0;
+  else s.steer-=Math.sign(s.steer)*P.returnRate*dt;
+  s.steer=Math.max(-lock,Math.min(lock,s.steer));
+
+  /* ── longitudinal: engine / brakes / resistance, grip limited ── */
+  var force=0,resist=P.drag*v*av+P.rolling*mass*G*Math.sign(v);
+  /* weight moves back under power, so the driven rear axle can put down more */
+  var rearShare=0.55+Math.max(0,s.ax)*h/(P.wheelbase*G);
+  var traction=mu*mass*G*Math.min(rearShare,0.85),brakeCap=mu*mass*G;
+  if(brk&&v>0.3)force=-brakeCap*brk;
+  else if(thr&&v<-0.3)force=brakeCap*thr;
+  else if(thr&&v<maxFwd)force=Math.min(P.maxForce*thr,P.power*thr/Math.max(av,2),traction);
+  else if(brk&&v>-maxRev)force=-Math.min(P.maxForce*0.4*brk,traction);
+  else if(av>0.05)force=-Math.sign(v)*P.engineBrake;
+  var ax=(force-resist)/mass;
+  var nv=v+ax*dt;
+  /* brakes and coasting stop the bus; they don't push it backwards */
+  if(!thr&&!(brk&&v<=0.3)&&v*nv<0)nv=0;
+  if(brk&&v>0.3&&nv<0)nv=0;
+  if(thr&&v<-0.3&&nv>0)nv=0;
+  nv=Math.max(-maxRev,Math.min(maxFwd,nv));
+  s.ax=(nv-v)/dt;s.speed=nv;v=nv;av=Math.abs(v);
+
+  /* ── lateral: kinematic yaw with understeer, capped by tyre grip.
+     Weight shifting to the outside wheels costs a little grip, more so with a high CG ── */
+  var transfer=Math.min(1,2*h*Math.abs(s.ay)/(P.track*G));
+  var ayMax=mu*G*(1-0.2*transfer);
+  var K=P.understeer*mass/P.mass;
+  var yaw=v*Math.tan(s.steer)/(P.wheelbase+K*v*v);
+  s.sliding=false;
+  if(Math.abs(yaw*v)>ayMax&&av>0.5){
+    /* front tyres saturate: the bus runs wide and scrubs speed */
+    var excess=Math.abs(yaw*v)/ayMax-1;
+    yaw=Math.sign(yaw)*ayMax/av;
+    s.speed-=Math.sign(v)*Math.min(av,excess*4*dt);
+    s.sliding=true;
+  }
+  s.yawRate=yaw;s.ay=yaw*v;
+  s.heading+=yaw*dt;
+
+  /* ── body on springs: roll out of the corner, pitch under braking ── */
+  var rollTarget=-s.ay*P.rollStiff*(h/P.cgHeight);
+  var pitchTarget=s.ax*P.pitchStiff*(h/P.cgHeight);
+  s.rollV+=((rollTarget-s.roll)*P.spring-s.rollV*P.damping)*dt;s.roll+=s.rollV*dt;
+  s.pitchV+=((pitchTarget-s.pitch)*P.spring-s.pitchV*P.damping)*dt;s.pitch+=s.pitchV*dt;
+}
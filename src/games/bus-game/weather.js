@@ -0,0 +1,123 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════
+   TIME OF DAY & WEATHER
+   The clock runs while a shift is being driven (one game hour per real
+   minute) and drives the sun's arc and colour, the sky, the fog and every
+   light that should come on at dusk. Weather presets tint the sky, thicken
+   the fog and reduce tyre grip; rain also adds falling streaks.
+   ═══════════════════════════════════════ */
+var HOURS_PER_SEC=1/60;
+
+/* grip multiplies acceleration, braking and cornering in the driving model;
+   ambience picks the matching layer in createAudio */
+export var WEATHER={
+  clear:{label:"Clear",icon:"☀",grip:1,fog:1,overcast:0,rain:0,ambience:null},
+  rain:{label:"Rain",icon:"🌧",grip:0.7,fog:2.2,overcast:0.6,rain:1,ambience:"rain"},
+  fog:{label:"Fog",icon:"🌫",grip:0.85,fog:7,overcast:0.8,rain:0,ambience:"fog"}
+};
+export var TIMES_OF_DAY=[
+  {id:"morning",label:"Morning",hour:7.5},
+  {id:"noon",label:"Noon",hour:12},
+  {id:"evening",label:"Evening",hour:18},
+  {id:"night",label:"Night",hour:22}
+];
+
+var SKY={night:new THREE.Color(0x0b1026),dusk:new THREE.Color(0xe8875a),day:new THREE.Color(0x6ab4d6)};
+var FOG={night:new THREE.Color(0x10162a),dusk:new THREE.Color(0xd89a78),day:new THREE.Color(0x9dc8db)};
+var GREY={rain:new THREE.Color(0x7d8a94),fog:new THREE.Color(0xb4bcc2)};
+var SUN_LOW=new THREE.Color(0xff9a55),SUN_HIGH=new THREE.Color(0xfff0d4);
+var RAIN_DROPS=1400,RAIN_BOX=70,RAIN_TOP=40;
+
+function clamp01(v){return Math.max(0,Math.min(1,v));}
+
+/* "HH:MM" for the HUD */
+export function formatHour(h){
+  h=((h%24)+24)%24;
+  var hh=Math.floor(h),mm=Math.floor((h-hh)*60);
+  return(hh<10?"0":"")+hh+":"+(mm<10?"0":"")+mm;
+}
+
+/* o: {sun,fill,amb,hemi,streetLights,bulbMat,windowMats,headlights,headlightMat}
+   (windowMats are [material,dayEmissive,nightEmissive] triples) */
+export function createSky(scene,o){
+  var fog=scene.fog,sky=scene.background;
+  var base={sun:o.sun.intensity,fill:o.fill.intensity,amb:o.amb.intensity,hemi:o.hemi.intensity,fog:fog.density};
+  var weather=WEATHER.clear,hour=12,tmp=new THREE.Color();
+
+  /* rain: short vertical streaks recycled inside a box that follows the bus */
+  var rpos=new Float32Array(RAIN_DROPS*6),rspd=new Float32Array(RAIN_DROPS);
+  for(var i=0;i<RAIN_DROPS;i++){
+    var x=(Math.random()-0.5)*RAIN_BOX,y=Math.random()*RAIN_TOP,z=(Math.random()-0.5)*RAIN_BOX;
+    rpos[i*6]=rpos[i*6+3]=x;rpos[i*6+2]=rpos[i*6+5]=z;rpos[i*6+1]=y;rpos[i*6+4]=y+0.7;
+    rspd[i]=22+Math.random()*8;
+  }
+  var rainGeo=new THREE.BufferGeometry();
+  rainGeo.setAttribute("position",new THREE.BufferAttribute(rpos,3));
+  var rain=new THREE.LineSegments(rainGeo,new THREE.LineBasicMaterial({color:0xa8bccc,transparent:true,opacity:0.45}));
+  rain.frustumCulled=false;rain.visible=false;scene.add(rain);
+
+  function apply(){
+    /* sun elevation: -1 at midnight, 0 at 6:00 / 18:00, 1 at noon */
+    var elev=Math.sin((hour-6)/12*Math.PI);
+    var day=clamp01((elev+0.08)/0.35);
+    var dusk=clamp01(1-Math.abs(elev)/0.3);
+    var az=(hour-6)/12*Math.PI;
+    o.sun.position.set(Math.cos(az)*180,20+Math.max(elev,0)*160,80-Math.sin(az)*40);
+    o.sun.color.copy(SUN_LOW).lerp(SUN_HIGH,clamp01(elev/0.5));
+    o.sun.intensity=base.sun*day*(1-weather.overcast*0.6);
+    o.fill.intensity=base.fill*(0.3+0.7*day);
+    o.amb.intensity=base.amb*(0.35+0.65*day);
+    o.hemi.intensity=base.hemi*(0.3+0.7*day);
+
+    sky.copy(SKY.night).lerp(SKY.day,day);
+    if(dusk>0)sky.lerp(SKY.dusk,dusk*(1-weather.overcast)*0.7);
+    fog.color.copy(FOG.night).lerp(FOG.day,day);
+    if(dusk>0)fog.color.lerp(FOG.dusk,dusk*(1-weather.overcast)*0.6);
+    if(weather.overcast>0){
+      var grey=weather.rain?GREY.rain:GREY.fog;
+      tmp.copy(grey).multiplyScalar(0.25+0.75*day);
+      sky.lerp(tmp,weather.overcast);fog.color.lerp(tmp,weather.overcast);
+    }
+    fog.density=base.fog*weather.fog;
+
+    /* lamps fade in through dusk; headlights also come on in bad weather */
+    var lamps=clamp01((0.45-day)/0.3);
+    var heads=Math.max(lamps,weather.overcast>0?1:0);
+    for(var i=0;i<o.streetLights.length;i++)o.streetLights[i].intensity=0.15+lamps*30;
+    o.bulbMat.emissiveIntensity=0.2+lamps*1.6;
+    for(i=0;i<o.windowMats.length;i++){var wm=o.windowMats[i];wm[0].emissiveIntensity=wm[1]+(wm[2]-wm[1])*lamps;}
+    /* level is kept so a damaged lamp can flicker against it (damage.js) */
+    for(i=0;i<o.headlights.length;i++)o.headlights[i].intensity=o.headlights[i].userData.level=heads*60;
+    o.headlightMat.emissiveIntensity=0.8+heads*1.7;
+  }
+
+  /* weather id and starting hour; resets the clock */
+  function set(weatherId,startHour){
+    weather=WEATHER[weatherId]||WEATHER.clear;
+    hour=isFinite(startHour)?startHour:12;
+    rain.visible=weather.rain>0;
+    apply();
+  }
+
+  var acc=0;
+  function update(dt,running,fx,fz){
+    if(running){
+      hour=(hour+dt*HOURS_PER_SEC)%24;
+      /* colours only need refreshing a few times a second */
+      acc+=dt;if(acc>0.25){acc=0;apply();}
+    }
+    if(rain.visible){
+      rain.position.set(fx,0,fz);
+      for(var i=0;i<RAIN_DROPS;i++){
+        var y=rpos[i*6+1]-rspd[i]*dt;
+        if(y<0)y+=RAIN_TOP;
+        rpos[i*6+1]=y;rpos[i*6+4]=y+0.7;
+      }
+      rainGeo.attributes.position.needsUpdate=true;
+    }
+  }
+
+  set("clear",12);
+  return{set:set,update:update,getHour:function(){return hour;},getWeather:function(){return weather;}};
+}